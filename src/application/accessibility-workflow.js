@@ -0,0 +1,117 @@
+import { DebuggerAdapter } from '../infrastructure/chrome-debugger.js';
+import logger from '../infrastructure/logger.js';
+import { get } from '../config/defaults.js';
+import { createRedactor, redactText, sealRedactions } from '../core/extraction/redaction.js';
+
+const AX_TREE_TIMEOUT_MS = 20_000;
+
+function selectAccessibilityTargets(elements, maxElements) {
+  return elements
+    .filter(el => el.cssSelector && !el.pseudoType && el.frameId === undefined)
+    .slice(0, maxElements);
+}
+
+function indexBackendNodeIds(node, index) {
+  index.set(node.nodeId, node.backendNodeId);
+  for (const child of node.children ?? []) {
+    indexBackendNodeIds(child, index);
+  }
+  for (const shadow of node.shadowRoots ?? []) {
+    indexBackendNodeIds(shadow, index);
+  }
+  return index;
+}
+
+function axValue(prop) {
+  return prop?.value?.value ?? null;
+}
+
+function toAccessibilityRecord(axNode, stateNames) {
+  const properties = new Map((axNode.properties ?? []).map(p => [p.name, axValue(p)]));
+  const states     = Object.create(null);
+  for (const name of stateNames) {
+    if (properties.has(name)) {states[name] = String(properties.get(name));}
+  }
+  return {
+    role:        axValue(axNode.role),
+    name:        axValue(axNode.name) || null,
+    description: axValue(axNode.description) || null,
+    focusable:   properties.get('focusable') === true,
+    ignored:     axNode.ignored === true,
+    states
+  };
+}
+
+function redactAccessibility(element, record, redactor) {
+  if (!redactor) {return record;}
+  const fields = [];
+  for (const field of ['name', 'description']) {
+    const value = record[field];
+    record[field] = redactText(value, redactor, element.redactionMasked === true);
+    if (record[field] !== value) {fields.push(`a11y:${field}`);}
+  }
+  if (fields.length > 0) {element.redacted = [...(element.redacted ?? []), ...fields];}
+  return record;
+}
+
+async function captureAccessibilityTree(tabId, elements) {
+  const { maxElements, states } = get('extraction.accessibility');
+  const targets  = selectAccessibilityTargets(elements, maxElements);
+
+  if (!targets.length) { return 0; }
+
+  const redactor = await createRedactor();
+
+  const t0 = Date.now();
+  let linked   = 0;
+  let attached = false;
+
+  try {
+    await DebuggerAdapter.attach(tabId);
+    attached = true;
+
+    await DebuggerAdapter.send(tabId, 'DOM.enable');
+    await DebuggerAdapter.send(tabId, 'Accessibility.enable');
+    const { root }  = await DebuggerAdapter.send(tabId, 'DOM.getDocument', { depth: -1, pierce: false }, AX_TREE_TIMEOUT_MS);
+    const { nodes } = await DebuggerAdapter.send(tabId, 'Accessibility.getFullAXTree', {}, AX_TREE_TIMEOUT_MS);
+
+    const backendByNodeId = indexBackendNodeIds(root, new Map());
+    const axByBackendId   = new Map();
+    for (const axNode of nodes ?? []) {
+      if (axNode.backendDOMNodeId !== undefined) {axByBackendId.set(axNode.backendDOMNodeId, axNode);}
+    }
+
+    for (const element of targets) {
+      try {
+        const { nodeId } = await DebuggerAdapter.send(tabId, 'DOM.querySelector', { nodeId: root.nodeId, selector: element.cssSelector });
+        const axNode     = nodeId ? axByBackendId.get(backendByNodeId.get(nodeId)) : null;
+        if (!axNode) { continue; }
+        element.accessibility = redactAccessibility(element, toAccessibilityRecord(axNode, states), redactor);
+        linked++;
+      } catch (err) {
+        logger.debug('AX node lookup skipped', { hpid: element.hpid, error: err.message });
+      }
+    }
+
+    logger.info('Accessibility tree captured', {
+      tabId,
+      axNodes:    nodes?.length ?? 0,
+      candidates: targets.length,
+      linked,
+      elapsed:    Date.now() - t0
+    });
+  } catch (err) {
+    logger.warn('Accessibility pass failed — no AX data captured', { tabId, error: err.message });
+  } finally {
+    if (attached) {
+      await DebuggerAdapter.send(tabId, 'Accessibility.disable').catch(() => undefined);
+      await DebuggerAdapter.send(tabId, 'DOM.disable').catch(() => undefined);
+      await DebuggerAdapter.detach(tabId);
+    }
+  }
+
+  await sealRedactions(targets, redactor);
+  return linked;
+}
+
+export { captureAccessibilityTree };
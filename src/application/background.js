@@ -3,7 +3,7 @@ import { MessageTypes, onMessage } from '../infrastructure/chrome-messaging.js';
 import logger, { StorageTransport } from '../infrastructure/logger.js';
 import storage from '../infrastructure/idb-repository.js';
 import { compareReports, exportComparisonAsHTML, getCachedComparison } from './compare-workflow.js';
-import { extractFromActiveTab } from './extract-workflow.js';
+import { extractFromActiveTab, extractResponsiveSet } from './extract-workflow.js';
 
 logger.init();
 logger.addTransport(new StorageTransport());
@@ -17,7 +17,6 @@ try {
 }
 
 const handlers = {
-  [MessageTypes.EXTRACT_ELEMENTS]:       handleExtractElements,
   [MessageTypes.LOAD_CACHED_COMPARISON]: handleLoadCachedComparison,
   [MessageTypes.EXPORT_COMPARISON_HTML]: handleExportComparisonHTML,
   [MessageTypes.SAVE_REPORT]:            handleSaveReport,
@@ -122,10 +121,60 @@ chrome.runtime.onConnect.addListener((port) => {
   });
 });
 
-async function handleExtractElements(payload) {
-  const { filters } = payload;
-  logger.info('Extract elements requested', { filters });
-  const report = await extractFromActiveTab(filters);
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'extraction') {
+    return;
+  }
+
+  let aborted = false;
+  const controller = new AbortController();
+
+  port.onDisconnect.addListener(() => {
+    aborted = true;
+    logger.info('Extraction port disconnected — client closed');
+  });
+
+  const send = (msgType, data = {}) => {
+    if (aborted) {
+      return;
+    }
+    try {
+      port.postMessage({ type: msgType, ...data });
+    } catch {
+      aborted = true;
+    }
+  };
+
+  port.onMessage.addListener(async (msg) => {
+    if (msg.type === MessageTypes.CANCEL_EXTRACTION) {
+      logger.info('Extraction cancel requested');
+      controller.abort(new Error('Extraction cancelled'));
+      return;
+    }
+
+    if (msg.type !== MessageTypes.EXTRACT_ELEMENTS) {
+      return;
+    }
+
+    try {
+      const onProgress = (label, pct, detail) => send(MessageTypes.EXTRACTION_PROGRESS, { label, pct, ...detail });
+      const result     = await runExtraction(msg, { onProgress, signal: controller.signal });
+      send(MessageTypes.EXTRACTION_COMPLETE, result);
+    } catch (error) {
+      const errorMsg = error?.message || String(error) || 'Unknown error';
+      send(MessageTypes.EXTRACTION_ERROR, { error: errorMsg, cancelled: controller.signal.aborted });
+    }
+  });
+});
+
+async function runExtraction(payload, stream) {
+  const { filters, options } = payload;
+  logger.info('Extract elements requested', { filters, options });
+  if (options?.responsive) {
+    const reports = await extractResponsiveSet(filters, options, stream);
+    return { report: reports[reports.length - 1], reports };
+  }
+  const report = await extractFromActiveTab(filters, options ?? {}, stream);
   return { report };
 }
 
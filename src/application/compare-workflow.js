@@ -3,9 +3,11 @@ import storage, { buildPairKey } from '../infrastructure/idb-repository.js';
 import { getReportById } from './report-manager.js';
 import { Comparator } from '../core/comparison/comparator.js';
 import { computeSeverityBreakdown } from '../core/comparison/comparison-modes.js';
-import { exportToHTML } from '../core/export/comparison/html-exporter.js';
+import { exportToHTML, exportCaptureSetToHTML } from '../core/export/comparison/html-exporter.js';
 import { assessUrlCompatibility } from './url-compatibility.js';
 import { captureVisualDiffs } from './visual-workflow.js';
+import { loadOverridesForUrl } from './match-overrides.js';
+import { runProvenancePass } from './provenance-workflow.js';
 
 const MINIMUM_SCHEMA_VERSION = '3.0';
 
@@ -77,7 +79,9 @@ async function compareReports(options = {}) {
     tabContext         = null,
     includeScreenshots = true,
     onProgress         = null,
-    skipPreFlightGate  = false
+    skipPreFlightGate  = false,
+    expandCaptureSet   = true,
+    captureSet         = null
   } = options;
 
   logger.info('Starting comparison', { baselineId, compareId, mode });
@@ -100,6 +104,13 @@ async function compareReports(options = {}) {
 
     assertVersionCompatibility(baseline.version, compareReport.version);
 
+    if (expandCaptureSet && baseline.captureSet && compareReport.captureSet) {
+      const plan = await planCaptureSetComparison(baseline, compareReport);
+      if (plan) {
+        return compareCaptureSet(options, plan);
+      }
+    }
+
     let preFlightWarning = null;
 
     if (!skipPreFlightGate) {
@@ -119,8 +130,9 @@ async function compareReports(options = {}) {
       }
     }
 
-    const comparator = new Comparator();
-    const comparisonGen = comparator.compare(baseline, compareReport, mode);
+    const overrides     = await loadOverridesForUrl(baseline.url);
+    const comparator    = new Comparator();
+    const comparisonGen = comparator.compare(baseline, compareReport, mode, { overrides });
     const result = await drainComparisonGenerator(comparisonGen, onProgress);
 
     result.preFlightWarning = preFlightWarning;
@@ -141,6 +153,10 @@ async function compareReports(options = {}) {
       result.visualDiffStatus = { status: visualResult.status, reason: visualResult.reason };
     }
 
+    if (captureSet) {
+      result.captureSet = captureSet;
+    }
+
     await persistComparison(result, baselineId, compareId, mode);
 
     return result;
@@ -155,11 +171,105 @@ async function compareReports(options = {}) {
   }
 }
 
+function indexCaptureSet(metas, setId) {
+  return new Map(
+    metas
+      .filter(m => m.captureSet?.id === setId)
+      .map(m => [m.captureSet.viewportId, m])
+  );
+}
+
+function assertCaptureSetComplete(set, tag) {
+  if (set.size < tag.size) {
+    throw new Error(`Capture set ${tag.id} is incomplete (${set.size} of ${tag.size} breakpoints) — capture it again before comparing`);
+  }
+}
+
+async function planCaptureSetComparison(baseline, compareReport) {
+  const metas       = await storage.loadReports();
+  const baselineSet = indexCaptureSet(metas, baseline.captureSet.id);
+  const compareSet  = indexCaptureSet(metas, compareReport.captureSet.id);
+  assertCaptureSetComplete(baselineSet, baseline.captureSet);
+  assertCaptureSetComplete(compareSet,  compareReport.captureSet);
+
+  const breakpoints = [...baselineSet.values()]
+    .filter(m => compareSet.has(m.captureSet.viewportId))
+    .sort((a, b) => a.captureSet.index - b.captureSet.index)
+    .map(m => ({
+      viewportId: m.captureSet.viewportId,
+      viewport:   m.captureSet.viewport,
+      baselineId: m.id,
+      compareId:  compareSet.get(m.captureSet.viewportId).id
+    }));
+
+  const selected = breakpoints.find(bp => bp.baselineId === baseline.id);
+  if (breakpoints.length < 2 || !selected) {
+    logger.warn('Capture-set comparison unavailable — comparing single breakpoint', {
+      baselineSetId: baseline.captureSet.id,
+      compareSetId:  compareReport.captureSet.id,
+      sharedBreakpoints: breakpoints.length
+    });
+    return null;
+  }
+
+  return {
+    baselineSetId: baseline.captureSet.id,
+    compareSetId:  compareReport.captureSet.id,
+    selectedViewportId: selected.viewportId,
+    breakpoints
+  };
+}
+
+async function compareCaptureSet(options, plan) {
+  const { onProgress = null, includeScreenshots = true } = options;
+  const { breakpoints, selectedViewportId } = plan;
+  const captureSet = {
+    baselineSetId: plan.baselineSetId,
+    compareSetId:  plan.compareSetId,
+    breakpoints
+  };
+
+  if (includeScreenshots) {
+    logger.info('Visual phase skipped: capture-set comparisons run without screenshots');
+  }
+
+  let selectedResult = null;
+  for (const [i, bp] of breakpoints.entries()) {
+    const scaledProgress = onProgress
+      ? (label, pct) => onProgress(`[${bp.viewportId}] ${label}`, Math.round((i * 100 + pct) / breakpoints.length))
+      : null;
+
+    const result = await compareReports({
+      ...options,
+      baselineId:         bp.baselineId,
+      compareId:          bp.compareId,
+      includeScreenshots: false,
+      tabContext:         null,
+      onProgress:         scaledProgress,
+      expandCaptureSet:   false,
+      captureSet
+    });
+
+    if (bp.viewportId === selectedViewportId) {
+      selectedResult = result;
+    }
+  }
+
+  logger.info('Capture-set comparison completed', {
+    baselineSetId: plan.baselineSetId,
+    compareSetId:  plan.compareSetId,
+    breakpoints:   breakpoints.map(bp => bp.viewportId)
+  });
+
+  return selectedResult;
+}
+
 async function runVisualPhase(result, tabContext, includeScreenshots) {
   const skip = reason => ({ status: 'skipped', reason, diffs: new Map() });
 
   if (!includeScreenshots) {
     logger.info('Visual phase skipped: user disabled screenshots');
+    await runProvenancePass(result, tabContext);
     return skip('Visual diff screenshots were disabled for this comparison.');
   }
 
@@ -176,7 +286,8 @@ function slimAmbiguousEntry(entry) {
     selectors:         el?.selectors    ?? null,
     confidence:        entry.confidence,
     strategy:          entry.strategy,
-    candidateCount:    entry.ambiguousCandidates?.length ?? 0
+    candidateCount:    entry.ambiguousCandidates?.length ?? 0,
+    matchTrace:        entry.matchTrace ?? null
   };
 }
 
@@ -207,10 +318,13 @@ async function persistComparison(result, baselineId, compareId, mode) {
     },
     unmatchedElements: result.unmatchedElements,
     ambiguous:         ambiguousEntries.map(slimAmbiguousEntry),
+    tokenChanges:      result.comparison.tokenChanges ?? [],
+    structuralChanges: result.comparison.structuralChanges ?? [],
     visualDiffs:       serializedDiffs,
     visualDiffStatus:  result.visualDiffStatus  ?? null,
     visualSessionId:   result.visualSessionId   ?? null,
-    preFlightWarning:  result.preFlightWarning   ?? null
+    preFlightWarning:  result.preFlightWarning   ?? null,
+    captureSet:        result.captureSet         ?? null
   };
 
   const slimResults = result.comparison.results.map(
@@ -226,6 +340,7 @@ async function persistComparison(result, baselineId, compareId, mode) {
       compareCssSelector: compareElement?.cssSelector  ?? null,
       compareXpath:       compareElement?.xpath         ?? null,
       hpid:              baselineElement.hpid          ?? null,
+      compareHpid:       compareElement?.hpid          ?? null,
       absoluteHpid:      baselineElement.absoluteHpid  ?? null,
       textContent:       baselineElement.textContent   ?? null,
       depth:             baselineElement.depth         ?? null,
@@ -251,15 +366,10 @@ async function getCachedComparison(baselineId, compareId, mode) {
   }
 }
 
-async function exportComparisonAsHTML(baselineId, compareId, mode) {
-  const meta = await getCachedComparison(baselineId, compareId, mode);
-  if (!meta) {
-    return { success: false, error: 'No stored comparison found for these reports. Run the comparison first.' };
-  }
-
+async function reconstructComparison(meta) {
   const slimResults = await storage.loadComparisonDiffs(meta.id);
 
-  const reconstructed = {
+  return {
     baseline:          meta.baseline,
     compare:           meta.compare,
     mode:              meta.mode,
@@ -268,16 +378,46 @@ async function exportComparisonAsHTML(baselineId, compareId, mode) {
     duration:          meta.duration,
     unmatchedElements: meta.unmatchedElements,
     comparison: {
-      summary:   meta.summary,
-      results:   slimResults,
-      ambiguous: meta.ambiguous ?? []
+      summary:           meta.summary,
+      results:           slimResults,
+      ambiguous:         meta.ambiguous         ?? [],
+      tokenChanges:      meta.tokenChanges      ?? [],
+      structuralChanges: meta.structuralChanges ?? []
     },
     visualDiffs:      meta.visualDiffs      ?? null,
     visualDiffStatus: meta.visualDiffStatus ?? null,
-    preFlightWarning: meta.preFlightWarning ?? null
+    preFlightWarning: meta.preFlightWarning ?? null,
+    captureSet:       meta.captureSet       ?? null
   };
+}
+
+async function loadCaptureSetComparisons(captureSet, mode) {
+  const entries = [];
+  for (const bp of captureSet.breakpoints) {
+    const meta = await getCachedComparison(bp.baselineId, bp.compareId, mode);
+    if (!meta) {
+      logger.warn('Capture-set breakpoint missing from cache', { viewportId: bp.viewportId });
+      continue;
+    }
+    entries.push({ viewportId: bp.viewportId, viewport: bp.viewport, result: await reconstructComparison(meta) });
+  }
+  return entries;
+}
+
+async function exportComparisonAsHTML(baselineId, compareId, mode) {
+  const meta = await getCachedComparison(baselineId, compareId, mode);
+  if (!meta) {
+    return { success: false, error: 'No stored comparison found for these reports. Run the comparison first.' };
+  }
+
+  if (meta.captureSet) {
+    const entries = await loadCaptureSetComparisons(meta.captureSet, mode);
+    if (entries.length > 1) {
+      return exportCaptureSetToHTML(entries, meta.captureSet.breakpoints.find(bp => bp.baselineId === baselineId)?.viewportId);
+    }
+  }
 
-  return exportToHTML(reconstructed);
+  return exportToHTML(await reconstructComparison(meta));
 }
 
 export { compareReports, getCachedComparison, exportComparisonAsHTML, PreFlightError, CompatibilityError, parseVersion, versionAtLeast };
@@ -0,0 +1,72 @@
+import logger from '../infrastructure/logger.js';
+import { get } from '../config/defaults.js';
+
+const STORAGE_KEY = 'exclusionRules';
+
+function isXPathRule(rule) {
+  return rule.startsWith('/') || rule.startsWith('(');
+}
+
+function normalizeRuleList(rules) {
+  return [...new Set((rules ?? []).map(r => String(r).trim()).filter(Boolean))];
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function hostMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+function rulesForHost(source, host) {
+  if (!host) {return [];}
+  return Object.entries(source ?? {})
+    .filter(([domain]) => hostMatches(host, domain.toLowerCase()))
+    .flatMap(([, rules]) => rules);
+}
+
+async function loadExclusionRules() {
+  try {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    const rules  = stored[STORAGE_KEY] ?? {};
+    return { global: rules.global ?? [], domains: rules.domains ?? {} };
+  } catch (err) {
+    logger.warn('Exclusion rules could not be loaded', { error: err.message });
+    return { global: [], domains: {} };
+  }
+}
+
+async function saveExclusionRules(rules) {
+  const domains = Object.create(null);
+  for (const [domain, list] of Object.entries(rules.domains ?? {})) {
+    const clean = normalizeRuleList(list);
+    if (clean.length > 0) {domains[domain.toLowerCase()] = clean;}
+  }
+  const normalized = { global: normalizeRuleList(rules.global), domains };
+  await chrome.storage.local.set({ [STORAGE_KEY]: normalized });
+  logger.info('Exclusion rules saved', { global: normalized.global.length, domains: Object.keys(domains).length });
+  return normalized;
+}
+
+async function resolveExclusionsForUrl(url) {
+  const host     = hostOf(url);
+  const defaults = get('extraction.exclusions');
+  const stored   = await loadExclusionRules();
+  const rules    = normalizeRuleList([
+    ...defaults.global,
+    ...rulesForHost(defaults.domains, host),
+    ...stored.global,
+    ...rulesForHost(stored.domains, host)
+  ]);
+  return {
+    selectors: rules.filter(r => !isXPathRule(r)),
+    xpaths:    rules.filter(isXPathRule)
+  };
+}
+
+export { loadExclusionRules, saveExclusionRules, resolveExclusionsForUrl, hostOf };
@@ -1,14 +1,33 @@
 import { TabAdapter } from '../infrastructure/chrome-tabs.js';
-import { MessageTypes, sendToTab } from '../infrastructure/chrome-messaging.js';
+import { DebuggerAdapter } from '../infrastructure/chrome-debugger.js';
+import { MessageTypes, sendToTab, streamFromTab } from '../infrastructure/chrome-messaging.js';
 import logger from '../infrastructure/logger.js';
 import storage from '../infrastructure/idb-repository.js';
 import { performanceMonitor } from '../infrastructure/performance-monitor.js';
 import { get } from '../config/defaults.js';
+import { captureInteractionStates } from './interaction-state-workflow.js';
+import { captureAccessibilityTree } from './accessibility-workflow.js';
+import { resolveExclusionsForUrl } from './exclusion-rules.js';
 
 const BLOCKED_PROTOCOLS = new Set(['chrome:', 'chrome-extension:', 'about:', 'data:']);
 const IPC_SIZE_WARN_THRESHOLD = 2_000_000;
 const REPORT_VERSION = '3.0';
 
+const EXTRACTION_PHASES = Object.freeze({
+  frames:        { from: 0,  to: 4,   label: 'Preparing frames…' },
+  autoScroll:    { from: 4,  to: 12,  label: 'Scrolling to load lazy content…' },
+  readiness:     { from: 12, to: 16,  label: 'Waiting for the page to settle…' },
+  traversal:     { from: 16, to: 20,  label: 'Scanning DOM…' },
+  pass1:         { from: 20, to: 26,  label: 'Measuring elements…' },
+  unified:       { from: 26, to: 70,  label: 'Processing elements…' },
+  selectors:     { from: 26, to: 70,  label: 'Generating selectors…' },
+  assets:        { from: 70, to: 74,  label: 'Fingerprinting assets…' },
+  states:        { from: 74, to: 82,  label: 'Capturing interaction states…' },
+  accessibility: { from: 82, to: 88,  label: 'Reading accessibility tree…' },
+  childFrames:   { from: 88, to: 95,  label: 'Extracting frames…' },
+  saving:        { from: 95, to: 100, label: 'Saving report…' }
+});
+
 class ProtocolError extends Error {
   constructor(expected, actual) {
     super(
@@ -76,6 +95,9 @@ function buildReport(data) {
     filters:         data.filters         ?? null,
     extractOptions:  data.extractOptions  ?? null,
     styleCategories: data.styleCategories ?? [],
+    rootCustomProperties: data.rootCustomProperties ?? null,
+    autoScroll:      data.autoScroll      ?? null,
+    exclusions:      data.exclusions      ?? null,
     elements:        data.elements
   };
 }
@@ -84,6 +106,20 @@ function toReportMeta({ elements, ...meta }) {
   return meta;
 }
 
+function createPhaseReporter(onProgress, slice = null) {
+  if (!onProgress) {return () => undefined;}
+  return ({ phase, processed = null, total = null }) => {
+    const def = EXTRACTION_PHASES[phase];
+    if (!def) {return;}
+    const fraction = total ? Math.min(1, processed / total) : 0;
+    const local    = def.from + (def.to - def.from) * fraction;
+    const pct      = slice ? Math.round((slice.index * 100 + local) / slice.size) : Math.round(local);
+    const counted  = total ? `${def.label} ${processed}/${total}` : def.label;
+    const label    = slice ? `[${slice.viewportId}] ${counted}` : counted;
+    onProgress(label, pct, { phase, processed, total });
+  };
+}
+
 function isSameOrigin(tabUrl, frameUrl) {
   try {
     return new URL(tabUrl).origin === new URL(frameUrl).origin;
@@ -92,107 +128,343 @@ function isSameOrigin(tabUrl, frameUrl) {
   }
 }
 
-function tagFrameElements(elements, frameId, frameUrl) {
-  return elements.map(el => ({ ...el, frameId, frameUrl }));
+function isExtractableFrame(frame) {
+  if (frame.frameId === 0) {return false;}
+  try {
+    return !BLOCKED_PROTOCOLS.has(new URL(frame.url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function orderParentFirst(frames) {
+  const ordered = [];
+  const placed  = new Set([0]);
+  let pending   = frames;
+  while (pending.length > 0) {
+    const ready = pending.filter(f => placed.has(f.parentFrameId));
+    if (!ready.length) {break;}
+    for (const frame of ready) {
+      ordered.push(frame);
+      placed.add(frame.frameId);
+    }
+    pending = pending.filter(f => !placed.has(f.frameId));
+  }
+  return ordered;
+}
+
+function contentBoxOffset(owner, side) {
+  const border  = parseFloat(owner.styles?.[`border-${side}-width`]) || 0;
+  const padding = parseFloat(owner.styles?.[`padding-${side}`])      || 0;
+  return border + padding;
+}
+
+function translateFrameRect(rect, originX, originY) {
+  if (!rect) {return null;}
+  return {
+    ...rect,
+    x:    Math.round(rect.x    + originX),
+    y:    Math.round(rect.y    + originY),
+    top:  Math.round(rect.top  + originY),
+    left: Math.round(rect.left + originX)
+  };
+}
+
+function translateScrollContainer(container, ownerHpid, originX, originY) {
+  return {
+    ...container,
+    hpid:    container.hpid ? `${ownerHpid}.${container.hpid}` : null,
+    originX: Math.round(container.originX + originX),
+    originY: Math.round(container.originY + originY)
+  };
+}
+
+function tagFrameElements(elements, frame, owner, crossOrigin) {
+  const originX    = (owner.rect?.x ?? 0) + contentBoxOffset(owner, 'left');
+  const originY    = (owner.rect?.y ?? 0) + contentBoxOffset(owner, 'top');
+  const frameOwner = owner.frameOwner ?? { hpid: owner.hpid, cssSelector: owner.cssSelector, rect: owner.rect };
+
+  return elements.map(el => ({
+    ...el,
+    hpid:         `${owner.hpid}.${el.hpid}`,
+    absoluteHpid: `${owner.absoluteHpid}.${el.absoluteHpid}`,
+    ...(el.parentHpid ? { parentHpid: `${owner.hpid}.${el.parentHpid}` } : {}),
+    depth:        owner.depth + 1 + el.depth,
+    rect:         translateFrameRect(el.rect, originX, originY),
+    ...(el.scrollContainer ? { scrollContainer: translateScrollContainer(el.scrollContainer, owner.hpid, originX, originY) } : {}),
+    frameId:      frame.frameId,
+    frameUrl:     frame.url,
+    crossOrigin,
+    frameOwner
+  }));
+}
+
+async function injectFrameScripts(tabId, frames) {
+  const settled = await Promise.allSettled(
+    frames.map(frame => TabAdapter.executeScript(tabId, ['content.js'], [frame.frameId]))
+  );
+  return frames.filter((frame, i) => settled[i].status === 'fulfilled');
+}
+
+async function announceFrameOwners(tabId, frames, timeout) {
+  const parentIds = new Set(frames.map(f => f.parentFrameId));
+  await Promise.allSettled([...parentIds].map(frameId =>
+    sendToTab(tabId, MessageTypes.ANNOUNCE_FRAMES, { prefix: frameId }, timeout, { frameId })
+  ));
+}
+
+async function prepareFrames(tabId, timeout) {
+  const allFrames  = await TabAdapter.getFrames(tabId);
+  const candidates = orderParentFirst(allFrames.filter(isExtractableFrame));
+  if (!candidates.length) {
+    return [];
+  }
+
+  const frames = await injectFrameScripts(tabId, candidates);
+  await announceFrameOwners(tabId, frames, timeout);
+
+  logger.debug('Child frames prepared', { discovered: candidates.length, injected: frames.length });
+  return frames;
 }
 
 async function extractFromFrame(tabId, frame, filters, timeout) {
   try {
-    const response = await sendToTab(
+    const exclusions = await resolveExclusionsForUrl(frame.url);
+    const response   = await sendToTab(
       tabId,
       MessageTypes.EXTRACT_ELEMENTS,
-      { filters, frameId: frame.frameId },
-      timeout
+      { filters, options: { exclusions } },
+      timeout,
+      { frameId: frame.frameId }
     );
-    const frameData = validateExtractionResponse(response);
-    return tagFrameElements(frameData.elements, frame.frameId, frame.url);
+    return validateExtractionResponse(response);
   } catch (err) {
     logger.warn('Frame extraction skipped', { frameId: frame.frameId, url: frame.url, error: err.message });
-    return [];
+    return null;
   }
 }
 
-async function discoverAndExtractFrames(tabId, tabUrl, filters, timeout) {
-  const allFrames = await TabAdapter.getFrames(tabId);
-  const sameOriginFrames = allFrames.filter(
-    f => f.frameId !== 0 && isSameOrigin(tabUrl, f.url)
-  );
+function findFrameOwner(ownerPool, frame, frameToken) {
+  if (!frameToken) {return null;}
+  return (ownerPool.get(frame.parentFrameId) ?? []).find(el => el.frameToken === frameToken) ?? null;
+}
 
-  if (!sameOriginFrames.length) {
-    return [];
+async function extractFrames(tabId, tabUrl, frames, topElements, filters, timeout, { report, signal }) {
+  const ownerPool = new Map([[0, topElements]]);
+  const merged    = [];
+
+  for (const [index, frame] of frames.entries()) {
+    signal?.throwIfAborted();
+    report({ phase: 'childFrames', processed: index, total: frames.length });
+    const frameData = await extractFromFrame(tabId, frame, filters, timeout);
+    if (!frameData) {continue;}
+
+    const owner = findFrameOwner(ownerPool, frame, frameData.frameToken);
+    if (!owner) {
+      logger.warn('Frame owner not found — frame skipped', { frameId: frame.frameId, url: frame.url });
+      continue;
+    }
+
+    const tagged = tagFrameElements(frameData.elements, frame, owner, !isSameOrigin(tabUrl, frame.url));
+    ownerPool.set(frame.frameId, tagged);
+    merged.push(...tagged);
   }
 
-  logger.debug('Same-origin frames discovered', { count: sameOriginFrames.length });
+  for (const el of [...topElements, ...merged]) {
+    delete el.frameToken;
+  }
 
-  const settled = await Promise.allSettled(
-    sameOriginFrames.map(frame => extractFromFrame(tabId, frame, filters, timeout))
-  );
+  return merged;
+}
+
+async function captureTabReport(tab, filters, options, stream) {
+  const { report: reportPhase, signal } = stream;
+  const timeout = get('infrastructure.timeout.contentScript');
+
+  reportPhase({ phase: 'frames' });
+  const frames = await prepareFrames(tab.id, timeout);
+  signal?.throwIfAborted();
+
+  const exclusions = await resolveExclusionsForUrl(tab.url);
+  const message    = { type: MessageTypes.EXTRACT_ELEMENTS, filters, options: { autoScroll: Boolean(options.autoScroll), exclusions } };
+  const response = await streamFromTab(tab.id, message, {
+    portName:      'extraction',
+    timeoutMs:     timeout,
+    signal,
+    onFrame:       reportPhase,
+    terminalTypes: [MessageTypes.EXTRACTION_COMPLETE, MessageTypes.EXTRACTION_ERROR]
+  });
+  const data = validateExtractionResponse(response);
+
+  const estimatedBytes = estimatePayloadBytes(data);
+  if (estimatedBytes > IPC_SIZE_WARN_THRESHOLD) {
+    logger.warn('Large extraction payload received', {
+      estimatedBytes,
+      elementCount: data.elements.length,
+      tabId: tab.id
+    });
+  }
+
+  if (options.interactionStates) {
+    signal?.throwIfAborted();
+    reportPhase({ phase: 'states' });
+    await captureInteractionStates(tab.id, data.elements);
+    data.extractOptions = { ...data.extractOptions, interactionStates: true };
+  }
+
+  if (options.accessibility) {
+    signal?.throwIfAborted();
+    reportPhase({ phase: 'accessibility' });
+    await captureAccessibilityTree(tab.id, data.elements);
+    data.extractOptions = { ...data.extractOptions, accessibility: true };
+  }
+
+  const frameElements = await extractFrames(tab.id, tab.url, frames, data.elements, filters, timeout, stream);
+  if (frameElements.length > 0) {
+    data.elements.push(...frameElements);
+    data.totalElements = data.elements.length;
+    logger.debug('Frame elements merged', { frameElementCount: frameElements.length });
+  }
+
+  const report = buildReport(data);
+
+  assertReportVersion(report.version);
+  signal?.throwIfAborted();
+  reportPhase({ phase: 'saving' });
+  return report;
+}
+
+async function persistReport(report) {
+  await storage.saveReport(report);
+
+  logger.info('Report persisted', {
+    reportId:       report.id,
+    version:        report.version,
+    totalElements:  report.totalElements,
+    captureQuality: report.captureQuality,
+    duration:       report.duration
+  });
 
-  return settled.flatMap(result => result.status === 'fulfilled' ? result.value : []);
+  return toReportMeta(report);
+}
+
+function logWorkflowError(err, signal) {
+  if (signal?.aborted) {
+    logger.info('Extract workflow cancelled', { reason: err.message });
+  } else if (err instanceof ProtocolError) {
+    logger.error('Protocol contract violation — report NOT persisted', {
+      error:           err.message,
+      expectedVersion: err.expectedVersion,
+      actualVersion:   err.actualVersion
+    });
+  } else {
+    logger.error('Extract workflow failed', { error: err.message });
+  }
 }
 
-async function extractFromActiveTab(filters = null) {
+async function extractFromActiveTab(filters = null, options = {}, { onProgress, signal } = {}) {
   const perfHandle = performanceMonitor.start('extract-workflow');
 
   try {
     const tab = await TabAdapter.getActiveTab();
     validateTab(tab);
 
-    logger.info('Extraction requested', { tabId: tab.id, url: tab.url, filters });
+    logger.info('Extraction requested', { tabId: tab.id, url: tab.url, filters, options });
 
-    const timeout  = get('infrastructure.timeout.contentScript');
-    const response = await sendToTab(tab.id, MessageTypes.EXTRACT_ELEMENTS, { filters }, timeout);
-    const data     = validateExtractionResponse(response);
+    const report = await captureTabReport(tab, filters, options, { report: createPhaseReporter(onProgress), signal });
+    const meta   = await persistReport(report);
 
-    const estimatedBytes = estimatePayloadBytes(data);
-    if (estimatedBytes > IPC_SIZE_WARN_THRESHOLD) {
-      logger.warn('Large extraction payload received', {
-        estimatedBytes,
-        elementCount: data.elements.length,
-        tabId: tab.id
-      });
-    }
+    performanceMonitor.end(perfHandle);
+    return meta;
 
-    const frameElements = await discoverAndExtractFrames(tab.id, tab.url, filters, timeout);
-    if (frameElements.length > 0) {
-      data.elements.push(...frameElements);
-      data.totalElements = data.elements.length;
-      logger.debug('Frame elements merged', { frameElementCount: frameElements.length });
-    }
+  } catch (err) {
+    performanceMonitor.end(perfHandle);
+    logWorkflowError(err, signal);
+    throw err;
+  }
+}
+
+function buildViewportOverride(viewport) {
+  return {
+    width:             viewport.width,
+    height:            viewport.height,
+    deviceScaleFactor: viewport.deviceScaleFactor ?? 1,
+    mobile:            viewport.mobile ?? false
+  };
+}
+
+function buildCaptureSetTag(setId, viewport, index, size) {
+  return {
+    id:         setId,
+    viewportId: viewport.id,
+    viewport:   { width: viewport.width, height: viewport.height, mobile: viewport.mobile ?? false },
+    index,
+    size
+  };
+}
 
-    const report = buildReport(data);
+async function rollBackCaptureSet(setId, metas) {
+  if (!metas.length) {return;}
+  const settled = await Promise.allSettled(metas.map(m => storage.deleteReport(m.id)));
+  logger.warn('Partial capture set rolled back', {
+    setId,
+    removed: settled.filter(s => s.status === 'fulfilled').length,
+    total:   metas.length
+  });
+}
 
-    assertReportVersion(report.version);
+async function extractResponsiveSet(filters = null, options = {}, { onProgress, signal } = {}) {
+  const perfHandle = performanceMonitor.start('extract-workflow-responsive');
+  const { viewports, settleMs } = get('extraction.responsive');
+  const setId = crypto.randomUUID();
 
-    await storage.saveReport(report);
+  let tab      = null;
+  let attached = false;
+  const metas  = [];
 
-    logger.info('Report persisted', {
-      reportId:       report.id,
-      version:        report.version,
-      totalElements:  report.totalElements,
-      captureQuality: report.captureQuality,
-      duration:       report.duration
+  try {
+    tab = await TabAdapter.getActiveTab();
+    validateTab(tab);
+
+    logger.info('Responsive extraction requested', {
+      tabId:     tab.id,
+      url:       tab.url,
+      setId,
+      viewports: viewports.map(v => v.id)
     });
 
+    await DebuggerAdapter.attach(tab.id);
+    attached = true;
+
+    for (const [index, viewport] of viewports.entries()) {
+      signal?.throwIfAborted();
+      await DebuggerAdapter.send(tab.id, 'Emulation.setDeviceMetricsOverride', buildViewportOverride(viewport));
+      await new Promise(r => { setTimeout(r, settleMs); });
+
+      const slice  = { index, size: viewports.length, viewportId: viewport.id };
+      const report = await captureTabReport(tab, filters, options, { report: createPhaseReporter(onProgress, slice), signal });
+      report.captureSet = buildCaptureSetTag(setId, viewport, index, viewports.length);
+      metas.push(await persistReport(report));
+
+      logger.debug('Breakpoint captured', { setId, viewportId: viewport.id, totalElements: report.totalElements });
+    }
+
     performanceMonitor.end(perfHandle);
-    return toReportMeta(report);
+    return metas;
 
   } catch (err) {
     performanceMonitor.end(perfHandle);
+    logWorkflowError(err, signal);
+    await rollBackCaptureSet(setId, metas);
+    throw err;
 
-    if (err instanceof ProtocolError) {
-      logger.error('Protocol contract violation — report NOT persisted', {
-        error:           err.message,
-        expectedVersion: err.expectedVersion,
-        actualVersion:   err.actualVersion
-      });
-    } else {
-      logger.error('Extract workflow failed', { error: err.message });
+  } finally {
+    if (attached) {
+      await DebuggerAdapter.send(tab.id, 'Emulation.clearDeviceMetricsOverride').catch(() => undefined);
+      await DebuggerAdapter.detach(tab.id);
     }
-
-    throw err;
   }
 }
 
-export { extractFromActiveTab, ProtocolError };
+export { extractFromActiveTab, extractResponsiveSet, ProtocolError };
 
@@ -0,0 +1,98 @@
+import { DebuggerAdapter } from '../infrastructure/chrome-debugger.js';
+import logger from '../infrastructure/logger.js';
+import { get } from '../config/defaults.js';
+
+const FREEZE_TRANSITIONS_CSS = '*, *::before, *::after { transition: none !important; animation: none !important; }';
+
+function selectStateTargets(elements, maxElements) {
+  return elements
+    .filter(el => el.tier === 'T3' && el.cssSelector && !el.pseudoType && el.frameId === undefined)
+    .slice(0, maxElements);
+}
+
+function diffAgainstResting(computedStyle, restingStyles, properties) {
+  const byName = new Map(computedStyle.map(({ name, value }) => [name, value]));
+  const delta  = Object.create(null);
+  for (const prop of properties) {
+    if (!byName.has(prop)) { continue; }
+    const value = byName.get(prop);
+    if (value !== (restingStyles?.[prop] ?? '')) { delta[prop] = value; }
+  }
+  return delta;
+}
+
+async function resolveNodeId(tabId, rootNodeId, selector) {
+  try {
+    const { nodeId } = await DebuggerAdapter.send(tabId, 'DOM.querySelector', { nodeId: rootNodeId, selector });
+    return nodeId || null;
+  } catch {
+    return null;
+  }
+}
+
+async function captureElementStates(tabId, nodeId, element, states, properties) {
+  const stateStyles = Object.create(null);
+  try {
+    for (const state of states) {
+      await DebuggerAdapter.send(tabId, 'CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [state] });
+      const { computedStyle } = await DebuggerAdapter.send(tabId, 'CSS.getComputedStyleForNode', { nodeId });
+      const delta = diffAgainstResting(computedStyle ?? [], element.styles, properties);
+      if (Object.keys(delta).length > 0) { stateStyles[state] = delta; }
+    }
+  } finally {
+    await DebuggerAdapter.send(tabId, 'CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [] }).catch(() => undefined);
+  }
+  return stateStyles;
+}
+
+async function captureInteractionStates(tabId, elements) {
+  const { states, maxElements } = get('extraction.interactionStates');
+  const properties = get('extraction.cssProperties');
+  const targets    = selectStateTargets(elements, maxElements);
+
+  if (!targets.length) { return 0; }
+
+  const t0 = Date.now();
+  let captured = 0;
+  let attached = false;
+
+  try {
+    await DebuggerAdapter.attach(tabId);
+    attached = true;
+
+    await chrome.scripting.insertCSS({ target: { tabId }, css: FREEZE_TRANSITIONS_CSS });
+    await DebuggerAdapter.send(tabId, 'DOM.enable');
+    await DebuggerAdapter.send(tabId, 'CSS.enable');
+    const { root } = await DebuggerAdapter.send(tabId, 'DOM.getDocument', { depth: 0 });
+
+    for (const element of targets) {
+      const nodeId = await resolveNodeId(tabId, root.nodeId, element.cssSelector);
+      if (!nodeId) { continue; }
+      const stateStyles = await captureElementStates(tabId, nodeId, element, states, properties);
+      if (Object.keys(stateStyles).length > 0) {
+        element.stateStyles = stateStyles;
+        captured++;
+      }
+    }
+
+    logger.info('Interaction states captured', {
+      tabId,
+      candidates: targets.length,
+      captured,
+      elapsed:    Date.now() - t0
+    });
+  } catch (err) {
+    logger.warn('Interaction-state pass failed — resting styles only', { tabId, error: err.message });
+  } finally {
+    await chrome.scripting.removeCSS({ target: { tabId }, css: FREEZE_TRANSITIONS_CSS }).catch(() => undefined);
+    if (attached) {
+      await DebuggerAdapter.send(tabId, 'CSS.disable').catch(() => undefined);
+      await DebuggerAdapter.send(tabId, 'DOM.disable').catch(() => undefined);
+      await DebuggerAdapter.detach(tabId);
+    }
+  }
+
+  return captured;
+}
+
+export { captureInteractionStates };
@@ -0,0 +1,84 @@
+import storage from '../infrastructure/idb-repository.js';
+import logger from '../infrastructure/logger.js';
+
+const PIN_SEPARATOR   = '=>';
+const HPID_PATTERN    = /^\d+(?:\.\d+)*$/;
+const NO_COUNTERPART  = new Set(['none', 'null', '-']);
+
+function urlPatternFor(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    return `${origin}${pathname}*`;
+  } catch {
+    return url;
+  }
+}
+
+function patternToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+function matchesUrlPattern(pattern, url) {
+  if (!pattern || !url) {return false;}
+  return patternToRegExp(pattern).test(url);
+}
+
+function parseElementRef(text) {
+  const value = text.trim();
+  if (!value) {throw new Error('Both sides of a pin are required — use "none" for no counterpart');}
+  if (NO_COUNTERPART.has(value.toLowerCase())) {return null;}
+  return HPID_PATTERN.test(value) ? { hpid: value } : { selector: value };
+}
+
+function parsePinExpression(expression) {
+  const parts = String(expression ?? '').split(PIN_SEPARATOR);
+  if (parts.length !== 2) {
+    throw new Error(`Pin must look like "<baseline> ${PIN_SEPARATOR} <compare>"`);
+  }
+  const baseline = parseElementRef(parts[0]);
+  const compare  = parseElementRef(parts[1]);
+  if (!baseline && !compare) {throw new Error('At least one side of a pin must name an element');}
+  return { baseline, compare };
+}
+
+function formatElementRef(ref) {
+  return ref ? (ref.hpid ?? ref.selector) : 'none';
+}
+
+function formatPin(override) {
+  return `${formatElementRef(override.baseline)} ${PIN_SEPARATOR} ${formatElementRef(override.compare)}`;
+}
+
+async function pinMatch(url, expression) {
+  let parsed;
+  try {
+    parsed = parsePinExpression(expression);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+
+  const override = {
+    id:         crypto.randomUUID(),
+    urlPattern: urlPatternFor(url),
+    baseline:   parsed.baseline,
+    compare:    parsed.compare,
+    timestamp:  new Date().toISOString()
+  };
+  const result = await storage.saveMatchOverride(override);
+  if (result.success) {
+    logger.info('Match override saved', { urlPattern: override.urlPattern, pin: formatPin(override) });
+  }
+  return { ...result, override };
+}
+
+async function loadOverridesForUrl(url) {
+  const overrides = await storage.loadMatchOverrides();
+  return overrides.filter(o => matchesUrlPattern(o.urlPattern, url));
+}
+
+function deleteMatchOverride(id) {
+  return storage.deleteMatchOverride(id);
+}
+
+export { pinMatch, loadOverridesForUrl, deleteMatchOverride, formatPin, parsePinExpression };
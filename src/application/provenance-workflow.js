@@ -0,0 +1,198 @@
+import { DebuggerAdapter } from '../infrastructure/chrome-debugger.js';
+import logger from '../infrastructure/logger.js';
+import { get } from '../config/defaults.js';
+import { CSS_INHERITABLE } from '../core/comparison/comparison-modes.js';
+import { NON_CSS_CATEGORIES } from '../core/comparison/differ.js';
+
+const INLINE_SCOPE = 'element.style';
+
+function isActiveDeclaration(prop, property) {
+  return prop.name === property && prop.disabled !== true && prop.parsedOk !== false;
+}
+
+function findDeclaration(style, property) {
+  return (style?.cssProperties ?? []).find(p => isActiveDeclaration(p, property)) ?? null;
+}
+
+function winningSelector(ruleMatch) {
+  const { rule, matchingSelectors } = ruleMatch;
+  const selectors = rule.selectorList?.selectors ?? [];
+  const idx       = matchingSelectors?.length ? matchingSelectors[matchingSelectors.length - 1] : 0;
+  return selectors[idx]?.text ?? rule.selectorList?.text ?? null;
+}
+
+function describeRule(ruleMatch, declaration, headers, inherited) {
+  const { rule }  = ruleMatch;
+  const header    = headers.get(rule.styleSheetId) ?? null;
+  const range     = rule.style?.range ?? null;
+  const lineBase  = header?.isInline ? (header.startLine ?? 0) : 0;
+  return {
+    selector:      winningSelector(ruleMatch),
+    styleSheetUrl: header?.sourceURL || (header?.isInline ? '<style>' : null),
+    line:          range ? range.startLine + lineBase + 1 : null,
+    origin:        rule.origin,
+    important:     declaration.important === true,
+    inherited
+  };
+}
+
+function describeInline(declaration, inherited) {
+  return {
+    selector:      INLINE_SCOPE,
+    styleSheetUrl: null,
+    line:          null,
+    origin:        'inline',
+    important:     declaration.important === true,
+    inherited
+  };
+}
+
+function resolveFromCascade(inlineStyle, ruleMatches, property, headers, inherited) {
+  for (const important of [true, false]) {
+    const inline = findDeclaration(inlineStyle, property);
+    if (inline && (inline.important === true) === important) {
+      return describeInline(inline, inherited);
+    }
+    for (let i = ruleMatches.length - 1; i >= 0; i--) {
+      const decl = findDeclaration(ruleMatches[i].rule.style, property);
+      if (decl && (decl.important === true) === important) {
+        return describeRule(ruleMatches[i], decl, headers, inherited);
+      }
+    }
+  }
+  return null;
+}
+
+function resolveWinningRule(matched, property, headers) {
+  const own = resolveFromCascade(matched.inlineStyle, matched.matchedCSSRules ?? [], property, headers, false);
+  if (own || !CSS_INHERITABLE.has(property)) { return own; }
+
+  for (const entry of matched.inherited ?? []) {
+    const found = resolveFromCascade(entry.inlineStyle, entry.matchedCSSRules ?? [], property, headers, true);
+    if (found) { return found; }
+  }
+  return null;
+}
+
+function buildProvenanceTargets(modifiedResults, role) {
+  const maxElements = get('comparison.provenance.maxElements');
+  const targets     = [];
+
+  for (const r of modifiedResults) {
+    if (targets.length >= maxElements) { break; }
+    const el = role === 'baseline' ? r.baselineElement : r.compareElement;
+    if (!el?.cssSelector || el.pseudoType || el.frameOwner) { continue; }
+
+    const properties = new Set();
+    for (const d of r.annotatedDifferences ?? []) {
+      if (d.state || NON_CSS_CATEGORIES.has(d.category)) { continue; }
+      properties.add(d.property);
+    }
+    if (properties.size > 0) {
+      targets.push({ id: r.baselineElement.hpid, selector: el.cssSelector, properties: [...properties] });
+    }
+  }
+  return targets;
+}
+
+async function collectRuleProvenance(tabId, targets) {
+  const provenance = new Map();
+  if (!targets.length) { return provenance; }
+
+  const headers  = new Map();
+  const onEvent  = (source, method, params) => {
+    if (source.tabId === tabId && method === 'CSS.styleSheetAdded') {
+      headers.set(params.header.styleSheetId, params.header);
+    }
+  };
+
+  const t0 = Date.now();
+  chrome.debugger.onEvent.addListener(onEvent);
+
+  try {
+    await DebuggerAdapter.send(tabId, 'DOM.enable');
+    await DebuggerAdapter.send(tabId, 'CSS.enable');
+    const { root } = await DebuggerAdapter.send(tabId, 'DOM.getDocument', { depth: 0 });
+
+    for (const { id, selector, properties } of targets) {
+      try {
+        const { nodeId } = await DebuggerAdapter.send(tabId, 'DOM.querySelector', { nodeId: root.nodeId, selector });
+        if (!nodeId) { continue; }
+        const matched = await DebuggerAdapter.send(tabId, 'CSS.getMatchedStylesForNode', { nodeId });
+        const byProp  = Object.create(null);
+        for (const property of properties) {
+          const winner = resolveWinningRule(matched, property, headers);
+          if (winner) { byProp[property] = winner; }
+        }
+        provenance.set(id, byProp);
+      } catch (err) {
+        logger.debug('Provenance lookup skipped', { id, selector, error: err.message });
+      }
+    }
+
+    logger.info('Rule provenance collected', {
+      tabId,
+      targets:  targets.length,
+      resolved: provenance.size,
+      elapsed:  Date.now() - t0
+    });
+  } catch (err) {
+    logger.warn('Provenance pass failed', { tabId, error: err.message });
+  } finally {
+    chrome.debugger.onEvent.removeListener(onEvent);
+    await DebuggerAdapter.send(tabId, 'CSS.disable').catch(() => undefined);
+    await DebuggerAdapter.send(tabId, 'DOM.disable').catch(() => undefined);
+  }
+
+  return provenance;
+}
+
+async function collectTabProvenance(tabId, targets) {
+  if (tabId === null || tabId === undefined || !targets.length) { return new Map(); }
+  try {
+    await DebuggerAdapter.attach(tabId);
+  } catch (err) {
+    logger.warn('Provenance attach failed', { tabId, error: err.message });
+    return new Map();
+  }
+  try {
+    return await collectRuleProvenance(tabId, targets);
+  } finally {
+    await DebuggerAdapter.detach(tabId);
+  }
+}
+
+// Standalone pass for comparisons without screenshots; the visual phase
+// collects provenance itself while it already holds the debugger.
+async function runProvenancePass(comparisonResult, tabContext) {
+  if (!get('comparison.provenance.enabled') || !tabContext) { return 0; }
+  const modified = comparisonResult.comparison.results.filter(r => (r.totalDifferences ?? 0) > 0);
+  if (!modified.length) { return 0; }
+
+  const baseline  = await collectTabProvenance(tabContext.baselineTabId, buildProvenanceTargets(modified, 'baseline'));
+  const compare   = await collectTabProvenance(tabContext.compareTabId,  buildProvenanceTargets(modified, 'compare'));
+  const annotated = attachProvenance(modified, baseline, compare);
+  logger.info('Provenance attached without visual phase', { annotatedDifferences: annotated });
+  return annotated;
+}
+
+function attachProvenance(modifiedResults, baselineProvenance, compareProvenance) {
+  let annotated = 0;
+  for (const r of modifiedResults) {
+    const hpid     = r.baselineElement?.hpid;
+    const baseline = baselineProvenance.get(hpid) ?? null;
+    const compare  = compareProvenance.get(hpid)  ?? null;
+    if (!baseline && !compare) { continue; }
+
+    for (const d of r.annotatedDifferences ?? []) {
+      const b = baseline?.[d.property] ?? null;
+      const c = compare?.[d.property]  ?? null;
+      if (!b && !c) { continue; }
+      d.provenance = { baseline: b, compare: c };
+      annotated++;
+    }
+  }
+  return annotated;
+}
+
+export { buildProvenanceTargets, collectRuleProvenance, attachProvenance, runProvenancePass };
@@ -1,16 +1,16 @@
 import logger from '../infrastructure/logger.js';
 import storage from '../infrastructure/idb-repository.js';
 import { groupIntoKeyframes } from '../core/comparison/keyframe-grouper.js';
+import { get } from '../config/defaults.js';
+import { DebuggerAdapter } from '../infrastructure/chrome-debugger.js';
+import { attachProvenance, buildProvenanceTargets, collectRuleProvenance } from './provenance-workflow.js';
 
 const CAPTURE_SCALE_FACTOR   = 2;
 const CAPTURE_QUALITY        = 85;
 const FREEZE_STYLE_ID        = 'vdiff-freeze-styles';
 const SUPPRESS_ATTR          = 'data-vdiff-suppress';
-const CDP_PROTOCOL           = '1.3';
 const WEBP_MIME              = 'image/webp';
-const CDP_ATTACH_TIMEOUT_MS  = 8_000;
 const CDP_CAPTURE_TIMEOUT_MS = 15_000;
-const CDP_COMMAND_TIMEOUT_MS = 5_000;
 const SCROLL_SETTLE_TIMEOUT_MS   = 800;
 const SCROLL_SETTLE_TOLERANCE_PX = 2;
 const SCROLL_VERIFY_TOLERANCE_PX = 5;
@@ -23,15 +23,6 @@ function ms(start) {
   return `${Date.now() - start}ms`;
 }
 
-function withTimeout(promise, timeoutMs, label) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => {
-      setTimeout(() => reject(new Error(`CDP timeout: ${label} after ${timeoutMs}ms`)), timeoutMs);
-    })
-  ]);
-}
-
 function inPageGetViewport() {
   const width  = Math.floor(window.innerWidth);
   const height = Math.floor(window.innerHeight);
@@ -184,15 +175,37 @@ function inPageScrollAndSettle(targetY, fallbackMs) {
 }
 
 function inPageGetRects(selectorPairs) {
-  const { scrollY } = window;
-  return selectorPairs.map(({ id, selector }) => {
+  const { scrollY }   = window;
+  const scrollable    = new Set(['auto', 'scroll', 'overlay']);
+  const containerKeys = new Map();
+
+  function describeScrollContainer(el) {
+    for (let p = el.parentElement; p && p !== document.body && p !== document.documentElement; p = p.parentElement) {
+      const s        = getComputedStyle(p);
+      const scrollsY = scrollable.has(s.overflowY) && p.scrollHeight > p.clientHeight;
+      const scrollsX = scrollable.has(s.overflowX) && p.scrollWidth  > p.clientWidth;
+      if (!scrollsY && !scrollsX) { continue; }
+      if (!containerKeys.has(p)) { containerKeys.set(p, containerKeys.size); }
+      return {
+        key:    containerKeys.get(p),
+        top:    Math.round(p.getBoundingClientRect().top + p.clientTop + scrollY),
+        height: p.clientHeight
+      };
+    }
+    return null;
+  }
+
+  return selectorPairs.map(({ id, selector, frameRect }) => {
     const domEl = selector ? document.querySelector(selector) : null;
     if (!domEl) { return { id, found: false, usable: false }; }
 
     const matchCount = selector ? document.querySelectorAll(selector).length : 1;
     const selectorAmbiguous = matchCount > 1;
 
-    const r = domEl.getBoundingClientRect();
+    const o = domEl.getBoundingClientRect();
+    const r = frameRect
+      ? { left: o.left + frameRect.x, top: o.top + frameRect.y, width: frameRect.width, height: frameRect.height }
+      : o;
     const w = Math.round(r.width);
     const h = Math.round(r.height);
     if (w === 0 && h === 0) { return { id, found: true, usable: false, selectorAmbiguous }; }
@@ -205,7 +218,8 @@ function inPageGetRects(selectorPairs) {
       documentY: Math.round(r.top + scrollY),
       height:    h,
       width:     w,
-      left:      Math.round(r.left)
+      left:      Math.round(r.left),
+      container: describeScrollContainer(domEl)
     };
   });
 }
@@ -215,7 +229,7 @@ function inPageRemeasureRects(selectorPairs) {
   const vpH           = window.innerHeight;
   const vpW           = window.innerWidth;
 
-  const rects = selectorPairs.map(({ id, selector }) => {
+  const rects = selectorPairs.map(({ id, selector, frameRect }) => {
     const el = selector ? document.querySelector(selector) : null;
     if (!el) {
       return { id, found: false, inViewport: false, misalignReason: 'element-not-found' };
@@ -224,7 +238,17 @@ function inPageRemeasureRects(selectorPairs) {
     const matchCount        = selector ? document.querySelectorAll(selector).length : 1;
     const selectorAmbiguous = matchCount > 1;
 
-    const r = el.getBoundingClientRect();
+    const o = el.getBoundingClientRect();
+    const r = frameRect
+      ? {
+        left:   o.left + frameRect.x,
+        top:    o.top  + frameRect.y,
+        right:  o.left + frameRect.x + frameRect.width,
+        bottom: o.top  + frameRect.y + frameRect.height,
+        width:  frameRect.width,
+        height: frameRect.height
+      }
+      : o;
     const w = Math.round(r.width);
     const h = Math.round(r.height);
     if (w === 0 && h === 0) {
@@ -275,9 +299,9 @@ function inPageGetPseudoStyles(selectorPairs) {
     return styles;
   }
 
-  return selectorPairs.map(({ id, selector }) => {
+  return selectorPairs.map(({ id, selector, frameRect }) => {
     const el = selector ? document.querySelector(selector) : null;
-    if (!el) { return { id, before: null, after: null }; }
+    if (!el || frameRect) { return { id, before: null, after: null }; }
     return {
       id,
       before: collectPseudo(el, '::before'),
@@ -286,14 +310,6 @@ function inPageGetPseudoStyles(selectorPairs) {
   });
 }
 
-function sendCDP(tabId, method, params, timeoutMs = CDP_COMMAND_TIMEOUT_MS) {
-  return withTimeout(
-    chrome.debugger.sendCommand({ tabId }, method, params ?? {}),
-    timeoutMs,
-    `${method} tabId=${tabId}`
-  );
-}
-
 function execInPage(tabId, func, args) {
   return chrome.scripting.executeScript({
     target: { tabId },
@@ -487,9 +503,20 @@ function extractModifiedElements(comparisonResult) {
 function extractSelectorPair(element, role) {
   const roleEl = role === 'baseline' ? element.baselineElement : element.compareElement;
   if (!roleEl) { return null; }
-  const { cssSelector } = roleEl;
+  const { cssSelector, pseudoType, frameOwner, rect } = roleEl;
+  if (frameOwner) {
+    if (!frameOwner.cssSelector || !rect || !frameOwner.rect) { return null; }
+    const frameRect = {
+      x:      rect.x - frameOwner.rect.x,
+      y:      rect.y - frameOwner.rect.y,
+      width:  rect.width,
+      height: rect.height
+    };
+    return { id: element.baselineElement.hpid, selector: frameOwner.cssSelector, frameRect };
+  }
   if (!cssSelector) { return null; }
-  return { id: element.baselineElement.hpid, selector: cssSelector };
+  const selector = pseudoType ? cssSelector.slice(0, -(pseudoType.length + 2)) : cssSelector;
+  return { id: element.baselineElement.hpid, selector };
 }
 
 function buildSelectorPairs(elements, role) {
@@ -500,7 +527,7 @@ async function captureKeyframe(tabId, keyframe, kfSelectorPairs, sessionId, inde
   const { id, scrollY, viewportWidth, viewportHeight, tabRole } = keyframe;
   const kfTag = `[kf ${index + 1}/${total} scrollY=${scrollY}]`;
 
-  await sendCDP(tabId, 'Page.bringToFront');
+  await DebuggerAdapter.send(tabId, 'Page.bringToFront');
   logger.info(`VDIFF ${kfTag} bringToFront DONE`, { tabId, role: tabRole });
 
   const t0 = Date.now();
@@ -533,14 +560,14 @@ async function captureKeyframe(tabId, keyframe, kfSelectorPairs, sessionId, inde
   });
 
   logger.info(`VDIFF ${kfTag} JS freeze START`);
-  await sendCDP(tabId, 'Emulation.setScriptExecutionDisabled', { value: true });
+  await DebuggerAdapter.send(tabId, 'Emulation.setScriptExecutionDisabled', { value: true });
   logger.info(`VDIFF ${kfTag} JS freeze DONE`);
 
   let result;
   try {
     const t1 = Date.now();
     logger.info(`VDIFF ${kfTag} CDP captureScreenshot START`);
-    result = await sendCDP(tabId, 'Page.captureScreenshot', {
+    result = await DebuggerAdapter.send(tabId, 'Page.captureScreenshot', {
       format:           'webp',
       quality:          CAPTURE_QUALITY,
       fromSurface:      true,
@@ -551,7 +578,7 @@ async function captureKeyframe(tabId, keyframe, kfSelectorPairs, sessionId, inde
       b64Bytes: result?.data?.length ?? 0
     });
   } finally {
-    await sendCDP(tabId, 'Emulation.setScriptExecutionDisabled', { value: false });
+    await DebuggerAdapter.send(tabId, 'Emulation.setScriptExecutionDisabled', { value: false });
     logger.info(`VDIFF ${kfTag} JS unfreeze DONE`);
   }
 
@@ -618,38 +645,14 @@ async function safeRestorePage(tabId) {
   await execInPage(tabId, inPageRestoreFixed, [SUPPRESS_ATTR]).catch(() => undefined);
   await execInPage(tabId, inPageRestoreAnimations, [FREEZE_STYLE_ID]).catch(() => undefined);
   await execInPage(tabId, inPageScrollAndSettle, [0, SCROLL_SETTLE_TIMEOUT_MS]).catch(() => undefined);
-  await sendCDP(tabId, 'Emulation.clearDeviceMetricsOverride').catch(() => undefined);
-}
-
-async function safeDetach(tabId) {
-  await chrome.debugger.detach({ tabId }).catch(() => undefined);
-}
-
-async function tryAttach(tabId) {
-  try {
-    const targets = await chrome.debugger.getTargets();
-    const stale   = targets.find(t => t.tabId === tabId && t.attached);
-    if (stale) {
-      logger.warn(`VDIFF stale debugger found on tab ${tabId} — force-detaching`, { targetId: stale.id });
-      await chrome.debugger.detach({ tabId }).catch(() => undefined);
-      await new Promise(r => { setTimeout(r, 200); });
-    }
-  } catch (e) {
-    logger.warn('VDIFF getTargets failed — proceeding with attach', { error: e.message });
-  }
-
-  await withTimeout(
-    chrome.debugger.attach({ tabId }, CDP_PROTOCOL),
-    CDP_ATTACH_TIMEOUT_MS,
-    `debugger.attach tabId=${tabId}`
-  );
+  await DebuggerAdapter.send(tabId, 'Emulation.clearDeviceMetricsOverride').catch(() => undefined);
 }
 
 async function executeTabCapture(tabId, selectorPairs, sessionId, role) {
   const t0 = Date.now();
   logger.info(`VDIFF [${role}] executeTabCapture START`, { tabId, selectorCount: selectorPairs.length });
 
-  await sendCDP(tabId, 'Page.bringToFront');
+  await DebuggerAdapter.send(tabId, 'Page.bringToFront');
   logger.info(`VDIFF [${role}] bringToFront (setup) DONE`, { tabId });
 
   const t1       = Date.now();
@@ -668,7 +671,7 @@ async function executeTabCapture(tabId, selectorPairs, sessionId, role) {
     logger.warn(`VDIFF [${role}] DevTools detected — bypassing with computed targetHeight`, {
       innerH: viewport.height, outerH: viewport.outerHeight, heightGap, targetHeight
     });
-    await sendCDP(tabId, 'Emulation.setDeviceMetricsOverride',
+    await DebuggerAdapter.send(tabId, 'Emulation.setDeviceMetricsOverride',
       buildMetricsOverride(viewport, 0, targetHeight));
     logger.info(`VDIFF [${role}] setDeviceMetricsOverride (DevTools bypass, pre-lock) DONE`);
     confirmedHeight = await execInPage(tabId, () => Math.floor(window.innerHeight)) ?? targetHeight;
@@ -699,7 +702,7 @@ async function executeTabCapture(tabId, selectorPairs, sessionId, role) {
   });
 
   const t2 = Date.now();
-  await sendCDP(tabId, 'Emulation.setDeviceMetricsOverride',
+  await DebuggerAdapter.send(tabId, 'Emulation.setDeviceMetricsOverride',
     buildMetricsOverride(viewport, lockResult?.scrollbarWidth ?? 0, devToolsDetected ? confirmedHeight : undefined));
   logger.info(`VDIFF [${role}] setDeviceMetricsOverride DONE`, { elapsed: ms(t2), devToolsDetected });
 
@@ -781,17 +784,18 @@ async function executeTabCapture(tabId, selectorPairs, sessionId, role) {
   return { manifest, devToolsWarning };
 }
 
-async function runTabCapture(tabId, selectorPairs, sessionId, role) {
+async function runTabCapture(tabId, selectorPairs, sessionId, role, provenanceTargets) {
   let attached = false;
   const t0 = Date.now();
   logger.info(`VDIFF [${role}] attach START`, { tabId });
 
   try {
-    await tryAttach(tabId);
+    await DebuggerAdapter.attach(tabId);
     attached = true;
     logger.info(`VDIFF [${role}] attach DONE`, { elapsed: ms(t0), tabId });
+    const provenance = await collectRuleProvenance(tabId, provenanceTargets);
     const execResult = await executeTabCapture(tabId, selectorPairs, sessionId, role);
-    return { manifest: execResult.manifest, devToolsWarning: execResult.devToolsWarning };
+    return { manifest: execResult.manifest, devToolsWarning: execResult.devToolsWarning, provenance };
 
   } catch (err) {
     const msg = err?.message ?? String(err);
@@ -807,20 +811,25 @@ async function runTabCapture(tabId, selectorPairs, sessionId, role) {
     if (attached) {
       logger.info(`VDIFF [${role}] restoring page + detaching`, { tabId });
       await safeRestorePage(tabId).catch(() => undefined);
-      await safeDetach(tabId);
+      await DebuggerAdapter.detach(tabId);
       logger.info(`VDIFF [${role}] detach DONE`, { tabId });
     }
   }
 }
 
-async function captureRoleSequential(tabId, selectorPairs, sessionId, role) {
+async function captureRoleSequential(tabId, selectorPairs, sessionId, role, provenanceTargets = []) {
+  const empty = { manifest: new Map(), devToolsWarning: null, provenance: new Map() };
   if (tabId === null || tabId === undefined) {
     logger.warn(`VDIFF [${role}] tabId is null, skipping`);
-    return { manifest: new Map(), devToolsWarning: null };
+    return empty;
   }
-  const result = await runTabCapture(tabId, selectorPairs, sessionId, role);
-  if (result === null) { return { manifest: new Map(), devToolsWarning: null }; }
-  return { manifest: result.manifest ?? new Map(), devToolsWarning: result.devToolsWarning ?? null };
+  const result = await runTabCapture(tabId, selectorPairs, sessionId, role, provenanceTargets);
+  if (result === null) { return empty; }
+  return {
+    manifest:        result.manifest        ?? new Map(),
+    devToolsWarning: result.devToolsWarning ?? null,
+    provenance:      result.provenance      ?? new Map()
+  };
 }
 
 async function captureVisualDiffs(comparisonResult, tabContext) {
@@ -848,6 +857,9 @@ async function captureVisualDiffs(comparisonResult, tabContext) {
   const { baselineTabId, compareTabId } = tabContext;
   const baselinePairs                   = buildSelectorPairs(modified, 'baseline');
   const comparePairs                    = buildSelectorPairs(modified, 'compare');
+  const withProvenance                  = get('comparison.provenance.enabled');
+  const baselineTargets                 = withProvenance ? buildProvenanceTargets(modified, 'baseline') : [];
+  const compareTargets                  = withProvenance ? buildProvenanceTargets(modified, 'compare')  : [];
 
   logger.info('VDIFF session init', {
     sessionId,
@@ -860,12 +872,17 @@ async function captureVisualDiffs(comparisonResult, tabContext) {
 
   try {
     logger.info('VDIFF running SEQUENTIAL (bringToFront requires exclusive focus)');
-    const baselineResult  = await captureRoleSequential(baselineTabId, baselinePairs, sessionId, 'baseline');
-    const compareResult   = await captureRoleSequential(compareTabId,  comparePairs,  sessionId, 'compare');
+    const baselineResult  = await captureRoleSequential(baselineTabId, baselinePairs, sessionId, 'baseline', baselineTargets);
+    const compareResult   = await captureRoleSequential(compareTabId,  comparePairs,  sessionId, 'compare',  compareTargets);
     const baselineManifest = baselineResult.manifest ?? new Map();
     const compareManifest  = compareResult.manifest  ?? new Map();
     const devToolsWarnings = [baselineResult.devToolsWarning, compareResult.devToolsWarning].filter(Boolean);
 
+    if (withProvenance) {
+      const annotated = attachProvenance(modified, baselineResult.provenance, compareResult.provenance);
+      logger.info('VDIFF provenance attached', { annotatedDifferences: annotated });
+    }
+
     logger.info('VDIFF both tabs captured', {
       baselineSize:    baselineManifest.size,
       compareSize:     compareManifest.size,
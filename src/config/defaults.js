@@ -1,14 +1,23 @@
 const rawConfig = {
 
   schema: {
-    includeStyles:         true,
-    includeAttributes:     true,
-    includeRect:           true,
-    includeNeighbours:     false,
-    includeClassHierarchy: false,
-    includeTier:           true,
-    includeClassMeta:      true,
-    includePageSection:    true,
+    includeStyles:           true,
+    includeAttributes:       true,
+    includeRect:             true,
+    includeNeighbours:       false,
+    includeClassHierarchy:   false,
+    includeTier:             true,
+    includeClassMeta:        true,
+    includePageSection:      true,
+    includePseudoElements:   true,
+    includeCustomProperties: true,
+    includeTextContrast:     true,
+    includeTextLayout:       true,
+    includeAssets:           true,
+    includeGraphics:         true,
+    includeFormState:        true,
+    includeStacking:         true,
+    includeScrollContainer:  true,
 
     record: {
       textContent: {
@@ -77,6 +86,84 @@ const rawConfig = {
       'box-shadow', 'text-shadow'
     ],
 
+    pseudoElements: ['::before', '::after'],
+
+    pseudoCssProperties: [
+      'content', 'display', 'position', 'top', 'right', 'bottom', 'left',
+      'width', 'height', 'transform', 'z-index',
+      'color', 'background-color', 'opacity', 'visibility',
+      'font-family', 'font-size', 'font-weight',
+      'padding', 'margin', 'border', 'border-radius', 'box-shadow'
+    ],
+
+    interactionStates: {
+      states:      ['hover', 'focus-visible', 'active', 'disabled'],
+      maxElements: 300
+    },
+
+    customProperties: {
+      maxPerElement: 200
+    },
+
+    responsive: {
+      viewports: [
+        { id: 'mobile',  width: 375,  height: 812,  deviceScaleFactor: 2, mobile: true  },
+        { id: 'tablet',  width: 768,  height: 1024, deviceScaleFactor: 2, mobile: true  },
+        { id: 'desktop', width: 1440, height: 900,  deviceScaleFactor: 1, mobile: false }
+      ],
+      settleMs: 400
+    },
+
+    autoScroll: {
+      maxSteps:      40,
+      stepTimeoutMs: 2000
+    },
+
+    assets: {
+      hashSize:       32,
+      maxFetches:     200,
+      fetchTimeoutMs: 3000,
+      concurrency:    6
+    },
+
+    graphics: {
+      maxShapes:      500,
+      maxTexts:       200,
+      canvasHashSize: 64
+    },
+
+    accessibility: {
+      states: [
+        'disabled', 'hidden', 'checked', 'pressed', 'expanded', 'selected',
+        'required', 'invalid', 'readonly', 'modal', 'haspopup', 'level', 'busy'
+      ],
+      maxElements: 5000
+    },
+
+    exclusions: {
+      global: [
+        '#onetrust-consent-sdk', '#CybotCookiebotDialog', '.cc-window',
+        '#intercom-container', '#hubspot-messages-iframe-container',
+        'ins.adsbygoogle', '[id^="div-gpt-ad"]', 'iframe[id^="google_ads_iframe"]'
+      ],
+      domains: {
+        'youtube.com': ['ytd-ad-slot-renderer', '#player-ads', 'ytd-banner-promo-renderer']
+      }
+    },
+
+    redaction: {
+      enabled:    true,
+      attributes: ['href', 'value', 'aria-label', 'title', 'alt', 'placeholder'],
+      maskSelectors: [
+        '[data-redact]', '[data-pii]', 'input[type="email"]', 'input[type="tel"]', '[autocomplete^="cc-"]'
+      ],
+      rules: [
+        { name: 'email', pattern: '[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+' },
+        { name: 'card',  pattern: '\\b\\d(?:[ -]?\\d){12,18}\\b', luhn: true },
+        { name: 'jwt',   pattern: '\\beyJ[\\w-]+\\.[\\w-]+\\.[\\w-]+' }
+      ]
+    },
+
     styleCategories: ['typography', 'colors', 'spacing', 'layout', 'borders']
   },
 
@@ -122,6 +209,7 @@ const rawConfig = {
         { id: 'id',            confidence: 0.90, enabled: true, label: 'Anchoring by element ID\u2026' },
         { id: 'css-selector',  confidence: 0.80, enabled: true, label: 'Structural match by CSS\u2026' },
         { id: 'xpath',         confidence: 0.78, enabled: true, label: 'Structural match by XPath\u2026' },
+        { id: 'text-similarity', confidence: 0.60, enabled: true, label: 'Matching by text content\u2026' },
         { id: 'position',      confidence: 0.30, enabled: true, label: 'Positional matching\u2026' }
       ],
 
@@ -133,6 +221,27 @@ const rawConfig = {
         suffixConf:      0.85
       },
 
+      textSimilarity: {
+        minSimilarity: 0.6,
+        minLength:     3,
+        maxLength:     200,
+        maxCandidates: 150
+      },
+
+      globalAssignment: {
+        enabled:           false,
+        confidence:        0.55,
+        minScore:          0.45,
+        maxPairs:          10000,
+        geometryTolerance: 200,
+        weights: { selector: 0.25, hpid: 0.20, text: 0.25, geometry: 0.15, styles: 0.15 }
+      },
+
+      trace: {
+        enabled: true,
+        topN:    3
+      },
+
       confidenceThreshold: 0.5,
       positionTolerance:   50,
       minMatchThreshold:   0.70,
@@ -147,8 +256,10 @@ const rawConfig = {
     },
 
     severity: {
-      critical: ['display', 'visibility', 'position', 'z-index'],
+      critical: ['display', 'visibility', 'position', 'z-index', 'contrast-ratio', 'paint-order'],
       high: [
+        'content', 'text:truncated', 'asset:hash', 'asset:intrinsic-size',
+        'svg:path', 'svg:text', 'canvas:pixels', 'form:disabled', 'form:required',
         'width', 'height', 'max-width', 'max-height', 'min-width', 'min-height',
         'color', 'background-color', 'opacity',
         'font-size', 'font-family', 'font-weight'
@@ -158,7 +269,10 @@ const rawConfig = {
         'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
         'border-top-width', 'border-bottom-width', 'border-left-width', 'border-right-width',
         'border-top-color', 'border-bottom-color', 'border-left-color', 'border-right-color',
-        'line-height', 'text-align', 'font-style'
+        'line-height', 'text-align', 'font-style',
+        'text:lines', 'text:overflow', 'asset:src', 'asset:object-fit',
+        'svg:fill', 'svg:shape', 'canvas:size',
+        'form:value', 'form:checked', 'form:selectedIndex', 'form:validity'
       ]
     },
 
@@ -183,6 +297,25 @@ const rawConfig = {
       position: ['top', 'right', 'bottom', 'left', 'z-index']
     },
 
+    provenance: {
+      enabled:     true,
+      maxElements: 150
+    },
+
+    contrast: {
+      enabled: true,
+      level:   'AA'
+    },
+
+    occlusion: {
+      enabled:       true,
+      maxCandidates: 1500
+    },
+
+    structuralChanges: {
+      enabled: true
+    },
+
     modes: {
       dynamic: {
         compareProperties: [
@@ -200,19 +333,32 @@ const rawConfig = {
           'justify-content', 'align-items', 'align-self',
           'grid-template-columns', 'grid-template-rows',
           'border-width', 'border-style', 'border-color', 'border-radius',
-          'box-shadow'
+          'box-shadow', 'content'
         ],
         compareTextContent:       false,
         structuralOnlyAttributes: [
           'role', 'aria-label', 'aria-labelledby', 'aria-describedby',
           'type', 'name', 'data-testid', 'data-test', 'data-qa', 'data-cy'
         ],
-        tolerances: { color: 8, size: 5, opacity: 0.05 }
+        tolerances:      { color: 8, size: 5, opacity: 0.05 },
+        formStateFields: ['disabled', 'required', 'validity']
       },
       static: {
         compareProperties:  null,
         compareTextContent: true,
-        tolerances:         { color: 5, size: 3, opacity: 0.01 }
+        tolerances:         { color: 5, size: 3, opacity: 0.01 },
+        formStateFields:    ['value', 'checked', 'selectedIndex', 'disabled', 'required', 'validity', 'placeholderShown']
+      },
+      accessibility: {
+        severity: {
+          critical: ['a11y:role', 'a11y:name', 'a11y:focusable', 'a11y:ignored', 'contrast-ratio'],
+          high: [
+            'a11y:state:disabled', 'a11y:state:hidden', 'a11y:state:checked',
+            'a11y:state:pressed', 'a11y:state:expanded', 'a11y:state:selected',
+            'a11y:state:required', 'a11y:state:invalid'
+          ],
+          medium: ['a11y:description', 'a11y:state:level', 'a11y:state:haspopup', 'a11y:state:modal']
+        }
       }
     },
 
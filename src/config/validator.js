@@ -10,6 +10,15 @@ const REQUIRED_PATHS = [
   'schema.includeTier',
   'schema.includeClassMeta',
   'schema.includePageSection',
+  'schema.includePseudoElements',
+  'schema.includeCustomProperties',
+  'schema.includeTextContrast',
+  'schema.includeTextLayout',
+  'schema.includeAssets',
+  'schema.includeGraphics',
+  'schema.includeFormState',
+  'schema.includeStacking',
+  'schema.includeScrollContainer',
   'schema.record.textContent.maxLength',
   'schema.enrichment.neighbours.maxParentClasses',
   'schema.enrichment.neighbours.maxChildrenTypes',
@@ -26,6 +35,30 @@ const REQUIRED_PATHS = [
   'extraction.hardTimeoutMs',
   'extraction.irrelevantTags',
   'extraction.cssProperties',
+  'extraction.pseudoElements',
+  'extraction.pseudoCssProperties',
+  'extraction.interactionStates.states',
+  'extraction.interactionStates.maxElements',
+  'extraction.customProperties.maxPerElement',
+  'extraction.responsive.viewports',
+  'extraction.responsive.settleMs',
+  'extraction.autoScroll.maxSteps',
+  'extraction.autoScroll.stepTimeoutMs',
+  'extraction.assets.hashSize',
+  'extraction.assets.maxFetches',
+  'extraction.assets.fetchTimeoutMs',
+  'extraction.assets.concurrency',
+  'extraction.graphics.maxShapes',
+  'extraction.graphics.maxTexts',
+  'extraction.graphics.canvasHashSize',
+  'extraction.accessibility.states',
+  'extraction.accessibility.maxElements',
+  'extraction.exclusions.global',
+  'extraction.exclusions.domains',
+  'extraction.redaction.enabled',
+  'extraction.redaction.attributes',
+  'extraction.redaction.maskSelectors',
+  'extraction.redaction.rules',
 
   'selectors.generateCSS',
   'selectors.generateXPath',
@@ -47,6 +80,18 @@ const REQUIRED_PATHS = [
   'comparison.tolerances.size',
   'comparison.tolerances.opacity',
   'comparison.matching.positionTolerance',
+  'comparison.matching.textSimilarity.minSimilarity',
+  'comparison.matching.textSimilarity.minLength',
+  'comparison.matching.textSimilarity.maxLength',
+  'comparison.matching.textSimilarity.maxCandidates',
+  'comparison.matching.globalAssignment.enabled',
+  'comparison.matching.globalAssignment.confidence',
+  'comparison.matching.globalAssignment.minScore',
+  'comparison.matching.globalAssignment.maxPairs',
+  'comparison.matching.globalAssignment.geometryTolerance',
+  'comparison.matching.globalAssignment.weights',
+  'comparison.matching.trace.enabled',
+  'comparison.matching.trace.topN',
 
   'comparison.severity.critical',
   'comparison.severity.high',
@@ -58,11 +103,24 @@ const REQUIRED_PATHS = [
   'comparison.propertyCategories.spacing',
   'comparison.propertyCategories.position',
 
+  'comparison.provenance.enabled',
+  'comparison.provenance.maxElements',
+  'comparison.contrast.enabled',
+  'comparison.contrast.level',
+  'comparison.occlusion.enabled',
+  'comparison.occlusion.maxCandidates',
+  'comparison.structuralChanges.enabled',
+
   'comparison.modes.dynamic.compareProperties',
   'comparison.modes.dynamic.compareTextContent',
   'comparison.modes.dynamic.tolerances',
   'comparison.modes.static.compareTextContent',
   'comparison.modes.static.tolerances',
+  'comparison.modes.static.formStateFields',
+  'comparison.modes.dynamic.formStateFields',
+  'comparison.modes.accessibility.severity.critical',
+  'comparison.modes.accessibility.severity.high',
+  'comparison.modes.accessibility.severity.medium',
 
   'normalization.cache.enabled',
   'normalization.cache.maxEntries',
@@ -107,6 +165,15 @@ const TYPE_EXPECTATIONS = [
   { path: 'schema.includeTier',            type: 'boolean' },
   { path: 'schema.includeClassMeta',       type: 'boolean' },
   { path: 'schema.includePageSection',     type: 'boolean' },
+  { path: 'schema.includePseudoElements',  type: 'boolean' },
+  { path: 'schema.includeCustomProperties', type: 'boolean' },
+  { path: 'schema.includeTextContrast',    type: 'boolean' },
+  { path: 'schema.includeTextLayout',      type: 'boolean' },
+  { path: 'schema.includeAssets',          type: 'boolean' },
+  { path: 'schema.includeGraphics',        type: 'boolean' },
+  { path: 'schema.includeFormState',       type: 'boolean' },
+  { path: 'schema.includeStacking',        type: 'boolean' },
+  { path: 'schema.includeScrollContainer', type: 'boolean' },
   { path: 'schema.record.textContent.maxLength',               type: 'number' },
   { path: 'schema.enrichment.neighbours.maxParentClasses',     type: 'number' },
   { path: 'schema.enrichment.neighbours.maxChildrenTypes',     type: 'number' },
@@ -122,6 +189,29 @@ const TYPE_EXPECTATIONS = [
   { path: 'extraction.hardTimeoutMs',       type: 'number' },
   { path: 'extraction.irrelevantTags',      type: 'array' },
   { path: 'extraction.cssProperties',       type: 'array' },
+  { path: 'extraction.pseudoElements',      type: 'array' },
+  { path: 'extraction.pseudoCssProperties', type: 'array' },
+  { path: 'extraction.interactionStates.states',      type: 'array' },
+  { path: 'extraction.interactionStates.maxElements', type: 'number' },
+  { path: 'extraction.responsive.viewports',          type: 'array' },
+  { path: 'extraction.responsive.settleMs',           type: 'number' },
+  { path: 'extraction.autoScroll.maxSteps',           type: 'number' },
+  { path: 'extraction.autoScroll.stepTimeoutMs',      type: 'number' },
+  { path: 'extraction.assets.hashSize',               type: 'number' },
+  { path: 'extraction.assets.maxFetches',             type: 'number' },
+  { path: 'extraction.assets.fetchTimeoutMs',         type: 'number' },
+  { path: 'extraction.assets.concurrency',            type: 'number' },
+  { path: 'extraction.graphics.maxShapes',            type: 'number' },
+  { path: 'extraction.graphics.maxTexts',             type: 'number' },
+  { path: 'extraction.graphics.canvasHashSize',       type: 'number' },
+  { path: 'extraction.accessibility.states',          type: 'array' },
+  { path: 'extraction.accessibility.maxElements',     type: 'number' },
+  { path: 'extraction.exclusions.global',             type: 'array' },
+  { path: 'extraction.exclusions.domains',            type: 'object' },
+  { path: 'extraction.redaction.enabled',             type: 'boolean' },
+  { path: 'extraction.redaction.attributes',          type: 'array' },
+  { path: 'extraction.redaction.maskSelectors',       type: 'array' },
+  { path: 'extraction.redaction.rules',               type: 'array' },
   { path: 'selectors.generateCSS',          type: 'boolean' },
   { path: 'selectors.generateXPath',        type: 'boolean' },
   { path: 'selectors.concurrency',          type: 'number' },
@@ -130,12 +220,36 @@ const TYPE_EXPECTATIONS = [
   { path: 'selectors.css.perStrategyTimeout',   type: 'number' },
   { path: 'comparison.matching.anchorAttributes', type: 'array' },
   { path: 'comparison.matching.strategies',       type: 'array' },
+  { path: 'comparison.matching.textSimilarity.minSimilarity', type: 'number' },
+  { path: 'comparison.matching.textSimilarity.minLength',     type: 'number' },
+  { path: 'comparison.matching.textSimilarity.maxLength',     type: 'number' },
+  { path: 'comparison.matching.textSimilarity.maxCandidates', type: 'number' },
+  { path: 'comparison.matching.globalAssignment.enabled',           type: 'boolean' },
+  { path: 'comparison.matching.globalAssignment.confidence',        type: 'number' },
+  { path: 'comparison.matching.globalAssignment.minScore',          type: 'number' },
+  { path: 'comparison.matching.globalAssignment.maxPairs',          type: 'number' },
+  { path: 'comparison.matching.globalAssignment.geometryTolerance', type: 'number' },
+  { path: 'comparison.matching.globalAssignment.weights',           type: 'object' },
+  { path: 'comparison.matching.trace.enabled',                      type: 'boolean' },
+  { path: 'comparison.matching.trace.topN',                         type: 'number' },
   { path: 'comparison.tolerances.color',    type: 'number' },
   { path: 'comparison.tolerances.size',     type: 'number' },
   { path: 'comparison.severity.critical',   type: 'array' },
   { path: 'comparison.severity.high',       type: 'array' },
   { path: 'comparison.severity.medium',     type: 'array' },
   { path: 'comparison.modes.dynamic.compareProperties', type: 'array' },
+  { path: 'comparison.modes.dynamic.formStateFields',   type: 'array' },
+  { path: 'comparison.modes.static.formStateFields',    type: 'array' },
+  { path: 'comparison.modes.accessibility.severity.critical', type: 'array' },
+  { path: 'comparison.modes.accessibility.severity.high',     type: 'array' },
+  { path: 'comparison.modes.accessibility.severity.medium',   type: 'array' },
+  { path: 'comparison.provenance.enabled',      type: 'boolean' },
+  { path: 'comparison.provenance.maxElements',  type: 'number' },
+  { path: 'comparison.contrast.enabled',        type: 'boolean' },
+  { path: 'comparison.contrast.level',          type: 'string' },
+  { path: 'comparison.occlusion.enabled',       type: 'boolean' },
+  { path: 'comparison.occlusion.maxCandidates', type: 'number' },
+  { path: 'comparison.structuralChanges.enabled', type: 'boolean' },
   { path: 'infrastructure.timeout.default', type: 'number' },
   { path: 'logging.slowOperationThreshold', type: 'number' },
   { path: 'attributes.priority',            type: 'array' },
@@ -155,12 +269,36 @@ const SANITY_CHECKS = [
   { path: 'extraction.maxElements',             min: 100,  max: 100000 },
   { path: 'extraction.stabilityWindowMs',       min: 100,  max: 10000  },
   { path: 'extraction.hardTimeoutMs',           min: 1000, max: 30000  },
+  { path: 'extraction.interactionStates.maxElements', min: 1,  max: 5000 },
+  { path: 'extraction.responsive.settleMs',           min: 0,  max: 10000 },
+  { path: 'extraction.autoScroll.maxSteps',           min: 1,  max: 500   },
+  { path: 'extraction.autoScroll.stepTimeoutMs',      min: 100, max: 30000 },
+  { path: 'extraction.accessibility.maxElements',     min: 1,  max: 100000 },
+  { path: 'extraction.assets.hashSize',               min: 4,  max: 256   },
+  { path: 'extraction.assets.maxFetches',             min: 0,  max: 5000  },
+  { path: 'extraction.assets.fetchTimeoutMs',         min: 100, max: 30000 },
+  { path: 'extraction.assets.concurrency',            min: 1,  max: 32    },
+  { path: 'extraction.graphics.maxShapes',            min: 1,  max: 10000 },
+  { path: 'extraction.graphics.maxTexts',             min: 1,  max: 5000  },
+  { path: 'extraction.graphics.canvasHashSize',       min: 4,  max: 512   },
+  { path: 'extraction.customProperties.maxPerElement', min: 1, max: 2000 },
   { path: 'selectors.concurrency',              min: 1,    max: 32     },
   { path: 'selectors.totalTimeout',             min: 100,  max: 10000  },
   { path: 'selectors.xpath.perStrategyTimeout', min: 10,   max: 2000   },
   { path: 'selectors.css.perStrategyTimeout',   min: 5,    max: 1000   },
   { path: 'comparison.tolerances.color',        min: 0,    max: 255    },
+  { path: 'comparison.matching.textSimilarity.minSimilarity', min: 0, max: 1     },
+  { path: 'comparison.matching.textSimilarity.minLength',     min: 3, max: 200   },
+  { path: 'comparison.matching.textSimilarity.maxLength',     min: 8, max: 2000  },
+  { path: 'comparison.matching.textSimilarity.maxCandidates', min: 1, max: 10000 },
+  { path: 'comparison.matching.globalAssignment.confidence',        min: 0,  max: 1      },
+  { path: 'comparison.matching.globalAssignment.minScore',          min: 0,  max: 1      },
+  { path: 'comparison.matching.globalAssignment.maxPairs',          min: 1,  max: 250000 },
+  { path: 'comparison.matching.globalAssignment.geometryTolerance', min: 1,  max: 10000  },
+  { path: 'comparison.matching.trace.topN',                         min: 1,  max: 20     },
   { path: 'comparison.tolerances.size',         min: 0,    max: 100    },
+  { path: 'comparison.provenance.maxElements',  min: 1,    max: 2000   },
+  { path: 'comparison.occlusion.maxCandidates', min: 2,    max: 20000  },
   { path: 'infrastructure.timeout.default',     min: 100,  max: 300000 },
   { path: 'logging.slowOperationThreshold',     min: 50,   max: 30000  }
 ];
@@ -188,6 +326,46 @@ function validateStrategies(errors) {
   }
 }
 
+function validateViewports(errors) {
+  try {
+    const viewports = get('extraction.responsive.viewports');
+    if (!Array.isArray(viewports) || viewports.length === 0) {
+      errors.push('[Config] "extraction.responsive.viewports" must be a non-empty array');
+      return;
+    }
+    const seen = new Set();
+    for (const v of viewports) {
+      if (typeof v.id !== 'string' || seen.has(v.id)) {
+        errors.push(`[Config] Viewport entry needs a unique "id": ${JSON.stringify(v)}`);
+      }
+      seen.add(v.id);
+      if (!Number.isInteger(v.width) || !Number.isInteger(v.height) || v.width <= 0 || v.height <= 0) {
+        errors.push(`[Config] Viewport "${v.id}" has invalid dimensions: ${v.width}x${v.height}`);
+      }
+    }
+  } catch {
+    errors.push('[Config] "extraction.responsive.viewports" could not be validated');
+  }
+}
+
+function validateRedactionRules(errors) {
+  try {
+    for (const rule of get('extraction.redaction.rules')) {
+      if (typeof rule.name !== 'string' || typeof rule.pattern !== 'string') {
+        errors.push(`[Config] Redaction rule needs "name" and "pattern" strings: ${JSON.stringify(rule)}`);
+        continue;
+      }
+      try {
+        new RegExp(rule.pattern, 'giu');
+      } catch (err) {
+        errors.push(`[Config] Redaction rule "${rule.name}" has an invalid pattern: ${err.message}`);
+      }
+    }
+  } catch {
+    errors.push('[Config] "extraction.redaction.rules" could not be validated');
+  }
+}
+
 function checkRequiredPaths(errors) {
   for (const path of REQUIRED_PATHS) {
     try {
@@ -233,6 +411,8 @@ function validateConfig({ throwOnError = true } = {}) {
   checkTypeExpectations(errors);
   checkSanityRanges(errors);
   validateStrategies(errors);
+  validateViewports(errors);
+  validateRedactionRules(errors);
 
   const valid = errors.length === 0;
 
@@ -0,0 +1,57 @@
+function hungarian(cost, rows, cols) {
+  const u   = new Float64Array(rows + 1);
+  const v   = new Float64Array(cols + 1);
+  const p   = new Int32Array(cols + 1);
+  const way = new Int32Array(cols + 1);
+
+  for (let i = 1; i <= rows; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Float64Array(cols + 1).fill(Infinity);
+    const used = new Uint8Array(cols + 1);
+    do {
+      used[j0] = 1;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1    = 0;
+      for (let j = 1; j <= cols; j++) {
+        if (used[j]) { continue; }
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+        if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+      }
+      for (let j = 0; j <= cols; j++) {
+        if (used[j]) { u[p[j]] += delta; v[j] -= delta; }
+        else         { minv[j] -= delta; }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const assignment = new Array(rows).fill(-1);
+  for (let j = 1; j <= cols; j++) {
+    if (p[j] !== 0) { assignment[p[j] - 1] = j - 1; }
+  }
+  return assignment;
+}
+
+function solveAssignment(cost) {
+  const rows = cost.length;
+  const cols = rows > 0 ? cost[0].length : 0;
+  if (rows === 0 || cols === 0) { return []; }
+
+  if (rows <= cols) { return hungarian(cost, rows, cols); }
+
+  const transposed = Array.from({ length: cols }, (_, j) => cost.map(row => row[j]));
+  const byCol      = hungarian(transposed, cols, rows);
+  const assignment = new Array(rows).fill(-1);
+  byCol.forEach((i, j) => { if (i !== -1) { assignment[i] = j; } });
+  return assignment;
+}
+
+export { solveAssignment };
@@ -2,7 +2,7 @@ function parseRgba(value) {
   if (typeof value !== 'string') {return null;}
   const m = value.match(/rgba?\s*\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([0-9.]+))?\s*\)/);
   if (!m) {return null;}
-  return { r: Number(m[1]), g: Number(m[2]), b: Number(m[3]), a: m[4] !== null ? Number(m[4]) : 1 };
+  return { r: Number(m[1]), g: Number(m[2]), b: Number(m[3]), a: m[4] !== undefined ? Number(m[4]) : 1 };
 }
 
 function parsePx(value) {
@@ -19,5 +19,18 @@ function relativeLuminance({ r, g, b }) {
   return 0.2126 * toLinear(r) + 0.7152 * toLinear(g) + 0.0722 * toLinear(b);
 }
 
-export { parsePx, parseRgba, relativeLuminance };
+function blendOver(top, bottom) {
+  const a = top.a + bottom.a * (1 - top.a);
+  if (a === 0) {return { r: 0, g: 0, b: 0, a: 0 };}
+  const mix = (t, b) => Math.round((t * top.a + b * bottom.a * (1 - top.a)) / a);
+  return { r: mix(top.r, bottom.r), g: mix(top.g, bottom.g), b: mix(top.b, bottom.b), a };
+}
+
+function contrastRatio(foreground, background) {
+  const l1 = relativeLuminance(foreground);
+  const l2 = relativeLuminance(background);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+export { parsePx, parseRgba, relativeLuminance, blendOver, contrastRatio };
 
@@ -1,5 +1,7 @@
 import { ElementMatcher } from './matcher.js';
-import { StaticComparisonMode, DynamicComparisonMode } from './comparison-modes.js';
+import { StaticComparisonMode, DynamicComparisonMode, AccessibilityComparisonMode } from './comparison-modes.js';
+import { TokenAnalyzer } from './token-analyzer.js';
+import { detectStructuralChanges } from './structural-changes.js';
 import { progressFrame, resultFrame } from './async-utils.js';
 
 const MATCHING_PCT_WEIGHT    = 0.5;
@@ -35,7 +37,8 @@ function buildUnmatchedSummary(elements) {
     xpath:       el.xpath        ?? null,
     textContent: el.textContent  ?? null,
     depth:       el.depth        ?? null,
-    tier:        el.tier         ?? null
+    tier:        el.tier         ?? null,
+    pageSection: el.pageSection  ?? null
   }));
 }
 
@@ -49,6 +52,8 @@ function buildMatchingMetadata(matchingResult) {
     ambiguousCount,
     unmatchedBaseline: unmatchedBaseCount,
     unmatchedCompare:  unmatchedCmpCount,
+    pinnedCount:       matchingResult.matches.filter(m => m.overrideId).length,
+    structuralCount:   matchingResult.matches.filter(m => m.structuralChange).length,
     matchRate:         calculateMatchRate(totalMatched, unmatchedBaseCount, unmatchedCmpCount)
   };
 }
@@ -56,22 +61,26 @@ function buildMatchingMetadata(matchingResult) {
 class Comparator {
   #matcher;
   #modes;
-
-  constructor({ matcher, modes } = {}) {
-    this.#matcher = matcher ?? new ElementMatcher();
-    this.#modes   = modes ?? {
-      static:  new StaticComparisonMode(),
-      dynamic: new DynamicComparisonMode()
+  #tokenAnalyzer;
+
+  constructor({ matcher, modes, tokenAnalyzer } = {}) {
+    this.#matcher       = matcher       ?? new ElementMatcher();
+    this.#tokenAnalyzer = tokenAnalyzer ?? new TokenAnalyzer();
+    this.#modes         = modes ?? {
+      static:        new StaticComparisonMode(),
+      dynamic:       new DynamicComparisonMode(),
+      accessibility: new AccessibilityComparisonMode()
     };
   }
 
-  async* compare(baselineReport, compareReport, mode = 'static') {
+  async* compare(baselineReport, compareReport, mode = 'static', { overrides = [] } = {}) {
     const startTime    = performance.now();
     let matchingResult = null;
 
     const matchingGen = this.#matcher.matchElements(
       baselineReport.elements,
-      compareReport.elements
+      compareReport.elements,
+      { overrides }
     );
 
     for await (const frame of matchingGen) {
@@ -82,6 +91,12 @@ class Comparator {
       }
     }
 
+    const structuralChanges = detectStructuralChanges(
+      baselineReport.elements,
+      compareReport.elements,
+      matchingResult.matches
+    );
+
     yield progressFrame('Comparing properties…', MATCHING_PHASE_CEILING);
 
     const comparisonMode  = this.#modes[mode] ?? this.#modes.static;
@@ -102,6 +117,20 @@ class Comparator {
       }
     }
 
+    const tokenChanges = this.#tokenAnalyzer.analyze(
+      baselineReport,
+      compareReport,
+      comparisonResult.results,
+      comparisonMode.severityAnalyzer
+    );
+    if (tokenChanges.length) {
+      comparisonResult.summary = comparisonMode.generateSummary(
+        comparisonResult.results,
+        comparisonResult.ambiguous,
+        comparisonResult.modeName
+      );
+    }
+
     const duration = Math.round(performance.now() - startTime);
 
     yield progressFrame('Finalising results…', 99);
@@ -115,7 +144,9 @@ class Comparator {
         mode:      comparisonResult.modeName,
         results:   comparisonResult.results,
         ambiguous: comparisonResult.ambiguous,
-        summary:   comparisonResult.summary
+        summary:   comparisonResult.summary,
+        tokenChanges,
+        structuralChanges
       },
       unmatchedElements: {
         baseline: buildUnmatchedSummary(matchingResult.unmatchedBaseline),
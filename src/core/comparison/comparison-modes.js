@@ -2,6 +2,7 @@ import { get } from '../../config/defaults.js';
 import logger from '../../infrastructure/logger.js';
 import { PropertyDiffer } from './differ.js';
 import { SeverityAnalyzer } from './severity-analyzer.js';
+import { detectOcclusionChanges } from './paint-order.js';
 import { yieldToEventLoop, YIELD_CHUNK_SIZE, progressFrame, resultFrame } from './async-utils.js';
 
 const CSS_INHERITABLE = new Set([
@@ -23,7 +24,12 @@ const STATIC_FILTER = {
   compareProperties:        null,
   compareTextContent:       get('comparison.modes.static.compareTextContent'),
   structuralAttributesOnly: false,
-  tolerances:               get('comparison.modes.static.tolerances')
+  tolerances:               get('comparison.modes.static.tolerances'),
+  formStateFields:          get('comparison.modes.static.formStateFields'),
+  compareTextLayout:        true,
+  compareAsset:             true,
+  compareGraphic:           true,
+  detectOcclusion:          true
 };
 
 const DYNAMIC_FILTER = {
@@ -33,9 +39,82 @@ const DYNAMIC_FILTER = {
   structuralAttributes:     new Set(get('comparison.modes.dynamic.structuralOnlyAttributes', [
     'role', 'aria-label', 'type', 'name', 'data-testid'
   ])),
-  tolerances:               get('comparison.modes.dynamic.tolerances')
+  tolerances:               get('comparison.modes.dynamic.tolerances'),
+  formStateFields:          get('comparison.modes.dynamic.formStateFields'),
+  compareTextLayout:        true,
+  compareAsset:             true,
+  compareGraphic:           true,
+  detectOcclusion:          true
 };
 
+const ACCESSIBILITY_FILTER = {
+  compareProperties:        new Set(),
+  compareTextContent:       false,
+  structuralAttributesOnly: true,
+  structuralAttributes:     new Set(),
+  tolerances:               get('comparison.modes.static.tolerances'),
+  formStateFields:          [],
+  compareTextLayout:        false,
+  compareAsset:             false,
+  compareGraphic:           false,
+  compareAccessibility:     true
+};
+
+const AX_FIELDS = ['role', 'name', 'description', 'focusable', 'ignored'];
+
+const MAX_GRAPHIC_DIFFS = 20;
+
+const WCAG_THRESHOLDS = {
+  AA:  { normal: 4.5, large: 3 },
+  AAA: { normal: 7,   large: 4.5 }
+};
+
+const CONTRAST_CHECK = {
+  enabled: get('comparison.contrast.enabled'),
+  level:   get('comparison.contrast.level')
+};
+
+const OCCLUSION_CHECK = {
+  enabled:       get('comparison.occlusion.enabled'),
+  maxCandidates: get('comparison.occlusion.maxCandidates')
+};
+
+function formFieldValue(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+function describeLines(count) {
+  return `${count} line${count === 1 ? '' : 's'}`;
+}
+
+function describeOverflow({ overflowX, overflowY }) {
+  if (overflowX && overflowY) {return 'both';}
+  if (overflowX) {return 'horizontal';}
+  return overflowY ? 'vertical' : 'none';
+}
+
+function describeIntrinsicSize(asset) {
+  return asset.intrinsicWidth && asset.intrinsicHeight ? `${asset.intrinsicWidth}×${asset.intrinsicHeight}` : null;
+}
+
+function assetPath(src) {
+  try {
+    return new URL(src).pathname;
+  } catch {
+    return src;
+  }
+}
+
+function contrastThreshold(contrast, level) {
+  const thresholds = WCAG_THRESHOLDS[level] ?? WCAG_THRESHOLDS.AA;
+  return contrast.largeText ? thresholds.large : thresholds.normal;
+}
+
+function axFieldValue(ax, field) {
+  if (ax?.[field] === null || ax?.[field] === undefined) {return null;}
+  return String(ax[field]);
+}
+
 class BaseComparisonMode {
   #differ;
   #severityAnalyzer;
@@ -45,6 +124,10 @@ class BaseComparisonMode {
     this.#severityAnalyzer = severityAnalyzer ?? new SeverityAnalyzer();
   }
 
+  get severityAnalyzer() {
+    return this.#severityAnalyzer;
+  }
+
   compareMatch(match, filter) {
     const { baselineElement, compareElement } = match;
 
@@ -63,7 +146,29 @@ class BaseComparisonMode {
       filter.structuralAttributesOnly ? filter.structuralAttributes : null
     );
 
-    const allDiffs = [...styleResult.differences, ...textDiffs, ...attrDiffs];
+    const stateDiffs = this.compareStateStyles(baselineElement, compareElement, filter, styleResult.differences);
+
+    const axDiffs = filter.compareAccessibility
+      ? this.compareAccessibility(baselineElement, compareElement)
+      : [];
+
+    const contrastDiffs = this.compareContrast(baselineElement, compareElement);
+    const layoutDiffs   = filter.compareTextLayout
+      ? this.compareTextLayout(baselineElement, compareElement)
+      : [];
+    const assetDiffs    = filter.compareAsset
+      ? this.compareAsset(baselineElement, compareElement)
+      : [];
+    const graphicDiffs  = filter.compareGraphic
+      ? this.compareGraphic(baselineElement, compareElement)
+      : [];
+    const formDiffs     = this.compareFormState(baselineElement, compareElement, filter.formStateFields);
+
+    const allDiffs = [
+      ...styleResult.differences, ...stateDiffs, ...textDiffs, ...attrDiffs,
+      ...axDiffs, ...contrastDiffs, ...layoutDiffs, ...assetDiffs, ...graphicDiffs, ...formDiffs
+    ];
+    this.markRedacted(allDiffs, baselineElement, compareElement);
     const severity = this.#severityAnalyzer.analyzeDifferences(allDiffs);
 
     return {
@@ -78,6 +183,240 @@ class BaseComparisonMode {
     };
   }
 
+  markRedacted(diffs, baselineElement, compareElement) {
+    if (!baselineElement.redacted && !compareElement.redacted) {return;}
+    const redacted = new Set([...(baselineElement.redacted ?? []), ...(compareElement.redacted ?? [])]);
+    for (const d of diffs) {
+      if (redacted.has(d.property)) {d.redacted = true;}
+    }
+  }
+
+  compareStateStyles(baselineElement, compareElement, filter, restingDiffs) {
+    const baseStates    = baselineElement.stateStyles ?? {};
+    const compareStates = compareElement.stateStyles  ?? {};
+    const states        = new Set([...Object.keys(baseStates), ...Object.keys(compareStates)]);
+    if (!states.size) {return [];}
+
+    const restingKeys = new Set(restingDiffs.map(d => `${d.property}\x02${d.baseValue}\x02${d.compareValue}`));
+    const diffs       = [];
+
+    for (const state of states) {
+      const result = this.#differ.compareElements(
+        { ...baselineElement, styles: { ...baselineElement.styles, ...baseStates[state] } },
+        { ...compareElement,  styles: { ...compareElement.styles,  ...compareStates[state] } },
+        { compareProperties: filter.compareProperties, tolerances: filter.tolerances }
+      );
+      for (const d of result.differences) {
+        if (restingKeys.has(`${d.property}\x02${d.baseValue}\x02${d.compareValue}`)) {continue;}
+        diffs.push({ ...d, property: `${d.property}:${state}`, stateProperty: d.property, state });
+      }
+    }
+    return diffs;
+  }
+
+  compareTextLayout(baselineElement, compareElement) {
+    const base    = baselineElement.textLayout;
+    const compare = compareElement.textLayout;
+    if (!base || !compare) {return [];}
+
+    const diffs = [];
+
+    if (base.lineCount !== compare.lineCount && base.lineCount > 0 && compare.lineCount > 0) {
+      diffs.push({
+        property:     'text:lines',
+        baseValue:    describeLines(base.lineCount),
+        compareValue: describeLines(compare.lineCount),
+        category:     'text-layout',
+        type:         'modified',
+        description:  compare.lineCount > base.lineCount
+          ? `wraps to ${describeLines(compare.lineCount)} (was ${base.lineCount})`
+          : `fits in ${describeLines(compare.lineCount)} (was ${base.lineCount})`
+      });
+    }
+
+    if (base.truncated !== compare.truncated) {
+      diffs.push({
+        property:     'text:truncated',
+        baseValue:    String(base.truncated),
+        compareValue: String(compare.truncated),
+        category:     'text-layout',
+        type:         'modified',
+        description:  compare.truncated ? 'text now truncated' : 'text no longer truncated'
+      });
+    }
+
+    const baseOverflow    = describeOverflow(base);
+    const compareOverflow = describeOverflow(compare);
+    if (baseOverflow !== compareOverflow && !compare.truncated) {
+      diffs.push({
+        property:     'text:overflow',
+        baseValue:    baseOverflow,
+        compareValue: compareOverflow,
+        category:     'text-layout',
+        type:         'modified',
+        description:  compareOverflow === 'none' ? 'content no longer overflows' : `content now overflows (${compareOverflow})`
+      });
+    }
+
+    return diffs;
+  }
+
+  compareAsset(baselineElement, compareElement) {
+    const base    = baselineElement.asset;
+    const compare = compareElement.asset;
+    if (!base && !compare) {return [];}
+
+    const diffs = [];
+    const push  = (property, baseValue, compareValue, description) => {
+      diffs.push({ property, baseValue, compareValue, category: 'asset', type: this.attrDiffType(baseValue, compareValue), description });
+    };
+
+    if (!base || !compare) {
+      push('asset:src', base?.currentSrc ?? null, compare?.currentSrc ?? null, base ? 'asset removed' : 'asset added');
+      return diffs;
+    }
+
+    if (base.hash && compare.hash && base.hash !== compare.hash) {
+      push('asset:hash', base.hash, compare.hash, 'image content changed');
+    } else if ((!base.hash || !compare.hash) && assetPath(base.currentSrc) !== assetPath(compare.currentSrc)) {
+      push('asset:src', base.currentSrc, compare.currentSrc, 'asset source changed (content hash unavailable)');
+    }
+
+    const baseSize    = describeIntrinsicSize(base);
+    const compareSize = describeIntrinsicSize(compare);
+    if (baseSize && compareSize && baseSize !== compareSize) {
+      push('asset:intrinsic-size', baseSize, compareSize, 'intrinsic size changed');
+    }
+
+    if (base.objectFit !== compare.objectFit) {
+      push('asset:object-fit', base.objectFit ?? null, compare.objectFit ?? null);
+    }
+
+    return diffs;
+  }
+
+  compareGraphic(baselineElement, compareElement) {
+    const base    = baselineElement.graphic;
+    const compare = compareElement.graphic;
+    if (!base || !compare || base.kind !== compare.kind) {return [];}
+
+    const diffs = [];
+    const push  = (property, baseValue, compareValue, description) => {
+      diffs.push({ property, baseValue, compareValue, category: 'graphic', type: this.attrDiffType(baseValue, compareValue), description });
+    };
+
+    if (base.kind === 'canvas') {
+      if (base.width !== compare.width || base.height !== compare.height) {
+        push('canvas:size', `${base.width}×${base.height}`, `${compare.width}×${compare.height}`, 'canvas bitmap resized');
+      }
+      if (base.hash && compare.hash && base.hash !== compare.hash) {
+        push('canvas:pixels', base.hash, compare.hash, 'canvas content changed');
+      }
+      return diffs;
+    }
+
+    if (base.hash === compare.hash) {return diffs;}
+
+    const compareShapes = new Map(compare.shapes.map(s => [s.key, s]));
+    const baseKeys      = new Set(base.shapes.map(s => s.key));
+    for (const shape of base.shapes) {
+      const other = compareShapes.get(shape.key);
+      if (!other) {continue;}
+      if (shape.geometry !== other.geometry) {
+        push('svg:path', shape.geometry, other.geometry, `series path changed (${shape.tag} ${shape.key})`);
+      }
+      if (shape.fill !== other.fill || shape.stroke !== other.stroke) {
+        push('svg:fill', `${shape.fill} / ${shape.stroke}`, `${other.fill} / ${other.stroke}`, `series colour changed (${shape.key})`);
+      }
+    }
+
+    const removed = base.shapes.filter(s => !compareShapes.has(s.key)).length;
+    const added   = compare.shapes.filter(s => !baseKeys.has(s.key)).length;
+    if (removed || added) {
+      push('svg:shape', `${base.shapes.length} shapes`, `${compare.shapes.length} shapes`, `${added} shape(s) added, ${removed} removed`);
+    }
+
+    const textCount = Math.max(base.texts.length, compare.texts.length);
+    for (let i = 0; i < textCount; i++) {
+      const b = base.texts[i]    ?? null;
+      const c = compare.texts[i] ?? null;
+      if (b?.text === c?.text) {continue;}
+      push('svg:text', b?.text ?? null, c?.text ?? null, `${(b ?? c).role} text changed`);
+    }
+
+    return diffs.slice(0, MAX_GRAPHIC_DIFFS);
+  }
+
+  compareFormState(baselineElement, compareElement, fields) {
+    const base    = baselineElement.formState;
+    const compare = compareElement.formState;
+    if (!base || !compare || !fields?.length) {return [];}
+
+    const diffs = [];
+    for (const field of fields) {
+      if (!(field in base) && !(field in compare)) {continue;}
+      const baseValue    = formFieldValue(base[field]);
+      const compareValue = formFieldValue(compare[field]);
+      if (baseValue === compareValue) {continue;}
+      diffs.push({
+        property:     `form:${field}`,
+        baseValue,
+        compareValue,
+        category:     'form-state',
+        type:         this.attrDiffType(baseValue, compareValue)
+      });
+    }
+    return diffs;
+  }
+
+  compareContrast(baselineElement, compareElement) {
+    const base    = baselineElement.textContrast;
+    const compare = compareElement.textContrast;
+    if (!CONTRAST_CHECK.enabled || !base || !compare) {return [];}
+
+    const { level } = CONTRAST_CHECK;
+    const threshold = contrastThreshold(compare, level);
+    if (base.ratio < contrastThreshold(base, level) || compare.ratio >= threshold) {return [];}
+
+    return [{
+      property:     'contrast-ratio',
+      baseValue:    `${base.ratio}:1`,
+      compareValue: `${compare.ratio}:1`,
+      category:     'accessibility',
+      type:         'modified',
+      wcag:         { level, threshold, foreground: compare.foreground, background: compare.background }
+    }];
+  }
+
+  compareAccessibility(baselineElement, compareElement) {
+    const baseAx    = baselineElement.accessibility ?? null;
+    const compareAx = compareElement.accessibility  ?? null;
+    if (!baseAx && !compareAx) {return [];}
+
+    const diffs = [];
+    const push  = (property, baseValue, compareValue) => {
+      if (baseValue === compareValue) {return;}
+      diffs.push({
+        property,
+        baseValue,
+        compareValue,
+        category: 'accessibility',
+        type:     this.attrDiffType(baseValue, compareValue)
+      });
+    };
+
+    for (const field of AX_FIELDS) {
+      push(`a11y:${field}`, axFieldValue(baseAx, field), axFieldValue(compareAx, field));
+    }
+
+    const baseStates    = baseAx?.states    ?? {};
+    const compareStates = compareAx?.states ?? {};
+    for (const state of new Set([...Object.keys(baseStates), ...Object.keys(compareStates)])) {
+      push(`a11y:state:${state}`, baseStates[state] ?? null, compareStates[state] ?? null);
+    }
+    return diffs;
+  }
+
   compareTextContent(baselineElement, compareElement) {
     const baseText    = (baselineElement.textContent ?? '').trim();
     const compareText = (compareElement.textContent  ?? '').trim();
@@ -145,6 +484,33 @@ class BaseComparisonMode {
     };
   }
 
+  #applyOcclusionChanges(diffResults) {
+    const changes = detectOcclusionChanges(diffResults, OCCLUSION_CHECK.maxCandidates);
+    if (!changes.length) {return diffResults;}
+
+    const added = new Map();
+    for (const { result, diff } of changes) {
+      if (!added.has(result)) {added.set(result, []);}
+      added.get(result).push(diff);
+    }
+
+    logger.info('Occlusion changes detected', { count: changes.length, elements: added.size });
+
+    return diffResults.map(r => {
+      if (!added.has(r)) {return r;}
+      const differences = [...r.differences, ...added.get(r)];
+      const severity    = this.#severityAnalyzer.analyzeDifferences(differences);
+      return {
+        ...r,
+        differences,
+        totalDifferences:     differences.length,
+        overallSeverity:      severity.overallSeverity,
+        severityCounts:       severity.severityCounts,
+        annotatedDifferences: severity.annotatedDifferences
+      };
+    });
+  }
+
   #suppressInheritedCascades(diffResults) {
     const changedByHpid = new Map();
     for (const r of diffResults) {
@@ -165,7 +531,7 @@ class BaseComparisonMode {
 
       for (const [ancHpid, ancDiffs] of changedByHpid) {
         if (ancHpid === hpid) {continue;}
-        if (!hpid.startsWith(`${ancHpid  }.`)) {continue;}
+        if (!hpid.startsWith(`${ancHpid  }.`) && !hpid.startsWith(`${ancHpid}::`)) {continue;}
         for (const d of ancDiffs) {
           if (!ancestorDiffMap.has(d.property)) {
             ancestorDiffMap.set(d.property, d);
@@ -227,7 +593,10 @@ class BaseComparisonMode {
       yield progressFrame('Comparing properties\u2026', end);
     }
 
-    const cleaned = this.#suppressInheritedCascades(diffResults);
+    const layered = filter.detectOcclusion && OCCLUSION_CHECK.enabled
+      ? this.#applyOcclusionChanges(diffResults)
+      : diffResults;
+    const cleaned = this.#suppressInheritedCascades(layered);
 
     yield resultFrame({
       modeName,
@@ -252,7 +621,33 @@ class DynamicComparisonMode extends BaseComparisonMode {
   }
 }
 
-export { StaticComparisonMode, DynamicComparisonMode, STATIC_FILTER, DYNAMIC_FILTER, computeSeverityBreakdown };
+class AccessibilityComparisonMode extends BaseComparisonMode {
+  constructor(deps = {}) {
+    super({ severityAnalyzer: new SeverityAnalyzer(get('comparison.modes.accessibility.severity')), ...deps });
+  }
+  async* compare(matches, ambiguous = []) {
+    const missing = [
+      matches.some(m => m.baselineElement?.accessibility) ? null : 'baseline',
+      matches.some(m => m.compareElement?.accessibility)  ? null : 'compare'
+    ].filter(Boolean);
+    if (missing.length) {
+      logger.warn('Accessibility diffs skipped — recapture with the accessibility tree enabled', { missing });
+    }
+    const filter = missing.length ? { ...ACCESSIBILITY_FILTER, compareAccessibility: false } : ACCESSIBILITY_FILTER;
+    yield* this.compareChunked(matches, ambiguous, filter, 'accessibility');
+  }
+}
+
+export {
+  StaticComparisonMode,
+  DynamicComparisonMode,
+  AccessibilityComparisonMode,
+  STATIC_FILTER,
+  DYNAMIC_FILTER,
+  ACCESSIBILITY_FILTER,
+  CSS_INHERITABLE,
+  computeSeverityBreakdown
+};
 
 function computeSeverityBreakdown(diffResults) {
   const counts = { critical: 0, high: 0, medium: 0, low: 0 };
@@ -260,7 +655,7 @@ function computeSeverityBreakdown(diffResults) {
     if (!r.differences?.length) {continue;}
     const hpid = r.baselineElement?.hpid ?? r.hpid ?? null;
     if (!hpid) {continue;}
-    const parentHpid = hpid.split('.').slice(0, -1).join('.');
+    const parentHpid = r.baselineElement?.parentHpid ?? hpid.split('.').slice(0, -1).join('.');
     const isChild = diffResults.some(p => {
       const pH = p.baselineElement?.hpid ?? p.hpid ?? null;
       return pH === parentHpid && p.differences?.length;
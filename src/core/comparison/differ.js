@@ -18,6 +18,8 @@ const PROPERTY_CATEGORIES = {
   OTHER:      'other'
 };
 
+const NON_CSS_CATEGORIES = new Set(['attribute', 'content', 'accessibility', 'text-layout', 'asset', 'graphic', 'form-state', 'stacking']);
+
 const DIMENSIONAL_KEYWORDS = ['width', 'height', 'size'];
 
 const CURRENT_COLOR_PROPS = new Set([
@@ -174,5 +176,5 @@ class PropertyDiffer {
   }
 }
 
-export { PropertyDiffer, DIFF_TYPES, PROPERTY_CATEGORIES };
+export { PropertyDiffer, DIFF_TYPES, PROPERTY_CATEGORIES, NON_CSS_CATEGORIES };
 
@@ -6,16 +6,23 @@ function clampScrollY(raw, viewportHeight, documentHeight) {
   return Math.floor(Math.max(0, Math.min(raw, documentHeight - viewportHeight)));
 }
 
+function visibleSpan(el) {
+  const { container } = el;
+  if (!container) { return { top: el.documentY, bottom: el.documentY + el.height }; }
+  const relativeTop = Math.max(0, Math.min(el.documentY - container.top, container.height));
+  const top         = container.top + relativeTop;
+  return { top, bottom: Math.max(top, Math.min(el.documentY + el.height, container.top + container.height)) };
+}
+
 function buildCluster(root) {
   return { root, elements: [], top: Infinity, bottom: -Infinity };
 }
 
 function expandCluster(cluster, el) {
   cluster.elements.push(el);
-  const elTop    = el.documentY;
-  const elBottom = el.documentY + el.height;
-  if (elTop    < cluster.top)    { cluster.top    = elTop; }
-  if (elBottom > cluster.bottom) { cluster.bottom = elBottom; }
+  const { top, bottom } = visibleSpan(el);
+  if (top    < cluster.top)    { cluster.top    = top; }
+  if (bottom > cluster.bottom) { cluster.bottom = bottom; }
 }
 
 function makeGroup(index, scrollY, viewportWidth, viewportHeight) {
@@ -31,7 +38,7 @@ function makeGroup(index, scrollY, viewportWidth, viewportHeight) {
 function passOne(elements) {
   const clusters = new Map();
   for (const el of elements) {
-    const root = el.id.split('.')[0];
+    const root = el.container ? `scroll:${el.container.key}` : el.id.split('.')[0];
     if (!clusters.has(root)) { clusters.set(root, buildCluster(root)); }
     expandCluster(clusters.get(root), el);
   }
@@ -58,18 +65,20 @@ function passTwo(clusters, viewportHeight, viewportWidth, documentHeight) {
       groups.push(group);
 
     } else {
-      const sorted = [...cluster.elements].sort((a, b) => a.documentY - b.documentY);
+      const sorted = cluster.elements
+        .map(el => ({ el, span: visibleSpan(el) }))
+        .sort((a, b) => a.span.top - b.span.top);
       let i = 0;
       while (i < sorted.length) {
-        const scrollY       = clampScrollY(sorted[i].documentY - OVERFLOW_PAD, viewportHeight, documentHeight);
+        const scrollY       = clampScrollY(sorted[i].span.top - OVERFLOW_PAD, viewportHeight, documentHeight);
         const visibleBottom = scrollY + viewportHeight;
         const group         = makeGroup(groups.length, scrollY, viewportWidth, viewportHeight);
-        while (i < sorted.length && sorted[i].documentY < visibleBottom) {
-          const el = sorted[i];
+        while (i < sorted.length && sorted[i].span.top < visibleBottom) {
+          const { el, span } = sorted[i];
           group.elementIds.push(el.id);
-          if (el.documentY + el.height > visibleBottom) {
+          if (span.bottom > visibleBottom) {
             logger.warn(
-              `[keyframe-grouper] element ${el.id} bottom (${el.documentY + el.height}px)` +
+              `[keyframe-grouper] element ${el.id} bottom (${span.bottom}px)` +
               ` exceeds keyframe viewport bottom (${visibleBottom}px)` +
               ' — element will be clipped in screenshot'
             );
@@ -1,10 +1,13 @@
 import logger                                from '../../infrastructure/logger.js';
 import { get }                               from '../../config/defaults.js';
 import { yieldToEventLoop, YIELD_CHUNK_SIZE, progressFrame, resultFrame } from './async-utils.js';
+import { normalizeText, tokenSet, qgramCounts, textSimilarity } from './text-similarity.js';
+import { solveAssignment } from './assignment.js';
 
 const MatchType = Object.freeze({
   DEFINITIVE:         'definitive',
   POSITIONAL:         'positional',
+  LOW_CONFIDENCE:     'low-confidence',
   AMBIGUOUS:          'ambiguous',
   ADDED:              'added',
   REMOVED:            'removed',
@@ -12,6 +15,8 @@ const MatchType = Object.freeze({
   UNMATCHED_COMPARE:  'unmatched-compare'
 });
 
+const PAIRS_PER_YIELD = 2048;
+
 function getTestAttrKey(el, anchorAttributes) {
   for (const attr of anchorAttributes) {
     const val = el.attributes?.[attr];
@@ -28,7 +33,7 @@ function hpidSuffixKey(hpid, depth) {
 
 function parseHpidSegments(hpid) {
   if (!hpid) { return []; }
-  return hpid.split('.').map(Number);
+  return hpid.split('.').map(seg => (/^\d+$/.test(seg) ? Number(seg) : seg));
 }
 
 function segmentsEqual(a, b) {
@@ -55,8 +60,11 @@ function resolveFromMultiMap(indices, confidence, usedCompare, minMatchThreshold
   const available = indices.filter(i => !usedCompare.has(i));
   if (available.length === 0) { return { verdict: 'no_match' }; }
   if (available.length === 1) {
+    const rejected = indices
+      .filter(i => usedCompare.has(i))
+      .map(index => ({ index, outcome: 'already-matched' }));
     return confidence >= minMatchThreshold
-      ? { verdict: 'definitive', index: available[0], confidence }
+      ? { verdict: 'definitive', index: available[0], confidence, rejected }
       : { verdict: 'below_threshold', index: available[0], confidence };
   }
   if (confidence >= minMatchThreshold) {
@@ -69,8 +77,80 @@ function resolveFromMultiMap(indices, confidence, usedCompare, minMatchThreshold
   return { verdict: 'no_match' };
 }
 
-function makeDefinitiveMatch({ bi, ci, conf, strat, matchType, baseline, compareElements }) {
+function resolveElementRef(elements, ref) {
+  if (!ref) { return null; }
+  const idx = ref.hpid
+    ? elements.findIndex(el => el.hpid === ref.hpid)
+    : elements.findIndex(el => el.cssSelector === ref.selector);
+  return idx === -1 ? undefined : idx;
+}
+
+function applyMatchOverrides(overrides, baseline, compareElements, usedBaseline, usedCompare, trace) {
+  const matches        = [];
+  const pinnedBaseline = [];
+  const pinnedCompare  = [];
+  let skipped = 0;
+
+  for (const override of overrides) {
+    const bi = resolveElementRef(baseline, override.baseline);
+    const ci = resolveElementRef(compareElements, override.compare);
+    if (bi === undefined || ci === undefined || usedBaseline.has(bi) || usedCompare.has(ci)) {
+      skipped++;
+      continue;
+    }
+
+    if (bi !== null) { usedBaseline.add(bi); }
+    if (ci !== null) { usedCompare.add(ci); }
+
+    if (bi !== null && ci !== null) {
+      const match = makeDefinitiveMatch({
+        bi, ci, conf: 1.0, strat: 'manual-override',
+        matchType: MatchType.DEFINITIVE, baseline, compareElements, trace, phase: 'override'
+      });
+      match.overrideId = override.id;
+      matches.push(match);
+    } else if (bi !== null) {
+      pinnedBaseline.push(bi);
+    } else {
+      pinnedCompare.push(ci);
+    }
+  }
+
+  return { matches, pinnedBaseline, pinnedCompare, skipped };
+}
+
+function explainCandidate(bEl, compareElements, { index, outcome }, scoring) {
+  const cEl = compareElements[index];
+  const { score, components } = scorePair(bEl, cEl, scoring);
   return {
+    compareIndex: index,
+    hpid:         cEl.hpid ?? null,
+    tagName:      cEl.tagName ?? null,
+    outcome,
+    score:        roundScore(score),
+    signals:      roundComponents(components)
+  };
+}
+
+function buildMatchTrace({ bEl, entries, phase, strat, conf, trace, compareElements }) {
+  const [decided, rejected] = [[], []];
+  for (const entry of entries) {
+    (entry.outcome === 'chosen' || entry.outcome === 'tied' ? decided : rejected).push(entry);
+  }
+  const explain = entry => explainCandidate(bEl, compareElements, entry, trace.scoring);
+  const runnersUp = rejected.map(explain).sort((a, b) => b.score - a.score).slice(0, trace.topN);
+  return {
+    phase,
+    strategy:      strat,
+    confidence:    roundScore(conf),
+    thresholds:    trace.thresholds,
+    candidates:    [...decided.map(explain), ...runnersUp].slice(0, Math.max(trace.topN, decided.length)),
+    rejectedCount: rejected.length
+  };
+}
+
+function makeDefinitiveMatch({ bi, ci, conf, strat, matchType, baseline, compareElements, phase, rejected = [], trace = null }) {
+  const match = {
     baselineIndex:       bi,
     compareIndex:        ci,
     confidence:          conf,
@@ -82,10 +162,17 @@ function makeDefinitiveMatch({ bi, ci, conf, strat, matchType, baseline, compare
     compareElement:      compareElements[ci],
     mutations:           []
   };
+  if (trace?.enabled) {
+    match.matchTrace = buildMatchTrace({
+      bEl: baseline[bi], entries: [{ index: ci, outcome: 'chosen' }, ...rejected],
+      phase, strat, conf, trace, compareElements
+    });
+  }
+  return match;
 }
 
-function makeAmbiguousMatch(bi, conf, strat, candidates, baseline) {
-  return {
+function makeAmbiguousMatch(bi, conf, strat, candidates, baseline, { compareElements, phase, trace = null } = {}) {
+  const entry = {
     baselineIndex:       bi,
     compareIndex:        null,
     confidence:          conf,
@@ -97,6 +184,13 @@ function makeAmbiguousMatch(bi, conf, strat, candidates, baseline) {
     compareElement:      null,
     mutations:           []
   };
+  if (trace?.enabled) {
+    entry.matchTrace = buildMatchTrace({
+      bEl: baseline[bi], entries: candidates.map(c => ({ index: c.compareIndex, outcome: 'tied' })),
+      phase, strat, conf, trace, compareElements
+    });
+  }
+  return entry;
 }
 
 function passesIdentityTriad(bEl, cEl) {
@@ -191,8 +285,6 @@ function sequenceAlign(baseline, compare, usedBaseline, usedCompare, config) {
 
     orphanBaseline.push(bi);
     orphanCompare.push(ci);
-    usedBaseline.add(bi);
-    usedCompare.add(ci);
     bi++;
     ci++;
   }
@@ -269,10 +361,10 @@ function buildTestAttributeClassifier(cmpIdxs, usedCompare, baseline, compareEle
     const res = resolveFromMultiMap(map.get(key), strategy.confidence, usedCompare, minMatchThreshold);
     if (res.verdict === 'definitive') {
       usedCompare.add(res.index);
-      return { kind: 'match', match: makeDefinitiveMatch({ bi, ci: res.index, conf: res.confidence, strat: strategy.id, matchType: MatchType.DEFINITIVE, baseline, compareElements }) };
+      return { kind: 'match', match: makeDefinitiveMatch({ bi, ci: res.index, conf: res.confidence, strat: strategy.id, matchType: MatchType.DEFINITIVE, baseline, compareElements, rejected: res.rejected, trace: matchConfig.trace, phase: matchConfig.phase }) };
     }
     if (res.verdict === 'ambiguous') {
-      return { kind: 'ambiguous', entry: makeAmbiguousMatch(bi, res.confidence, strategy.id, res.candidates, baseline) };
+      return { kind: 'ambiguous', entry: makeAmbiguousMatch(bi, res.confidence, strategy.id, res.candidates, baseline, { compareElements, trace: matchConfig.trace, phase: matchConfig.phase }) };
     }
     return { kind: 'orphan' };
   };
@@ -287,10 +379,10 @@ function buildAbsoluteHpidClassifier(cmpIdxs, usedCompare, baseline, compareElem
     const res = resolveFromMultiMap(map.get(hpid), strategy.confidence, usedCompare, minMatchThreshold);
     if (res.verdict === 'definitive') {
       usedCompare.add(res.index);
-      return { kind: 'match', match: makeDefinitiveMatch({ bi, ci: res.index, conf: res.confidence, strat: strategy.id, matchType: MatchType.DEFINITIVE, baseline, compareElements }) };
+      return { kind: 'match', match: makeDefinitiveMatch({ bi, ci: res.index, conf: res.confidence, strat: strategy.id, matchType: MatchType.DEFINITIVE, baseline, compareElements, rejected: res.rejected, trace: matchConfig.trace, phase: matchConfig.phase }) };
     }
     if (res.verdict === 'ambiguous') {
-      return { kind: 'ambiguous', entry: makeAmbiguousMatch(bi, res.confidence, strategy.id, res.candidates, baseline) };
+      return { kind: 'ambiguous', entry: makeAmbiguousMatch(bi, res.confidence, strategy.id, res.candidates, baseline, { compareElements, trace: matchConfig.trace, phase: matchConfig.phase }) };
     }
     return { kind: 'orphan' };
   };
@@ -305,10 +397,10 @@ function buildIdClassifier(cmpIdxs, usedCompare, baseline, compareElements, matc
     const res = resolveFromMultiMap(map.get(elId), strategy.confidence, usedCompare, minMatchThreshold);
     if (res.verdict === 'definitive') {
       usedCompare.add(res.index);
-      return { kind: 'match', match: makeDefinitiveMatch({ bi, ci: res.index, conf: res.confidence, strat: strategy.id, matchType: MatchType.DEFINITIVE, baseline, compareElements }) };
+      return { kind: 'match', match: makeDefinitiveMatch({ bi, ci: res.index, conf: res.confidence, strat: strategy.id, matchType: MatchType.DEFINITIVE, baseline, compareElements, rejected: res.rejected, trace: matchConfig.trace, phase: matchConfig.phase }) };
     }
     if (res.verdict === 'ambiguous') {
-      return { kind: 'ambiguous', entry: makeAmbiguousMatch(bi, res.confidence, strategy.id, res.candidates, baseline) };
+      return { kind: 'ambiguous', entry: makeAmbiguousMatch(bi, res.confidence, strategy.id, res.candidates, baseline, { compareElements, trace: matchConfig.trace, phase: matchConfig.phase }) };
     }
     return { kind: 'orphan' };
   };
@@ -323,10 +415,10 @@ function buildCssSelectorClassifier(cmpIdxs, usedCompare, baseline, compareEleme
     const res = resolveFromMultiMap(map.get(sel), strategy.confidence, usedCompare, minMatchThreshold);
     if (res.verdict === 'definitive') {
       usedCompare.add(res.index);
-      return { kind: 'match', match: makeDefinitiveMatch({ bi, ci: res.index, conf: res.confidence, strat: strategy.id, matchType: MatchType.DEFINITIVE, baseline, compareElements }) };
+      return { kind: 'match', match: makeDefinitiveMatch({ bi, ci: res.index, conf: res.confidence, strat: strategy.id, matchType: MatchType.DEFINITIVE, baseline, compareElements, rejected: res.rejected, trace: matchConfig.trace, phase: matchConfig.phase }) };
     }
     if (res.verdict === 'ambiguous') {
-      return { kind: 'ambiguous', entry: makeAmbiguousMatch(bi, res.confidence, strategy.id, res.candidates, baseline) };
+      return { kind: 'ambiguous', entry: makeAmbiguousMatch(bi, res.confidence, strategy.id, res.candidates, baseline, { compareElements, trace: matchConfig.trace, phase: matchConfig.phase }) };
     }
     return { kind: 'orphan' };
   };
@@ -341,25 +433,116 @@ function buildXpathClassifier(cmpIdxs, usedCompare, baseline, compareElements, m
     const res = resolveFromMultiMap(map.get(xp), strategy.confidence, usedCompare, minMatchThreshold);
     if (res.verdict === 'definitive') {
       usedCompare.add(res.index);
-      return { kind: 'match', match: makeDefinitiveMatch({ bi, ci: res.index, conf: res.confidence, strat: strategy.id, matchType: MatchType.DEFINITIVE, baseline, compareElements }) };
+      return { kind: 'match', match: makeDefinitiveMatch({ bi, ci: res.index, conf: res.confidence, strat: strategy.id, matchType: MatchType.DEFINITIVE, baseline, compareElements, rejected: res.rejected, trace: matchConfig.trace, phase: matchConfig.phase }) };
     }
     if (res.verdict === 'ambiguous') {
-      return { kind: 'ambiguous', entry: makeAmbiguousMatch(bi, res.confidence, strategy.id, res.candidates, baseline) };
+      return { kind: 'ambiguous', entry: makeAmbiguousMatch(bi, res.confidence, strategy.id, res.candidates, baseline, { compareElements, trace: matchConfig.trace, phase: matchConfig.phase }) };
     }
     return { kind: 'orphan' };
   };
 }
 
+function textBucketKey(el) {
+  return `${el.tagName ?? ''}::${el.pageSection ?? ''}`;
+}
+
+function textProfile(el, { minLength, maxLength }) {
+  const text = normalizeText(el.textContent, maxLength);
+  if (text.length < minLength) { return null; }
+  return { text, tokens: tokenSet(text), grams: qgramCounts(text) };
+}
+
+function buildTextIndex(compareElements, availableIdxs, textConfig) {
+  const index = new Map();
+  for (const i of availableIdxs) {
+    const profile = textProfile(compareElements[i], textConfig);
+    if (!profile) { continue; }
+    const key = textBucketKey(compareElements[i]);
+    if (!index.has(key)) { index.set(key, { entries: [], postings: new Map() }); }
+    const bucket = index.get(key);
+    for (const gram of profile.grams.keys()) {
+      if (!bucket.postings.has(gram)) { bucket.postings.set(gram, []); }
+      bucket.postings.get(gram).push(bucket.entries.length);
+    }
+    bucket.entries.push({ index: i, ...profile });
+  }
+  return index;
+}
+
+function shortlistTextCandidates(profile, bucket, usedCompare, maxCandidates) {
+  const shared = new Map();
+  for (const [gram, count] of profile.grams) {
+    for (const pos of bucket.postings.get(gram) ?? []) {
+      const entry = bucket.entries[pos];
+      if (usedCompare.has(entry.index)) { continue; }
+      shared.set(pos, (shared.get(pos) ?? 0) + Math.min(count, entry.grams.get(gram)));
+    }
+  }
+  return [...shared]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, maxCandidates)
+    .map(([pos]) => bucket.entries[pos]);
+}
+
+function rankTextCandidates(profile, bucket, usedCompare, textConfig) {
+  const { minSimilarity, maxCandidates } = textConfig;
+  const scored = [];
+  for (const candidate of shortlistTextCandidates(profile, bucket, usedCompare, maxCandidates)) {
+    const similarity = textSimilarity(profile, candidate, minSimilarity);
+    if (similarity >= minSimilarity) { scored.push({ index: candidate.index, similarity }); }
+  }
+  return scored.sort((a, b) => b.similarity - a.similarity);
+}
+
+function buildTextSimilarityClassifier(cmpIdxs, usedCompare, baseline, compareElements, matchConfig, strategy) {
+  const { ambiguityWindow, textSimilarity: textConfig } = matchConfig;
+  const index = buildTextIndex(compareElements, cmpIdxs, textConfig);
+  return (bi) => {
+    const bucket  = index.get(textBucketKey(baseline[bi]));
+    const profile = bucket ? textProfile(baseline[bi], textConfig) : null;
+    if (!profile) { return { kind: 'orphan' }; }
+
+    const ranked = rankTextCandidates(profile, bucket, usedCompare, textConfig);
+    if (ranked.length === 0) { return { kind: 'orphan' }; }
+
+    const [best, runnerUp] = ranked;
+    const conf = best.similarity * strategy.confidence;
+    if (runnerUp && best.similarity - runnerUp.similarity < ambiguityWindow) {
+      const candidates = ranked
+        .filter(c => best.similarity - c.similarity < ambiguityWindow)
+        .map(c => ({
+          compareIndex:  c.index,
+          confidence:    c.similarity * strategy.confidence,
+          deltaFromBest: best.similarity - c.similarity
+        }));
+      return { kind: 'ambiguous', entry: makeAmbiguousMatch(bi, conf, strategy.id, candidates, baseline, { compareElements, trace: matchConfig.trace, phase: matchConfig.phase }) };
+    }
+
+    usedCompare.add(best.index);
+    const rejected = ranked.slice(1).map(c => ({ index: c.index, outcome: 'lower-similarity' }));
+    return { kind: 'match', match: makeDefinitiveMatch({ bi, ci: best.index, conf, strat: strategy.id, matchType: MatchType.DEFINITIVE, baseline, compareElements, rejected, trace: matchConfig.trace, phase: matchConfig.phase }) };
+  };
+}
+
+function anchorPosition(el) {
+  const { rect, scrollContainer } = el;
+  if (!rect || rect.x === null || rect.y === null) { return null; }
+  if (scrollContainer) {
+    return { x: scrollContainer.originX + scrollContainer.relativeX, y: scrollContainer.originY + scrollContainer.relativeY };
+  }
+  return { x: rect.x, y: rect.y };
+}
+
 function buildPositionGrid(compareElements, availableIdxs, cellSize) {
   const grid = new Map();
   for (const i of availableIdxs) {
-    const { rect, tagName } = compareElements[i];
-    if (!rect || rect.x === null || rect.y === null) { continue; }
-    const cx  = Math.floor(rect.x / cellSize);
-    const cy  = Math.floor(rect.y / cellSize);
-    const key = `${cx}:${cy}:${tagName}`;
+    const pos = anchorPosition(compareElements[i]);
+    if (!pos) { continue; }
+    const cx  = Math.floor(pos.x / cellSize);
+    const cy  = Math.floor(pos.y / cellSize);
+    const key = `${cx}:${cy}:${compareElements[i].tagName}`;
     if (!grid.has(key)) { grid.set(key, []); }
-    grid.get(key).push({ index: i, x: rect.x, y: rect.y });
+    grid.get(key).push({ index: i, x: pos.x, y: pos.y });
   }
   return grid;
 }
@@ -386,22 +569,194 @@ function pickFromGrid(bx, by, tag, grid, cellSize, usedCompare) {
   return { index: bestIdx, confidence: Math.max(0.1, 1 - bestDist / cellSize) * 0.30 };
 }
 
-function buildPositionClassifier(cmpIdxs, usedCompare, baseline, compareElements, cellSize, minConf, strategy) {
+function buildPositionClassifier(cmpIdxs, usedCompare, baseline, compareElements, cellSize, minConf, strategy, matchConfig) {
   const grid      = buildPositionGrid(compareElements, cmpIdxs, cellSize);
   const usedLocal = new Set();
   return (bi) => {
-    const rect = baseline[bi].rect;
-    if (rect?.x === null || rect?.y === null) { return { kind: 'orphan' }; }
-    const hit = pickFromGrid(rect.x, rect.y, baseline[bi].tagName, grid, cellSize, usedCompare);
+    const pos = anchorPosition(baseline[bi]);
+    if (!pos) { return { kind: 'orphan' }; }
+    const hit = pickFromGrid(pos.x, pos.y, baseline[bi].tagName, grid, cellSize, usedCompare);
     if (hit && hit.confidence >= minConf && !usedLocal.has(hit.index)) {
       usedLocal.add(hit.index);
       usedCompare.add(hit.index);
-      return { kind: 'match', match: makeDefinitiveMatch({ bi, ci: hit.index, conf: hit.confidence, strat: strategy.id, matchType: MatchType.POSITIONAL, baseline, compareElements }) };
+      return { kind: 'match', match: makeDefinitiveMatch({ bi, ci: hit.index, conf: hit.confidence, strat: strategy.id, matchType: MatchType.POSITIONAL, baseline, compareElements, trace: matchConfig.trace, phase: matchConfig.phase }) };
     }
     return { kind: 'orphan' };
   };
 }
 
+function selectorScore(bEl, cEl) {
+  if (!bEl.cssSelector || !cEl.cssSelector) { return null; }
+  if (bEl.cssSelector === cEl.cssSelector) { return 1; }
+  const split = sel => new Set(sel.split(/[\s>+~]+/).filter(Boolean));
+  const a = split(bEl.cssSelector);
+  const b = split(cEl.cssSelector);
+  let shared = 0;
+  for (const part of a) {
+    if (b.has(part)) { shared++; }
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function hpidScore(bEl, cEl) {
+  const a = parseHpidSegments(bEl.hpid);
+  const b = parseHpidSegments(cEl.hpid);
+  if (a.length === 0 || b.length === 0) { return null; }
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) { prefix++; }
+  return prefix / Math.max(a.length, b.length);
+}
+
+function textScore(a, b, minSimilarity) {
+  if (!a && !b) { return null; }
+  if (!a || !b) { return 0; }
+  return textSimilarity(a, b, minSimilarity);
+}
+
+function geometryScore(bEl, cEl, tolerance) {
+  const a = anchorPosition(bEl);
+  const b = anchorPosition(cEl);
+  if (!a || !b) { return null; }
+  const proximity = Math.max(0, 1 - Math.hypot(a.x - b.x, a.y - b.y) / tolerance);
+  const ratio     = (x, y) => (Math.max(x, y) > 0 ? Math.min(x, y) / Math.max(x, y) : 1);
+  const size      = ratio(bEl.rect.width ?? 0, cEl.rect.width ?? 0) * ratio(bEl.rect.height ?? 0, cEl.rect.height ?? 0);
+  return proximity * 0.7 + size * 0.3;
+}
+
+function styleScore(bEl, cEl) {
+  const keys = Object.keys(bEl.styles ?? {});
+  if (keys.length === 0 || !cEl.styles) { return null; }
+  let equal = 0;
+  for (const key of keys) {
+    if (bEl.styles[key] === cEl.styles[key]) { equal++; }
+  }
+  return equal / keys.length;
+}
+
+function scorePair(bEl, cEl, config, texts = null) {
+  const textConfig = config.textSimilarity;
+  const [baseText, compareText] = texts ?? [textProfile(bEl, textConfig), textProfile(cEl, textConfig)];
+  const components = {
+    selector: selectorScore(bEl, cEl),
+    hpid:     hpidScore(bEl, cEl),
+    text:     textScore(baseText, compareText, textConfig.minSimilarity),
+    geometry: geometryScore(bEl, cEl, config.geometryTolerance),
+    styles:   styleScore(bEl, cEl)
+  };
+  let weighted = 0;
+  let weights  = 0;
+  for (const [name, value] of Object.entries(components)) {
+    if (value === null) { continue; }
+    weighted += value * config.weights[name];
+    weights  += config.weights[name];
+  }
+  return { score: weights > 0 ? weighted / weights : 0, components };
+}
+
+function roundScore(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+function roundComponents(components) {
+  return Object.fromEntries(Object.entries(components).map(([k, v]) => [k, roundScore(v)]));
+}
+
+async function scoreBucket(baseIdxs, cmpIdxs, baseline, compareElements, config) {
+  const cmpTexts = cmpIdxs.map(ci => textProfile(compareElements[ci], config.textSimilarity));
+  const scored   = [];
+  let sinceYield = 0;
+  for (const bi of baseIdxs) {
+    const baseText = textProfile(baseline[bi], config.textSimilarity);
+    scored.push(cmpIdxs.map((ci, j) => scorePair(baseline[bi], compareElements[ci], config, [baseText, cmpTexts[j]])));
+    sinceYield += cmpIdxs.length;
+    if (sinceYield >= PAIRS_PER_YIELD) {
+      sinceYield = 0;
+      await yieldToEventLoop();
+    }
+  }
+  return scored;
+}
+
+async function assignBucket(baseIdxs, cmpIdxs, baseline, compareElements, config) {
+  const scored = await scoreBucket(baseIdxs, cmpIdxs, baseline, compareElements, config);
+  const cost   = scored.map(row => row.map(({ score }) => (score >= config.minScore ? 1 - score : 1)));
+  const pairs  = [];
+
+  solveAssignment(cost).forEach((col, row) => {
+    if (col === -1) { return; }
+    const { score, components } = scored[row][col];
+    if (score < config.minScore) { return; }
+    const rejected = scored[row]
+      .map((s, j) => ({ j, score: s.score }))
+      .filter(e => e.j !== col)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, config.trace.topN)
+      .map(e => ({ index: cmpIdxs[e.j], outcome: e.score < config.minScore ? 'below-min-score' : 'assigned-elsewhere' }));
+    pairs.push({
+      bi: baseIdxs[row],
+      ci: cmpIdxs[col],
+      rejected,
+      breakdown: {
+        score:      roundScore(score),
+        cost:       roundScore(1 - score),
+        components: roundComponents(components),
+        weights:    { ...config.weights },
+        pool:       { baseline: baseIdxs.length, compare: cmpIdxs.length }
+      }
+    });
+  });
+  return pairs;
+}
+
+async function globalAssignmentPass(baseline, compareElements, baseOrphans, cmpOrphans, ambiguous, config) {
+  const ambiguousByBase = new Map(ambiguous.map(entry => [entry.baselineIndex, entry]));
+  const byTag = new Map();
+  const bucketFor = tag => {
+    if (!byTag.has(tag)) { byTag.set(tag, { base: [], cmp: [] }); }
+    return byTag.get(tag);
+  };
+  for (const bi of [...baseOrphans, ...ambiguousByBase.keys()]) { bucketFor(baseline[bi].tagName).base.push(bi); }
+  for (const ci of cmpOrphans) { bucketFor(compareElements[ci].tagName).cmp.push(ci); }
+
+  const matches  = [];
+  const resolved = new Set();
+  let skipped    = 0;
+
+  for (const [tag, { base, cmp }] of byTag) {
+    if (base.length === 0 || cmp.length === 0) { continue; }
+    if (base.length * cmp.length > config.maxPairs) {
+      skipped++;
+      logger.debug('Global assignment bucket skipped', { tag, baseline: base.length, compare: cmp.length });
+      continue;
+    }
+    for (const { bi, ci, rejected, breakdown } of await assignBucket(base, cmp, baseline, compareElements, config)) {
+      const conf  = breakdown.score * config.confidence;
+      const match = makeDefinitiveMatch({
+        bi, ci, conf, strat: 'global-assignment',
+        matchType: conf >= config.minMatchThreshold ? MatchType.DEFINITIVE : MatchType.LOW_CONFIDENCE,
+        baseline, compareElements, rejected, trace: config.trace, phase: 'global-assignment'
+      });
+      match.assignment = breakdown;
+      matches.push(match);
+      resolved.add(bi);
+    }
+    await yieldToEventLoop();
+  }
+
+  logger.info('Global assignment complete', {
+    buckets:           byTag.size,
+    skipped,
+    assigned:          matches.length,
+    resolvedAmbiguous: [...ambiguousByBase.keys()].filter(bi => resolved.has(bi)).length
+  });
+
+  return {
+    matches,
+    orphans:   baseOrphans.filter(bi => !resolved.has(bi)),
+    ambiguous: ambiguous.filter(entry => !resolved.has(entry.baselineIndex))
+  };
+}
+
 const LEGACY_CLASSIFIER_BUILDERS = Object.freeze({
   'test-attribute': (cmpIdxs, usedCompare, baseline, cmpEls, matchConfig, strategy) =>
     buildTestAttributeClassifier(cmpIdxs, usedCompare, baseline, cmpEls, matchConfig, strategy),
@@ -413,8 +768,10 @@ const LEGACY_CLASSIFIER_BUILDERS = Object.freeze({
     buildCssSelectorClassifier(cmpIdxs, usedCompare, baseline, cmpEls, matchConfig, strategy),
   'xpath': (cmpIdxs, usedCompare, baseline, cmpEls, matchConfig, strategy) =>
     buildXpathClassifier(cmpIdxs, usedCompare, baseline, cmpEls, matchConfig, strategy),
+  'text-similarity': (cmpIdxs, usedCompare, baseline, cmpEls, matchConfig, strategy) =>
+    buildTextSimilarityClassifier(cmpIdxs, usedCompare, baseline, cmpEls, matchConfig, strategy),
   'position': (cmpIdxs, usedCompare, baseline, cmpEls, matchConfig, strategy, cellSize, minConf) =>
-    buildPositionClassifier(cmpIdxs, usedCompare, baseline, cmpEls, cellSize, minConf, strategy)
+    buildPositionClassifier(cmpIdxs, usedCompare, baseline, cmpEls, cellSize, minConf, strategy, matchConfig)
 });
 
 async function* runChunkedPass(indices, classifyFn, progressCtx) {
@@ -451,6 +808,9 @@ class ElementMatcher {
   #inSequenceConf;
   #suffixConf;
   #sequenceAlignEnabled;
+  #textSimilarity;
+  #globalAssignment;
+  #trace;
 
   constructor() {
     this.#minConf              = get('comparison.matching.confidenceThreshold', 0.5);
@@ -463,12 +823,39 @@ class ElementMatcher {
     this.#inSequenceConf       = get('comparison.matching.sequenceAlignment.inSequenceConf', 0.99);
     this.#suffixConf           = get('comparison.matching.sequenceAlignment.suffixConf', 0.85);
     this.#sequenceAlignEnabled = get('comparison.matching.sequenceAlignment.enabled', true);
+    this.#textSimilarity       = get('comparison.matching.textSimilarity');
+    this.#globalAssignment     = get('comparison.matching.globalAssignment');
+    this.#trace                = {
+      ...get('comparison.matching.trace'),
+      thresholds: {
+        minMatchThreshold:   this.#minMatchThreshold,
+        ambiguityWindow:     this.#ambiguityWindow,
+        confidenceThreshold: this.#minConf
+      },
+      scoring: { ...this.#globalAssignment, textSimilarity: this.#textSimilarity }
+    };
+  }
+
+  async #assignResiduals(baseline, compareElements, baseOrphans, cmpOrphans, ambiguous, usedCompare) {
+    if (!this.#globalAssignment.enabled) { return null; }
+    const result = await globalAssignmentPass(
+      baseline, compareElements, baseOrphans, cmpOrphans, ambiguous,
+      {
+        ...this.#globalAssignment,
+        minMatchThreshold: this.#minMatchThreshold,
+        textSimilarity:    this.#textSimilarity,
+        trace:             this.#trace
+      }
+    );
+    for (const match of result.matches) { usedCompare.add(match.compareIndex); }
+    return result;
   }
 
-  async* matchElements(baseline, compareElements) {
+  async* matchElements(baseline, compareElements, { overrides = [] } = {}) {
     logger.info('Sequence-aware matching start', {
-      baseline: baseline.length,
-      compare:  compareElements.length
+      baseline:  baseline.length,
+      compare:   compareElements.length,
+      overrides: overrides.length
     });
 
     const usedBaseline = new Set();
@@ -476,18 +863,33 @@ class ElementMatcher {
     const allMatches   = [];
     const allAmbiguous = [];
 
+    yield progressFrame('Applying pinned matches…', 2);
+
+    const pinned = applyMatchOverrides(overrides, baseline, compareElements, usedBaseline, usedCompare, this.#trace);
+    allMatches.push(...pinned.matches);
+    if (overrides.length > 0) {
+      logger.info('Match overrides applied', {
+        pinned:        pinned.matches.length,
+        noCounterpart: pinned.pinnedBaseline.length + pinned.pinnedCompare.length,
+        skipped:       pinned.skipped
+      });
+    }
+
     yield progressFrame('Anchoring by test attributes…', 5);
 
     const testAttrStrategy = get('comparison.matching.strategies')
       .find(s => s.id === 'test-attribute' && s.enabled);
 
     if (testAttrStrategy) {
-      const allBaseIdxs = Array.from({ length: baseline.length },        (_, i) => i);
-      const allCmpIdxs  = Array.from({ length: compareElements.length }, (_, i) => i);
+      const allBaseIdxs = Array.from({ length: baseline.length },        (_, i) => i).filter(i => !usedBaseline.has(i));
+      const allCmpIdxs  = Array.from({ length: compareElements.length }, (_, i) => i).filter(i => !usedCompare.has(i));
       const matchConfig = {
         anchorAttributes:  this.#anchorAttributes,
         minMatchThreshold: this.#minMatchThreshold,
-        ambiguityWindow:   this.#ambiguityWindow
+        ambiguityWindow:   this.#ambiguityWindow,
+        textSimilarity:    this.#textSimilarity,
+        trace:             this.#trace,
+        phase:             'anchor'
       };
 
       const phase0Classify = buildTestAttributeClassifier(
@@ -525,7 +927,8 @@ class ElementMatcher {
       for (const { bi, ci, confidence, strategy } of alignResult.pairs) {
         allMatches.push(makeDefinitiveMatch({
           bi, ci, conf: confidence, strat: strategy,
-          matchType: MatchType.DEFINITIVE, baseline, compareElements
+          matchType: MatchType.DEFINITIVE, baseline, compareElements,
+          trace: this.#trace, phase: 'sequence'
         }));
       }
 
@@ -546,7 +949,8 @@ class ElementMatcher {
       for (const { bi, ci, confidence, strategy } of suffixPairs) {
         allMatches.push(makeDefinitiveMatch({
           bi, ci, conf: confidence, strat: strategy,
-          matchType: MatchType.DEFINITIVE, baseline, compareElements
+          matchType: MatchType.DEFINITIVE, baseline, compareElements,
+          trace: this.#trace, phase: 'realign'
         }));
         usedBaseline.add(bi);
       }
@@ -564,7 +968,10 @@ class ElementMatcher {
       const matchConfig = {
         anchorAttributes:  this.#anchorAttributes,
         minMatchThreshold: this.#minMatchThreshold,
-        ambiguityWindow:   this.#ambiguityWindow
+        ambiguityWindow:   this.#ambiguityWindow,
+        textSimilarity:    this.#textSimilarity,
+        trace:             this.#trace,
+        phase:             'strategy-pass'
       };
 
       let mutableBaseOrphans = legacyBaseOrphans.slice();
@@ -597,12 +1004,24 @@ class ElementMatcher {
         mutableCmpOrphans  = mutableCmpOrphans.filter(i => !usedCompare.has(i));
       }
 
+      yield progressFrame('Resolving residual matches globally…', 92);
+      const assigned = await this.#assignResiduals(
+        baseline, compareElements, mutableBaseOrphans, mutableCmpOrphans, allAmbiguous, usedCompare
+      );
+      if (assigned) {
+        allMatches.push(...assigned.matches);
+        allAmbiguous.splice(0, allAmbiguous.length, ...assigned.ambiguous);
+        mutableBaseOrphans = assigned.orphans;
+        mutableCmpOrphans  = mutableCmpOrphans.filter(i => !usedCompare.has(i));
+      }
+
       const reservedByAmbiguous = new Set(
         allAmbiguous.flatMap(e => (e.ambiguousCandidates ?? []).map(c => c.compareIndex))
       );
 
-      const finalUnmatchedBaselineIdxs = new Set([...alignResult.removed, ...mutableBaseOrphans]);
+      const finalUnmatchedBaselineIdxs = new Set([...pinned.pinnedBaseline, ...alignResult.removed, ...mutableBaseOrphans]);
       const finalUnmatchedCompareIdxs  = new Set([
+        ...pinned.pinnedCompare,
         ...alignResult.added,
         ...mutableCmpOrphans.filter(i => !reservedByAmbiguous.has(i))
       ]);
@@ -611,12 +1030,13 @@ class ElementMatcher {
       const unmatchedCompare  = [...finalUnmatchedCompareIdxs].map(i => compareElements[i]);
 
       logger.info('Sequence-aware matching complete', {
+        pinned:            pinned.matches.length,
         phase0:            allMatches.filter(m => m.strategy === 'test-attribute').length,
         phase1Pairs:       alignResult.pairs.length,
         phase1Added:       alignResult.added.length,
         phase1Removed:     alignResult.removed.length,
         phase2Realigned:   suffixPairs.length,
-        phase3:            allMatches.length - alignResult.pairs.length - suffixPairs.length -
+        phase3:            allMatches.length - alignResult.pairs.length - suffixPairs.length - pinned.matches.length -
                            allMatches.filter(m => m.strategy === 'test-attribute').length,
         totalMatched:      allMatches.length,
         ambiguous:         allAmbiguous.length,
@@ -637,7 +1057,10 @@ class ElementMatcher {
       const matchConfig = {
         anchorAttributes:  this.#anchorAttributes,
         minMatchThreshold: this.#minMatchThreshold,
-        ambiguityWindow:   this.#ambiguityWindow
+        ambiguityWindow:   this.#ambiguityWindow,
+        textSimilarity:    this.#textSimilarity,
+        trace:             this.#trace,
+        phase:             'strategy-pass'
       };
 
       let baseOrphans = allBaseIdxs;
@@ -668,11 +1091,23 @@ class ElementMatcher {
         cmpOrphans  = cmpOrphans.filter(i => !usedCompare.has(i));
       }
 
+      yield progressFrame('Resolving residual matches globally…', 97);
+      const assigned = await this.#assignResiduals(
+        baseline, compareElements, baseOrphans, cmpOrphans, allAmbiguous, usedCompare
+      );
+      if (assigned) {
+        allMatches.push(...assigned.matches);
+        allAmbiguous.splice(0, allAmbiguous.length, ...assigned.ambiguous);
+        baseOrphans = assigned.orphans;
+        cmpOrphans  = cmpOrphans.filter(i => !usedCompare.has(i));
+      }
+
       const reservedByAmbiguous = new Set(
         allAmbiguous.flatMap(e => (e.ambiguousCandidates ?? []).map(c => c.compareIndex))
       );
-      const unmatchedBaseline = baseOrphans.map(i => baseline[i]);
-      const unmatchedCompare  = cmpOrphans.filter(i => !reservedByAmbiguous.has(i)).map(i => compareElements[i]);
+      const unmatchedBaseline = [...pinned.pinnedBaseline, ...baseOrphans].map(i => baseline[i]);
+      const unmatchedCompare  = [...pinned.pinnedCompare, ...cmpOrphans.filter(i => !reservedByAmbiguous.has(i))]
+        .map(i => compareElements[i]);
 
       yield progressFrame('Finalising match results…', 99);
       yield resultFrame({ matches: allMatches, ambiguous: allAmbiguous, unmatchedBaseline, unmatchedCompare });
@@ -0,0 +1,70 @@
+const POSITIONED_LAYER = 4;
+
+function comparePaintKeys(a, b) {
+  const len = Math.min(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    if (a[i] !== b[i]) {return Math.sign(a[i] - b[i]);}
+  }
+  return Math.sign(a.length - b.length);
+}
+
+function rectsOverlap(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+function isNested(hpidA, hpidB) {
+  return hpidA === hpidB || hpidA.startsWith(`${hpidB}.`) || hpidB.startsWith(`${hpidA}.`);
+}
+
+function isLayered(el) {
+  const stacking = el?.stacking;
+  return Boolean(el?.rect && stacking?.paintKey && (stacking.createsContext || stacking.layer >= POSITIONED_LAYER));
+}
+
+function describe(el) {
+  return `${el.tagName}${el.elementId ? `#${el.elementId}` : ''} (${el.hpid})`;
+}
+
+function buildOcclusionDiff(occluded, occluder) {
+  return {
+    property:     'paint-order',
+    baseValue:    `above ${describe(occluder.baselineElement)}`,
+    compareValue: `below ${describe(occluder.compareElement)}`,
+    category:     'stacking',
+    type:         'modified',
+    description:  `occlusion change: now painted beneath ${describe(occluder.compareElement)}`,
+    relatedHpid:  occluder.baselineElement.hpid
+  };
+}
+
+function detectOcclusionChanges(results, maxCandidates) {
+  const candidates = results
+    .filter(r => isLayered(r.baselineElement) && isLayered(r.compareElement))
+    .slice(0, maxCandidates)
+    .sort((a, b) => a.baselineElement.rect.y - b.baselineElement.rect.y);
+
+  const changes = [];
+  for (let i = 0; i < candidates.length; i++) {
+    const a       = candidates[i];
+    const aBottom = a.baselineElement.rect.y + a.baselineElement.rect.height;
+
+    for (let j = i + 1; j < candidates.length; j++) {
+      const b = candidates[j];
+      if (b.baselineElement.rect.y >= aBottom) {break;}
+      if (a.baselineElement.frameId !== b.baselineElement.frameId) {continue;}
+      if (isNested(a.baselineElement.hpid, b.baselineElement.hpid)) {continue;}
+      if (!rectsOverlap(a.baselineElement.rect, b.baselineElement.rect)) {continue;}
+      if (!rectsOverlap(a.compareElement.rect, b.compareElement.rect)) {continue;}
+
+      const before = comparePaintKeys(a.baselineElement.stacking.paintKey, b.baselineElement.stacking.paintKey);
+      const after  = comparePaintKeys(a.compareElement.stacking.paintKey,  b.compareElement.stacking.paintKey);
+      if (before === 0 || after === 0 || before === after) {continue;}
+
+      const [occluded, occluder] = after < 0 ? [a, b] : [b, a];
+      changes.push({ result: occluded, diff: buildOcclusionDiff(occluded, occluder) });
+    }
+  }
+  return changes;
+}
+
+export { detectOcclusionChanges };
@@ -11,10 +11,10 @@ const SEVERITY_LEVELS = {
 
 class SeverityAnalyzer {
 
-  constructor() {
-    this._critical = get('comparison.severity.critical');
-    this._high     = get('comparison.severity.high');
-    this._medium   = get('comparison.severity.medium');
+  constructor(rules = get('comparison.severity')) {
+    this._critical = rules.critical;
+    this._high     = rules.high;
+    this._medium   = rules.medium;
   }
 
   analyzeDifferences(differences) {
@@ -37,7 +37,8 @@ class SeverityAnalyzer {
     return { overallSeverity, severityCounts, annotatedDifferences: annotated };
   }
 
-  _calculateSeverity({ property, baseValue, compareValue, category }) {
+  _calculateSeverity({ property: rawProperty, stateProperty, baseValue, compareValue, category }) {
+    const property = stateProperty ?? rawProperty;
     if (this._critical.includes(property))             { return SEVERITY_LEVELS.CRITICAL; }
     if (this._isLayoutBreaking(property, baseValue, compareValue)) { return SEVERITY_LEVELS.CRITICAL; }
     if (this._high.includes(property))                 { return SEVERITY_LEVELS.HIGH; }
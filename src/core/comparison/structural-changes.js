@@ -0,0 +1,126 @@
+import { get } from '../../config/defaults.js';
+
+const STRUCTURAL_CHANGE = Object.freeze({
+  MOVED:      'moved',
+  REPARENTED: 'reparented',
+  REORDERED:  'reordered-among-siblings'
+});
+
+function hpidSegments(hpid) {
+  return typeof hpid === 'string' && hpid ? hpid.split('.') : [];
+}
+
+function siblingIndex(hpid) {
+  const segments = hpidSegments(hpid);
+  return segments.length ? Number(segments[segments.length - 1]) : null;
+}
+
+function nearestParent(hpid, known) {
+  const segments = hpidSegments(hpid);
+  for (let len = segments.length - 1; len > 0; len--) {
+    const candidate = segments.slice(0, len).join('.');
+    if (known.has(candidate)) { return candidate; }
+  }
+  return null;
+}
+
+function nearestMatchedAncestor(hpid, baselineHpids, baselineToCompare) {
+  let current = nearestParent(hpid, baselineHpids);
+  while (current !== null && !baselineToCompare.has(current)) {
+    current = nearestParent(current, baselineHpids);
+  }
+  return current;
+}
+
+function isDescendantOf(hpid, ancestor) {
+  return ancestor !== null && hpid.startsWith(`${ancestor}.`);
+}
+
+function longestIncreasingRun(values) {
+  const tails   = [];
+  const tailIdx = [];
+  const prev    = new Array(values.length).fill(-1);
+
+  values.forEach((value, i) => {
+    let lo = 0, hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (tails[mid] < value) { lo = mid + 1; } else { hi = mid; }
+    }
+    tails[lo]   = value;
+    tailIdx[lo] = i;
+    prev[i]     = lo > 0 ? tailIdx[lo - 1] : -1;
+  });
+
+  const keep = new Set();
+  for (let i = tailIdx[tails.length - 1] ?? -1; i !== -1; i = prev[i]) { keep.add(i); }
+  return keep;
+}
+
+function describeChange(type, match, fromParent, toParent) {
+  const b = match.baselineElement;
+  const c = match.compareElement;
+  return {
+    type,
+    hpid:        b.hpid,
+    compareHpid: c.hpid,
+    tagName:     b.tagName,
+    fromParent,
+    toParent,
+    fromIndex:   siblingIndex(b.hpid),
+    toIndex:     siblingIndex(c.hpid)
+  };
+}
+
+function isTrackable(match) {
+  const b = match.baselineElement;
+  const c = match.compareElement;
+  return Boolean(b?.hpid && c?.hpid && !b.pseudoType && !c.pseudoType);
+}
+
+function detectStructuralChanges(baselineElements, compareElements, matches) {
+  if (!get('comparison.structuralChanges.enabled')) { return []; }
+
+  const baselineHpids     = new Set(baselineElements.map(el => el.hpid).filter(Boolean));
+  const compareHpids      = new Set(compareElements.map(el => el.hpid).filter(Boolean));
+  const trackable         = matches.filter(isTrackable);
+  const baselineToCompare = new Map(trackable.map(m => [m.baselineElement.hpid, m.compareElement.hpid]));
+  const siblingGroups     = new Map();
+  const changes           = [];
+
+  for (const match of trackable) {
+    const bHpid      = match.baselineElement.hpid;
+    const cHpid      = match.compareElement.hpid;
+    const fromParent = nearestParent(bHpid, baselineHpids);
+    const toParent   = nearestParent(cHpid, compareHpids);
+    if (fromParent === null && toParent === null) { continue; }
+
+    if (fromParent !== null && baselineToCompare.get(fromParent) === toParent) {
+      if (!siblingGroups.has(fromParent)) { siblingGroups.set(fromParent, []); }
+      siblingGroups.get(fromParent).push(match);
+      continue;
+    }
+
+    const anchor   = nearestMatchedAncestor(bHpid, baselineHpids, baselineToCompare);
+    const retained = anchor === null || isDescendantOf(cHpid, baselineToCompare.get(anchor));
+    const type     = retained ? STRUCTURAL_CHANGE.REPARENTED : STRUCTURAL_CHANGE.MOVED;
+
+    match.structuralChange = type;
+    changes.push(describeChange(type, match, fromParent, toParent));
+  }
+
+  for (const [parent, siblings] of siblingGroups) {
+    if (siblings.length < 2) { continue; }
+    siblings.sort((a, b) => siblingIndex(a.baselineElement.hpid) - siblingIndex(b.baselineElement.hpid));
+    const inOrder = longestIncreasingRun(siblings.map(m => siblingIndex(m.compareElement.hpid)));
+    siblings.forEach((match, i) => {
+      if (inOrder.has(i)) { return; }
+      match.structuralChange = STRUCTURAL_CHANGE.REORDERED;
+      changes.push(describeChange(STRUCTURAL_CHANGE.REORDERED, match, parent, baselineToCompare.get(parent)));
+    });
+  }
+
+  return changes;
+}
+
+export { STRUCTURAL_CHANGE, detectStructuralChanges };
@@ -0,0 +1,89 @@
+const QGRAM_SIZE = 3;
+
+function wagnerFischer(a, b) {
+  if (a.length === 0) { return b.length; }
+  if (b.length === 0) { return a.length; }
+  const m = a.length, n = b.length;
+  let prev = Array.from({ length: n + 1 }, (_, i) => i);
+  const curr = new Array(n + 1);
+  for (let i = 1; i <= m; i++) {
+    curr[0] = i;
+    for (let j = 1; j <= n; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(curr[j - 1] + 1, prev[j] + 1, prev[j - 1] + cost);
+    }
+    prev = curr.slice();
+  }
+  return prev[n];
+}
+
+function normalizeText(text, maxLength) {
+  if (typeof text !== 'string') { return ''; }
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
+
+function tokenSet(normalized) {
+  return new Set(normalized ? normalized.split(' ') : []);
+}
+
+function qgramCounts(normalized) {
+  const counts = new Map();
+  for (let i = 0; i + QGRAM_SIZE <= normalized.length; i++) {
+    const gram = normalized.slice(i, i + QGRAM_SIZE);
+    counts.set(gram, (counts.get(gram) ?? 0) + 1);
+  }
+  return counts;
+}
+
+function sharedQgrams(aGrams, bGrams) {
+  let shared = 0;
+  for (const [gram, count] of aGrams) {
+    const other = bGrams.get(gram);
+    if (other) { shared += Math.min(count, other); }
+  }
+  return shared;
+}
+
+function tokenJaccard(aTokens, bTokens) {
+  if (aTokens.size === 0 && bTokens.size === 0) { return 1; }
+  let shared = 0;
+  for (const t of aTokens) {
+    if (bTokens.has(t)) { shared++; }
+  }
+  return shared / (aTokens.size + bTokens.size - shared);
+}
+
+function editSimilarity(a, b) {
+  const maxLen = Math.max(a.length, b.length);
+  if (maxLen === 0) { return 1; }
+  return 1 - wagnerFischer(a, b) / maxLen;
+}
+
+function lengthBound(a, b) {
+  const maxLen = Math.max(a.length, b.length);
+  return maxLen === 0 ? 1 : Math.min(a.length, b.length) / maxLen;
+}
+
+function editSimilarityBound(a, b) {
+  const maxLen = Math.max(a.text.length, b.text.length);
+  if (!a.grams || !b.grams || maxLen < QGRAM_SIZE) { return 1; }
+  const missing = maxLen - QGRAM_SIZE + 1 - sharedQgrams(a.grams, b.grams);
+  return 1 - Math.ceil(missing / QGRAM_SIZE) / maxLen;
+}
+
+function textSimilarity(a, b, minSimilarity = 0) {
+  const jaccard = tokenJaccard(a.tokens, b.tokens);
+  if (jaccard >= 1) { return 1; }
+  if (lengthBound(a.text, b.text) < minSimilarity) { return jaccard; }
+  if (editSimilarityBound(a, b) < minSimilarity) { return jaccard; }
+  return Math.max(jaccard, editSimilarity(a.text, b.text));
+}
+
+export {
+  wagnerFischer, normalizeText, tokenSet, qgramCounts, sharedQgrams, tokenJaccard, editSimilarity, textSimilarity
+};
@@ -0,0 +1,125 @@
+import { normalizerEngine } from '../normalization/normalizer-engine.js';
+import { SeverityAnalyzer } from './severity-analyzer.js';
+import { NON_CSS_CATEGORIES } from './differ.js';
+
+const ROOT_SCOPE = ':root';
+
+function diffCustomProperties(baseProps, compareProps) {
+  const base    = baseProps    ?? {};
+  const compare = compareProps ?? {};
+  const names   = new Set([...Object.keys(base), ...Object.keys(compare)]);
+  const changes = [];
+  for (const name of names) {
+    if (base[name] === compare[name]) {continue;}
+    changes.push({ token: name, baseValue: base[name] ?? null, compareValue: compare[name] ?? null });
+  }
+  return changes;
+}
+
+function referencedTokens(result) {
+  const { baselineElement, compareElement } = result;
+  return new Set([
+    ...Object.keys(baselineElement?.customProperties ?? {}),
+    ...Object.keys(compareElement?.customProperties  ?? {})
+  ]);
+}
+
+class TokenAnalyzer {
+  #normalizer;
+  #severityAnalyzer;
+
+  constructor({ normalizer, severityAnalyzer } = {}) {
+    this.#normalizer       = normalizer       ?? normalizerEngine;
+    this.#severityAnalyzer = severityAnalyzer ?? new SeverityAnalyzer();
+  }
+
+  analyze(baselineReport, compareReport, results, severityAnalyzer = this.#severityAnalyzer) {
+    const changes = this.#collectChanges(baselineReport, compareReport, results);
+    if (!changes.size) {return [];}
+
+    for (const result of results) {
+      const hpid       = result.baselineElement?.hpid ?? result.hpid ?? null;
+      const referenced = referencedTokens(result);
+      if (!referenced.size) {continue;}
+      for (const diff of result.annotatedDifferences ?? []) {
+        const change = this.#attribute(diff, changes, referenced);
+        if (!change) {continue;}
+        diff.token = change.token;
+        change.collapsedDiffs++;
+        change.properties.add(diff.stateProperty ?? diff.property);
+        if (hpid) {change.affectedHpids.add(hpid);}
+      }
+      this.#collapse(result, severityAnalyzer);
+    }
+
+    return [...changes.values()]
+      .map(c => ({
+        token:            c.token,
+        baseValue:        c.baseValue,
+        compareValue:     c.compareValue,
+        scopes:           [...c.scopes],
+        properties:       [...c.properties],
+        affectedElements: c.affectedHpids.size,
+        affectedHpids:    [...c.affectedHpids],
+        collapsedDiffs:   c.collapsedDiffs
+      }))
+      .sort((a, b) => b.affectedElements - a.affectedElements);
+  }
+
+  #collectChanges(baselineReport, compareReport, results) {
+    const changes = new Map();
+    const record  = (change, scope) => {
+      const key = `${change.token}\x02${change.baseValue}\x02${change.compareValue}`;
+      if (!changes.has(key)) {
+        changes.set(key, { ...change, scopes: new Set(), properties: new Set(), affectedHpids: new Set(), collapsedDiffs: 0 });
+      }
+      changes.get(key).scopes.add(scope);
+    };
+
+    for (const change of diffCustomProperties(baselineReport.rootCustomProperties, compareReport.rootCustomProperties)) {
+      record(change, ROOT_SCOPE);
+    }
+
+    for (const result of results) {
+      const { baselineElement, compareElement } = result;
+      if (!baselineElement?.customProperties && !compareElement?.customProperties) {continue;}
+      for (const change of diffCustomProperties(baselineElement?.customProperties, compareElement?.customProperties)) {
+        record(change, baselineElement.hpid);
+      }
+    }
+
+    return changes;
+  }
+
+  #collapse(result, severityAnalyzer) {
+    const annotated = result.annotatedDifferences ?? [];
+    if (!annotated.some(d => d.token)) {return;}
+
+    const keep      = annotated.map(d => !d.token);
+    const remaining = annotated.filter((_, i) => keep[i]);
+    const severity  = severityAnalyzer.analyzeDifferences(remaining);
+    const paired    = result.differences?.length === annotated.length;
+
+    result.tokenDiffs           = annotated.filter((_, i) => !keep[i]);
+    result.differences          = paired ? result.differences.filter((_, i) => keep[i]) : remaining;
+    result.totalDifferences     = remaining.length;
+    result.overallSeverity      = severity.overallSeverity;
+    result.severityCounts       = severity.severityCounts;
+    result.annotatedDifferences = severity.annotatedDifferences;
+  }
+
+  #attribute(diff, changes, referenced) {
+    if (NON_CSS_CATEGORIES.has(diff.category)) {return null;}
+    const property = diff.stateProperty ?? diff.property;
+    for (const change of changes.values()) {
+      if (!referenced.has(change.token)) {continue;}
+      if (change.baseValue === null || change.compareValue === null) {continue;}
+      const base    = this.#normalizer.normalizeProperty(property, change.baseValue);
+      const compare = this.#normalizer.normalizeProperty(property, change.compareValue);
+      if (base === diff.baseValue && compare === diff.compareValue) {return change;}
+    }
+    return null;
+  }
+}
+
+export { TokenAnalyzer };
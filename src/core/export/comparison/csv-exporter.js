@@ -43,7 +43,7 @@ function buildComparisonCsv(result) {
   rows.push([
     'HPID', 'Absolute HPID', 'Tag Name', 'Element ID', 'Class Name',
     'Text Content', 'Tier', 'Depth', 'CSS Selector', 'XPath',
-    'Property', 'Category', 'Baseline Value', 'Compare Value', 'Severity', 'Diff Type'
+    'Property', 'Category', 'Baseline Value', 'Compare Value', 'Severity', 'Diff Type', 'Redacted'
   ]);
 
   for (const match of result.comparison.results) {
@@ -65,7 +65,8 @@ function buildComparisonCsv(result) {
         diff.baseValue    ?? '',
         diff.compareValue ?? '',
         diff.severity,
-        diff.type
+        diff.type,
+        diff.redacted ? 'yes' : ''
       ]);
     }
   }
@@ -93,6 +94,27 @@ function buildComparisonCsv(result) {
 
   rows.push([]);
 
+  rows.push(['STRUCTURAL CHANGES']);
+  rows.push([
+    'Change', 'HPID', 'Compare HPID', 'Tag Name',
+    'Baseline Parent', 'Compare Parent', 'Baseline Index', 'Compare Index'
+  ]);
+
+  for (const c of (result.comparison.structuralChanges ?? [])) {
+    rows.push([
+      c.type,
+      c.hpid,
+      c.compareHpid,
+      c.tagName    ?? '',
+      c.fromParent ?? '',
+      c.toParent   ?? '',
+      c.fromIndex  ?? '',
+      c.toIndex    ?? ''
+    ]);
+  }
+
+  rows.push([]);
+
   rows.push(['UNMATCHED ELEMENTS']);
   rows.push([
     'Status', 'HPID', 'Absolute HPID', 'Tag Name', 'Element ID',
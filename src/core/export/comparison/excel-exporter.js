@@ -1,5 +1,6 @@
 import { get }  from '../../../config/defaults.js';
 import logger    from '../../../infrastructure/logger.js';
+import { collapseUnmatchedSubtrees } from '../shared/report-transformer.js';
 
 const HEADER_FONT_COLOR = 'FFFFFF';
 
@@ -70,6 +71,7 @@ function exportToExcel(comparisonResult) {
     _addDifferencesSheet(wb, comparisonResult, XLSX);
     _addMatchedElementsSheet(wb, comparisonResult, XLSX);
     _addUnmatchedSheet(wb, comparisonResult, XLSX);
+    _addStructuralChangesSheet(wb, comparisonResult, XLSX);
     _addSeveritySheet(wb, comparisonResult, XLSX);
 
     const filename = `comparison-${comparisonResult.baseline.id}-vs-${comparisonResult.compare.id}.xlsx`;
@@ -140,7 +142,7 @@ function _addDifferencesSheet(wb, result, XLSX) {
   const headers = [
     'Element ID', 'Tag Name', 'Element ID Attr', 'Class Name',
     'Property', 'Baseline Value', 'Compare Value',
-    'Type', 'Category', 'Severity'
+    'Type', 'Category', 'Severity', 'Redacted'
   ];
 
   const rows = [];
@@ -156,7 +158,8 @@ function _addDifferencesSheet(wb, result, XLSX) {
         diff.compareValue ?? '',
         diff.type,
         diff.category,
-        diff.severity
+        diff.severity,
+        diff.redacted ? 'yes' : ''
       ]);
     }
   }
@@ -165,7 +168,7 @@ function _addDifferencesSheet(wb, result, XLSX) {
   ws['!cols'] = [
     { wch: 12 }, { wch: 10 }, { wch: 20 }, { wch: 25 },
     { wch: 28 }, { wch: 32 }, { wch: 32 },
-    { wch: 12 }, { wch: 14 }, { wch: 12 }
+    { wch: 12 }, { wch: 14 }, { wch: 12 }, { wch: 10 }
   ];
 
   _applyHeaderRow(ws, XLSX);
@@ -206,18 +209,36 @@ function _addMatchedElementsSheet(wb, result, XLSX) {
 }
 
 function _addUnmatchedSheet(wb, result, XLSX) {
-  const headers = ['Status', 'Element ID', 'Tag Name', 'Element ID Attr', 'Class Name'];
+  const headers = [
+    'Status', 'Element ID', 'HPID', 'Tag Name', 'Element ID Attr', 'Class Name',
+    'Subtree Elements', 'Subtree Depth', 'Page Section', 'Tree Edit Cost'
+  ];
   const rows    = [];
+  const levels  = [];
 
-  for (const el of result.unmatchedElements.baseline) {
-    rows.push(['Only in Baseline (removed)', el.id, el.tagName, el.elementId || '', el.className || '']);
-  }
-  for (const el of result.unmatchedElements.compare) {
-    rows.push(['Only in Compare (added)', el.id, el.tagName, el.elementId || '', el.className || '']);
-  }
+  const addSubtrees = (elements, status, label) => {
+    for (const subtree of collapseUnmatchedSubtrees(elements, status)) {
+      rows.push([
+        label, subtree.id ?? '', subtree.hpid ?? '', subtree.tagName, subtree.elementId || '', subtree.className || '',
+        subtree.subtreeSize, subtree.subtreeDepth, subtree.pageSection || '', subtree.treeEdit.cost
+      ]);
+      levels.push(0);
+      for (const member of subtree.subtreeMembers) {
+        rows.push([label, member.id ?? '', member.hpid, member.tagName, member.elementId || '', member.className || '', '', '', member.pageSection || '', '']);
+        levels.push(1);
+      }
+    }
+  };
+
+  addSubtrees(result.unmatchedElements.baseline, 'removed', 'Only in Baseline (removed)');
+  addSubtrees(result.unmatchedElements.compare,  'added',   'Only in Compare (added)');
 
   const ws = XLSX.utils.aoa_to_sheet([headers, ...rows]);
-  ws['!cols'] = [{ wch: 26 }, { wch: 12 }, { wch: 10 }, { wch: 20 }, { wch: 28 }];
+  ws['!cols'] = [
+    { wch: 26 }, { wch: 12 }, { wch: 16 }, { wch: 10 }, { wch: 20 }, { wch: 28 },
+    { wch: 16 }, { wch: 14 }, { wch: 14 }, { wch: 14 }
+  ];
+  ws['!rows'] = [{}, ...levels.map(level => (level ? { level, hidden: true } : {}))];
 
   _applyHeaderRow(ws, XLSX);
   _applyFreezePane(ws);
@@ -236,6 +257,35 @@ function _addUnmatchedSheet(wb, result, XLSX) {
   XLSX.utils.book_append_sheet(wb, ws, 'Unmatched Elements');
 }
 
+function _addStructuralChangesSheet(wb, result, XLSX) {
+  const headers = [
+    'Change', 'HPID', 'Compare HPID', 'Tag Name',
+    'Baseline Parent', 'Compare Parent', 'Baseline Index', 'Compare Index'
+  ];
+
+  const rows = (result.comparison.structuralChanges ?? []).map(c => [
+    c.type,
+    c.hpid,
+    c.compareHpid,
+    c.tagName    ?? '',
+    c.fromParent ?? '',
+    c.toParent   ?? '',
+    c.fromIndex  ?? '',
+    c.toIndex    ?? ''
+  ]);
+
+  const ws = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+  ws['!cols'] = [
+    { wch: 24 }, { wch: 18 }, { wch: 18 }, { wch: 10 },
+    { wch: 18 }, { wch: 18 }, { wch: 14 }, { wch: 14 }
+  ];
+
+  _applyHeaderRow(ws, XLSX);
+  _applyFreezePane(ws);
+
+  XLSX.utils.book_append_sheet(wb, ws, 'Structural Changes');
+}
+
 function _addSeveritySheet(wb, result, XLSX) {
   const groups = { critical: [], high: [], medium: [], low: [] };
 
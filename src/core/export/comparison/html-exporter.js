@@ -2,13 +2,18 @@ import logger from '../../../infrastructure/logger.js';
 import storage from '../../../infrastructure/idb-repository.js';
 import { transformToGroupedReport } from '../shared/report-transformer.js';
 
+async function renderComparisonDocument(comparisonResult) {
+  const grouped          = transformToGroupedReport(comparisonResult);
+  const manifest         = resolveVisualManifest(comparisonResult.visualDiffs ?? null);
+  const visualDiffStatus = comparisonResult.visualDiffStatus ?? null;
+  const blobData         = await loadBlobData(manifest);
+  const html             = buildDocument(grouped, comparisonResult, manifest, blobData, visualDiffStatus);
+  return { html, grouped, manifest, blobData, visualDiffStatus };
+}
+
 async function exportToHTML(comparisonResult) {
   try {
-    const grouped          = transformToGroupedReport(comparisonResult);
-    const manifest         = resolveVisualManifest(comparisonResult.visualDiffs ?? null);
-    const visualDiffStatus = comparisonResult.visualDiffStatus ?? null;
-    const blobData         = await loadBlobData(manifest);
-    const html             = buildDocument(grouped, comparisonResult, manifest, blobData, visualDiffStatus);
+    const { html, grouped, manifest, blobData, visualDiffStatus } = await renderComparisonDocument(comparisonResult);
     await triggerDownload(html, `comparison-${Date.now()}.html`);
     logger.info('HTML export complete', {
       elements:         grouped.summary.totalMatched,
@@ -25,6 +30,28 @@ async function exportToHTML(comparisonResult) {
   }
 }
 
+async function exportCaptureSetToHTML(entries, selectedViewportId) {
+  try {
+    const rendered = [];
+    for (const entry of entries) {
+      const { html, grouped } = await renderComparisonDocument(entry.result);
+      rendered.push({ ...entry, html, summary: grouped.summary });
+    }
+    const selected = rendered.some(r => r.viewportId === selectedViewportId)
+      ? selectedViewportId
+      : rendered[0].viewportId;
+    await triggerDownload(buildCaptureSetDocument(rendered, selected), `comparison-set-${Date.now()}.html`);
+    logger.info('HTML capture-set export complete', {
+      breakpoints: rendered.map(r => r.viewportId),
+      selected
+    });
+    return { success: true };
+  } catch (error) {
+    logger.error('HTML capture-set export failed', { error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
 function resolveVisualManifest(visualDiffs) {
   if (!visualDiffs) { return {}; }
   const out     = Object.create(null);
@@ -243,6 +270,44 @@ ${buildModalHtml()}
 </html>`;
 }
 
+function buildCaptureSetDocument(rendered, selected) {
+  const first = rendered[0].result;
+  const title = `${first.baseline?.url ?? ''} vs ${first.compare?.url ?? ''}`;
+  const options = rendered.map(r => {
+    const sev   = r.summary.severityBreakdown ?? {};
+    const label = `${r.viewportId} \u2014 ${r.viewport?.width ?? '?'}\u00D7${r.viewport?.height ?? '?'} \u2014 ${(sev.critical ?? 0) + (sev.high ?? 0)} critical/high`;
+    return `<option value="${esc(r.viewportId)}"${r.viewportId === selected ? ' selected' : ''}>${esc(label)}</option>`;
+  }).join('');
+  const frames = rendered.map(r =>
+    `<iframe class="bp-frame" data-bp="${esc(r.viewportId)}" title="${esc(r.viewportId)} comparison"${r.viewportId === selected ? '' : ' hidden'} srcdoc="${esc(r.html)}"></iframe>`
+  ).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>UI Diff \u2014 ${esc(title)}</title>
+<style>
+html,body{margin:0;height:100%;background:#0f172a;font-family:system-ui,sans-serif;}
+.bp-bar{display:flex;align-items:center;gap:10px;height:40px;padding:0 14px;background:#111827;border-bottom:1px solid #1f2937;color:#e5e7eb;font-size:12px;}
+.bp-bar label{font-weight:700;letter-spacing:.04em;text-transform:uppercase;color:#9ca3af;}
+.bp-bar select{background:#1f2937;color:#e5e7eb;border:1px solid #374151;border-radius:6px;padding:4px 8px;font-size:12px;}
+.bp-frame{display:block;width:100%;height:calc(100% - 41px);border:0;}
+.bp-frame[hidden]{display:none;}
+</style>
+</head>
+<body>
+<div class="bp-bar"><label for="bp-select">Breakpoint</label><select id="bp-select">${options}</select></div>
+${frames}
+<script>
+document.getElementById('bp-select').addEventListener('change',function(e){
+  document.querySelectorAll('.bp-frame').forEach(function(f){ f.hidden=f.dataset.bp!==e.target.value; });
+});
+</script>
+</body>
+</html>`;
+}
+
 function buildSidebar(s, raw) {
   const bar         = Math.round(s.matchRate ?? 0);
 
@@ -250,6 +315,9 @@ function buildSidebar(s, raw) {
 
   const cmpHost     = (() => { try { return new URL(raw?.compare?.url ?? '').hostname; } catch { return 'Compare'; } })();
   const baseHost    = (() => { try { return new URL(raw?.baseline?.url ?? '').hostname; } catch { return 'Baseline'; } })();
+  const tokenInfo   = buildTokenSection(s.tokenChanges ?? []);
+  const structInfo  = buildStructuralSection(s.structuralChanges ?? []);
+  const clusterInfo = buildClusterSection(s.rootCauseCandidates ?? []);
   const suppInfo    = s.suppressedChildCount > 0
     ? `<div class="stat-row stat-row--subdued" title="${s.suppressedChildCount} child elements absorbed into parent diffs (CSS cascade suppression)"><span class="icon">\u2514</span> +${s.suppressedChildCount} cascaded</div>`
     : '';
@@ -270,11 +338,14 @@ function buildSidebar(s, raw) {
   <div class="stat-row"><span class="icon">\u2756</span> ${s.totalMatched} Matched</div>
   <div class="stat-row sev-modified"><span class="icon mod">\u25d0</span> ${s.modified ?? 0} Modified</div>
   ${suppInfo}
-  <div class="stat-row"><span class="icon add">\uff0b</span> ${s.added} Only in ${esc(cmpHost)}</div>
-  <div class="stat-row"><span class="icon rem">\uff0d</span> ${s.removed} Only in ${esc(baseHost)}</div>
+  <div class="stat-row"><span class="icon add">\uff0b</span> ${s.added} Only in ${esc(cmpHost)}${subtreeNote(s.treeEdit?.addedSubtrees, s.added)}</div>
+  <div class="stat-row"><span class="icon rem">\uff0d</span> ${s.removed} Only in ${esc(baseHost)}${subtreeNote(s.treeEdit?.removedSubtrees, s.removed)}</div>
   <div class="stat-row"><span class="icon">\u25cb</span> ${s.unchanged} Unchanged</div>
   <div class="stat-row"><span class="icon amb">\u25c6</span> ${s.ambiguous} Ambiguous</div>
 </div>
+${tokenInfo}
+${structInfo}
+${clusterInfo}
 <div class="sidebar-section filter-buttons">
   <div class="filter-label">Severity</div>
   <button class="filter-btn active" data-sev="all">All</button>
@@ -292,6 +363,71 @@ function buildSidebar(s, raw) {
   <button class="filter-btn" data-cat="visual">Visual</button>
   <button class="filter-btn" data-cat="typography">Typography</button>
   <button class="filter-btn" data-cat="spacing">Spacing</button>
+</div>
+<div class="sidebar-section filter-buttons">
+  <div class="filter-label">Repeated Changes</div>
+  <button class="filter-btn active" data-clusters="off">Every Element</button>
+  <button class="filter-btn" data-clusters="on">One Per Cluster</button>
+</div>`;
+}
+
+function subtreeNote(subtrees, elements) {
+  if (!subtrees || subtrees === elements) { return ''; }
+  return ` <span class="stat-row--subdued">(${subtrees} subtree${subtrees !== 1 ? 's' : ''})</span>`;
+}
+
+function buildTokenSection(tokenChanges) {
+  if (!tokenChanges.length) { return ''; }
+  const rows = tokenChanges.map(t => `
+  <div class="token-row" title="${esc(t.scopes.join(', '))}">
+    <div class="token-name">${esc(t.token)}</div>
+    <div class="token-values">${esc(t.baseValue ?? '\u2014')} \u2192 ${esc(t.compareValue ?? '\u2014')}</div>
+    <div class="token-impact">affecting ${t.affectedElements} element${t.affectedElements !== 1 ? 's' : ''}${t.properties.length ? ` \u00B7 ${esc(t.properties.join(', '))}` : ''}${t.collapsedDiffs ? ` \u00B7 replaces ${t.collapsedDiffs} property diff${t.collapsedDiffs !== 1 ? 's' : ''}` : ''}</div>
+  </div>`).join('');
+  return `
+<div class="sidebar-section">
+  <div class="sidebar-section-label">Design Tokens \u2014 ${tokenChanges.length} changed</div>${rows}
+</div>`;
+}
+
+function buildStructuralSection(structuralChanges) {
+  if (!structuralChanges.length) { return ''; }
+  const rowLimit = 50;
+  const counts   = {};
+  for (const c of structuralChanges) { counts[c.type] = (counts[c.type] ?? 0) + 1; }
+  const tally    = Object.entries(counts).map(([type, n]) => `${n} ${esc(type)}`).join(' \u00B7 ');
+  const rows     = structuralChanges.slice(0, rowLimit).map(c => {
+    const where = c.type === 'reordered-among-siblings'
+      ? `position ${c.fromIndex ?? '?'} \u2192 ${c.toIndex ?? '?'} under ${esc(c.fromParent ?? 'root')}`
+      : `${esc(c.fromParent ?? 'root')} \u2192 ${esc(c.toParent ?? 'root')}`;
+    return `
+  <div class="struct-row" title="${esc(c.hpid)} \u2192 ${esc(c.compareHpid)}">
+    <div class="struct-name"><span class="struct-type">${esc(c.type)}</span> &lt;${esc(c.tagName ?? '?')}&gt; ${esc(c.hpid)}</div>
+    <div class="struct-where">${where}</div>
+  </div>`;
+  }).join('');
+  const overflow = structuralChanges.length > rowLimit
+    ? `<div class="struct-row struct-where">+${structuralChanges.length - rowLimit} more \u2014 export JSON for the full list</div>`
+    : '';
+  return `
+<div class="sidebar-section">
+  <div class="sidebar-section-label">Structural Changes \u2014 ${structuralChanges.length} element${structuralChanges.length !== 1 ? 's' : ''}</div>
+  <div class="struct-tally">${tally}</div>${rows}${overflow}
+</div>`;
+}
+
+function buildClusterSection(candidates) {
+  if (!candidates.length) { return ''; }
+  const rowLimit = 20;
+  const rows     = candidates.slice(0, rowLimit).map(c => `
+  <div class="cluster-row" data-hpid="${esc(c.representativeHpid ?? '')}" title="${esc(c.classSignature || '(no classes)')}">
+    <div class="token-name"><span class="badge badge-${esc(c.severity)}">${c.affectedElements}</span> ${esc(c.property)}</div>
+    <div class="token-values">${esc(c.baseValue ?? '\u2014')} \u2192 ${esc(c.compareValue ?? '\u2014')}</div>
+    <div class="token-impact">${esc(c.representativeSelector)}</div>
+  </div>`).join('');
+  return `
+<div class="sidebar-section">
+  <div class="sidebar-section-label">Root Cause Candidates \u2014 ${candidates.length} cluster${candidates.length !== 1 ? 's' : ''}</div>${rows}
 </div>`;
 }
 
@@ -441,6 +577,28 @@ body{
 
 .sidebar-section-label{font-size:10px;text-transform:uppercase;letter-spacing:.08em;color:var(--text-faint);margin-bottom:8px;font-weight:700}
 .stat-row--subdued{opacity:.7;font-size:11px}
+.token-row{padding:5px 0;border-top:1px solid var(--border-default);font-size:11px}
+.token-row:first-of-type{border-top:none}
+.token-name{font-family:monospace;font-weight:600;color:var(--accent-light)}
+.token-values{font-family:monospace;color:var(--text-secondary);word-break:break-all}
+.token-impact{color:var(--text-muted)}
+.subtree-details{margin-top:10px;font-size:11px}
+.subtree-details summary{cursor:pointer;color:var(--text-secondary)}
+.subtree-meta{margin:6px 0;font-size:11px;color:var(--text-muted)}
+.cluster-row{padding:5px 0;border-top:1px solid var(--border-default);font-size:11px;cursor:pointer}
+.cluster-row:hover{background:var(--bg-hover)}
+.tree-cluster{font-size:10px;color:var(--amber-text);flex-shrink:0;background:var(--amber-bg);border-radius:3px;padding:1px 5px;margin-right:4px;font-weight:600;font-variant-numeric:tabular-nums}
+.struct-tally{font-size:11px;color:var(--text-muted);margin-bottom:4px}
+.struct-row{padding:5px 0;border-top:1px solid var(--border-default);font-size:11px}
+.struct-name{font-family:monospace;color:var(--text-primary);word-break:break-all}
+.struct-type{font-weight:600;color:var(--amber-text)}
+.struct-where{font-family:monospace;color:var(--text-secondary);word-break:break-all}
+.diff-desc{padding:0 0 5px 8px;font-size:10.5px;font-style:italic;color:var(--text-muted)}
+.diff-provenance{display:flex;flex-wrap:wrap;gap:4px 10px;padding:0 0 5px 8px;font-size:10px;font-family:monospace;color:var(--text-muted)}
+.prov-role{display:inline-block;min-width:12px;margin-right:4px;font-weight:700;color:var(--text-faint)}
+.prov-loc{color:var(--accent-light)}
+.diff-token{font-size:9px;font-family:monospace;color:var(--accent-light);margin-left:4px}
+.diff-redacted{font-size:9px;text-transform:uppercase;letter-spacing:.04em;color:var(--text-muted);border:1px solid var(--border-default);border-radius:3px;padding:0 3px;margin-left:4px}
 .icon.mod{color:var(--accent-light)}
 .filter-buttons{display:flex;flex-wrap:wrap;gap:4px}
 
@@ -537,6 +695,14 @@ body{
 .detail-header{padding:12px 16px;border-bottom:1px solid var(--border-subtle);flex-shrink:0;background:var(--bg-surface)}
 .detail-scroll{display:block}
 .detail-body{padding:14px 16px}
+.match-why{margin-top:14px;border:1px solid var(--border-subtle);border-radius:6px;background:var(--bg-elevated)}
+.match-why summary{cursor:pointer;padding:6px 10px;font-size:11px;font-weight:600;color:var(--text-secondary)}
+.why-meta{padding:0 10px 8px;font-size:11px;color:var(--text-muted);line-height:1.5}
+.why-table{width:100%;border-collapse:collapse;font-size:10px;font-family:ui-monospace,'Geist Mono','Cascadia Code',monospace}
+.why-table th,.why-table td{padding:3px 6px;text-align:left;border-top:1px solid var(--border-subtle);white-space:nowrap}
+.why-table th{color:var(--text-muted);font-weight:600}
+.why-chosen td{color:var(--text-primary)}
+.why-table tr:not(.why-chosen) td{color:var(--text-tertiary)}
 
 .detail-narrative-badge{display:inline-flex;align-items:center;font-size:10px;font-weight:700;letter-spacing:.08em;padding:2px 7px;border-radius:4px;margin-bottom:10px;text-transform:uppercase}
 .nb-insertion{background:#0f2a1a;color:#3fb950;border:1px solid #145522}
@@ -807,6 +973,7 @@ var searchEl  = document.getElementById('search');
 var treeEl    = document.getElementById('tree-panel');
 var activeSev = 'all';
 var activeCat = 'all';
+var activeClusters = 'off';
 var _syncCtrl     = null;
 var _zoom         = 1;
 var _resizeObs    = null;
@@ -822,6 +989,13 @@ function sevPip(s){ return '<span class="sev-pip '+esc(s)+'"></span>'; }
 function svgNS(tag){ return document.createElementNS('http:
 function setAttrs(el,attrs){ for(var k in attrs) el.setAttribute(k,String(attrs[k])); }
 
+function provenanceSource(p){ if(!p) return ''; var loc=p.styleSheetUrl?String(p.styleSheetUrl).split('/').pop()+(p.line?':'+p.line:''):p.origin; return esc(p.selector||'?')+(p.important?' !important':'')+(p.inherited?' (inherited)':'')+' <span class="prov-loc" title="'+esc(p.styleSheetUrl||'')+'">'+esc(loc||'')+'</span>'; }
+function provenanceHtml(prov){
+  if(!prov||(!prov.baseline&&!prov.compare)) return '';
+  var same=prov.baseline&&prov.compare&&prov.baseline.selector===prov.compare.selector&&prov.baseline.styleSheetUrl===prov.compare.styleSheetUrl&&prov.baseline.line===prov.compare.line;
+  if(same) return '<div class="diff-provenance">'+provenanceSource(prov.compare)+'</div>';
+  return '<div class="diff-provenance">'+(prov.baseline?'<span class="prov-role">B</span>'+provenanceSource(prov.baseline):'')+(prov.compare?'<span class="prov-role">C</span>'+provenanceSource(prov.compare):'')+'</div>';
+}
 function isPseudoHpid(hpid){ return String(hpid).includes('::before')||String(hpid).includes('::after'); }
 function isPseudoLabel(label){ return String(label).includes('::before')||String(label).includes('::after'); }
 
@@ -840,6 +1014,10 @@ function narrativeBadge(item, severity){
   return                        {label:'STYLE REGRESSION',cls:'nb-style'};
 }
 
+function subtreeMemberItem(root, member){
+  return Object.assign({}, member, {subtreeRoot:root.hpid, subtreeRootKey:root.elementKey, subtreeSize:root.subtreeSize});
+}
+
 var HPID_ITEM_MAP=(function(){
   var m=new Map();
   ['critical','high','medium','low'].forEach(function(sev){
@@ -848,7 +1026,10 @@ var HPID_ITEM_MAP=(function(){
       (item.recurrenceHpids||[]).forEach(function(h){ if(h&&!m.has(h)) m.set(h,{sev:sev,item:item}); });
     });
   });
-  ['added','removed'].forEach(function(sev){ (GROUPED.groups[sev]||[]).forEach(function(item){ if(item.hpid) m.set(item.hpid,{sev:sev,item:item}); }); });
+  ['added','removed'].forEach(function(sev){ (GROUPED.groups[sev]||[]).forEach(function(item){
+    if(item.hpid) m.set(item.hpid,{sev:sev,item:item});
+    (item.subtreeMembers||[]).forEach(function(member){ if(member.hpid) m.set(member.hpid,{sev:sev,item:subtreeMemberItem(item,member)}); });
+  }); });
   (GROUPED.groups.unchanged||[]).forEach(function(item){ if(item.hpid) m.set(item.hpid,{sev:'unchanged',item:item}); });
   return m;
 })();
@@ -860,6 +1041,7 @@ var HPID_LABEL_MAP=(function(){
     (GROUPED.groups[sev]||[]).forEach(function(item){
       if(item.hpid) m.set(item.hpid,item.elementKey);
       (item.recurrenceHpids||[]).forEach(function(h){ if(h&&!m.has(h)) m.set(h,item.elementKey); });
+      (item.subtreeMembers||[]).forEach(function(member){ if(member.hpid) m.set(member.hpid,member.elementKey); });
     });
   });
   Object.keys(HPID_META).forEach(function(hpid){
@@ -1387,7 +1569,8 @@ function renderMutationPanel(cl){
   var crumbs=item.hpid?buildBreadcrumbCrumbs(item.hpid):[];
   var selBtns=[
     item.xpath?'<button class="sel-btn" data-copy="'+esc(item.xpath)+'">Copy XPath</button>':'',
-    item.cssSelector?'<button class="sel-btn" data-copy="'+esc(item.cssSelector)+'">Copy CSS</button>':''
+    item.cssSelector?'<button class="sel-btn" data-copy="'+esc(item.cssSelector)+'">Copy CSS</button>':'',
+    item.hpid?'<button class="sel-btn" title="Paste into Pinned Matches in the extension popup" data-copy="'+esc(isIns?'none => '+item.hpid:item.hpid+' => none')+'">Copy pin</button>':''
   ].join('');
   var emptyState=document.getElementById('detail-empty-state');
   if(emptyState) emptyState.style.display='none';
@@ -1401,12 +1584,43 @@ function renderMutationPanel(cl){
     '<div class="detail-body">'+(isIns
       ?'<div class="mutation-desc">Present in <strong>'+esc(COMPARISON_META.compareHost||'COMPARE')+'</strong> \u2014 absent in <strong>'+esc(COMPARISON_META.baselineHost||'BASELINE')+'</strong>.</div>'
       :'<div class="mutation-desc">Present in <strong>'+esc(COMPARISON_META.baselineHost||'BASELINE')+'</strong> \u2014 absent in <strong>'+esc(COMPARISON_META.compareHost||'COMPARE')+'</strong>.</div>')+
+    buildSubtreeHtml(item, isIns)+
     '</div>';
   attachCrumbHandlers(detailEl);
   if(layout){ if(!parseInt(layout.style.getPropertyValue('--col-right'))) layout.style.setProperty('--col-right','420px'); layout.classList.remove('detail-empty'); }
   attachCopyHandlers();
 }
 
+function buildSubtreeHtml(item, isIns){
+  if(item.subtreeRoot) return '<div class="subtree-meta">Part of the '+(isIns?'inserted':'deleted')+' subtree rooted at <strong>'+esc(item.subtreeRootKey||'')+'</strong> ('+esc(item.subtreeRoot)+') \u00b7 '+esc(String(item.subtreeSize))+' elements</div>';
+  if(!item.subtreeSize||item.subtreeSize<2) return '';
+  var edit=item.treeEdit||{};
+  var rows=(item.subtreeMembers||[]).map(function(m){
+    return '<tr><td>'+esc(m.hpid||'')+'</td><td>'+esc(m.elementKey||'')+'</td><td>'+esc(m.textContent?String(m.textContent).slice(0,60):'')+'</td></tr>';
+  }).join('');
+  return '<details class="subtree-details"><summary>'+esc(String(item.subtreeSize))+' elements '+(isIns?'inserted':'deleted')+' as one subtree</summary>'+
+    '<div class="subtree-meta">Section <strong>'+esc(item.pageSection||'\u2014')+'</strong> \u00b7 depth '+esc(String(item.subtreeDepth||1))+
+    ' \u00b7 '+esc(String(item.subtreeLeaves||1))+' leaves \u00b7 tree edit cost '+esc(String(edit.cost||item.subtreeSize))+' ('+esc(edit.operation||'')+')</div>'+
+    '<table class="why-table"><tr><th>HPID</th><th>Element</th><th>Text</th></tr>'+rows+'</table></details>';
+}
+
+function buildMatchTraceHtml(trace){
+  if(!trace||!trace.candidates||!trace.candidates.length) return '';
+  var signals=['selector','hpid','text','geometry','styles'];
+  var fmt=function(v){ return v===null||v===undefined?'\u2014':Number(v).toFixed(2); };
+  var head='<tr><th>Candidate</th><th>Outcome</th><th>Score</th>'+signals.map(function(s){ return '<th>'+esc(s)+'</th>'; }).join('')+'</tr>';
+  var rows=trace.candidates.map(function(c){
+    return '<tr class="why-'+esc(c.outcome)+'"><td>'+esc((c.tagName||'').toLowerCase())+' '+esc(c.hpid||'#'+c.compareIndex)+'</td><td>'+esc(c.outcome)+'</td><td>'+fmt(c.score)+'</td>'+
+      signals.map(function(s){ return '<td>'+fmt(c.signals&&c.signals[s])+'</td>'; }).join('')+'</tr>';
+  }).join('');
+  var t=trace.thresholds||{};
+  return '<details class="match-why"><summary>Why this match</summary>'+
+    '<div class="why-meta">Decided in <strong>'+esc(trace.phase||'unknown')+'</strong> by <strong>'+esc(trace.strategy||'\u2014')+'</strong> at confidence '+fmt(trace.confidence)+
+    ' \u00b7 minMatchThreshold '+fmt(t.minMatchThreshold)+' \u00b7 ambiguityWindow '+fmt(t.ambiguityWindow)+
+    (trace.rejectedCount?' \u00b7 '+trace.rejectedCount+' alternative'+(trace.rejectedCount!==1?'s':'')+' rejected':'')+'</div>'+
+    '<table class="why-table">'+head+rows+'</table></details>';
+}
+
 function renderDiffDetail(item, hpid, severity){
   var badge   =narrativeBadge(item,severity||'modified');
   var crumbs  =hpid?buildBreadcrumbCrumbs(hpid):[];
@@ -1418,7 +1632,8 @@ function renderDiffDetail(item, hpid, severity){
     item.compareXpath?'<button class="sel-btn" data-copy="'+esc(item.compareXpath)+'">Cmp XPath</button>':'',
     item.compareCssSelector?'<button class="sel-btn" data-copy="'+esc(item.compareCssSelector)+'">Cmp CSS</button>':''
   ].join('');
-  var selBtns=baseBtns+(baseBtns&&cmpBtns?'<span class="sel-sep">|</span>':'')+cmpBtns;
+  var pinBtn=item.hpid&&item.compareHpid?'<span class="sel-sep">|</span><button class="sel-btn" title="Paste into Pinned Matches in the extension popup" data-copy="'+esc(item.hpid+' => '+item.compareHpid)+'">Copy pin</button>':'';
+  var selBtns=baseBtns+(baseBtns&&cmpBtns?'<span class="sel-sep">|</span>':'')+cmpBtns+pinBtn;
   var catBlocks=Object.keys(item.diffsByCategory||{}).map(function(cat){
     var rows=item.diffsByCategory[cat].map(function(d){
       var propName=d.property.startsWith('attr:')?d.property.slice(5):null;
@@ -1426,11 +1641,11 @@ function renderDiffDetail(item, hpid, severity){
       var isDemoted=d.narrativeLabel==='CONTENT DIVERGENCE';
       var cmpClass='diff-compare'+(isDemoted?' demoted':'');
       return '<div class="diff-row">'+
-        '<span class="diff-prop">'+esc(d.property)+(isDemoted?'<span style="font-size:9px;color:#0d9488;margin-left:4px;">\u2193CD</span>':'')+'</span>'+
+        '<span class="diff-prop">'+esc(d.property)+(isDemoted?'<span style="font-size:9px;color:#0d9488;margin-left:4px;">\u2193CD</span>':'')+(d.token?'<span class="diff-token" title="Driven by design token">var('+esc(d.token)+')</span>':'')+(d.redacted?'<span class="diff-redacted" title="Values replaced with keyed hashes before leaving the page">redacted</span>':'')+'</span>'+
         '<span class="diff-base">'+swatch(d.baseValue)+esc(d.baseValue??'\u2014')+'</span>'+
         '<span class="diff-arrow">\u2192</span>'+
         '<span class="'+cmpClass+'">'+swatch(d.compareValue)+esc(d.compareValue??'\u2014')+sevPip(d.severity||'low')+'</span>'+
-        '</div>';
+        '</div>'+(d.description?'<div class="diff-desc">'+esc(d.description)+'</div>':'')+provenanceHtml(d.provenance);
     }).filter(Boolean).join('');
     return '<div class="detail-category"><div class="cat-title">'+esc(cat)+'</div>'+rows+'</div>';
   }).join('');
@@ -1471,6 +1686,7 @@ function renderDiffDetail(item, hpid, severity){
     '<div class="detail-body">'+
     (catBlocks||'<div class="u-no-diffs">No property diffs recorded</div>')+
     pseudoSec+
+    buildMatchTraceHtml(item.matchTrace)+
     '</div>'+
     vdiffSec+
     miniMap;
@@ -1647,13 +1863,13 @@ function closeModal(){
   _activeEntry=null;
 }
 
-function hpidParent(h){ var i=h.lastIndexOf('.'); return i>-1?h.slice(0,i):null; }
-function hpidSort(a,b){ var pa=a.split('.').map(Number),pb=b.split('.').map(Number); for(var i=0;i<Math.max(pa.length,pb.length);i++){var va=pa[i]??0,vb=pb[i]??0; if(va!==vb) return va-vb;} return 0; }
+function hpidParent(h){ var p=h.indexOf('::'); if(p>-1) return h.slice(0,p); var i=h.lastIndexOf('.'); return i>-1?h.slice(0,i):null; }
+function hpidSort(a,b){ var pa=a.split('.').map(parseFloat),pb=b.split('.').map(parseFloat); for(var i=0;i<Math.max(pa.length,pb.length);i++){var va=pa[i]??0,vb=pb[i]??0; if(va!==vb) return va-vb;} return 0; }
 
 function buildTreeData(){
   var nodeMap=new Map();
   function add(hpid,sev,item){ if(!hpid||nodeMap.has(hpid)) return; nodeMap.set(hpid,{hpid:hpid,severity:sev,item:item,hasDiff:true,isStructural:false,children:[]}); }
-  ['critical','high','medium','low','added','removed'].forEach(function(sev){ (GROUPED.groups[sev]||[]).forEach(function(item){ if(item.hpid) add(item.hpid,sev,item); (item.recurrenceHpids||[]).slice(1).forEach(function(h,idx){ if(h) add(h,sev,Object.assign({},item,{hpid:h,isRecurrence:true,instanceIndex:idx+2})); }); }); });
+  ['critical','high','medium','low','added','removed'].forEach(function(sev){ (GROUPED.groups[sev]||[]).forEach(function(item){ if(item.hpid) add(item.hpid,sev,item); (item.recurrenceHpids||[]).slice(1).forEach(function(h,idx){ if(h) add(h,sev,Object.assign({},item,{hpid:h,isRecurrence:true,instanceIndex:idx+2})); }); (item.subtreeMembers||[]).forEach(function(member){ if(member.hpid) add(member.hpid,sev,subtreeMemberItem(item,member)); }); }); });
   Array.from(nodeMap.keys()).forEach(function(hpid){ var p=hpidParent(hpid); while(p&&!nodeMap.has(p)){ nodeMap.set(p,{hpid:p,severity:null,item:null,hasDiff:false,isStructural:true,children:[]}); p=hpidParent(p); } });
   var roots=[];
   nodeMap.forEach(function(node,hpid){ var p=hpidParent(hpid); if(p&&nodeMap.has(p)) nodeMap.get(p).children.push(node); else roots.push(node); });
@@ -1692,6 +1908,7 @@ function renderTreeNode(node, depth){
   else if(hasDiff&&item&&sev){ var nb=narrativeBadge(item,sev); var badgeEl=document.createElement('span'); badgeEl.className='tree-badge '+nb.cls; badgeEl.textContent=nb.label; nodeEl.appendChild(badgeEl); }
   if(item&&item.isApex){ var apx=document.createElement('span'); apx.className='tree-apex-badge'; apx.title=item.suppressionSummary||'Apex node'; apx.textContent='APEX'; nodeEl.appendChild(apx); }
   if(item&&item.totalDiffs){ var cnt=document.createElement('span'); cnt.className='tree-diff-count'; cnt.title=item.totalDiffs+' diffs'; cnt.textContent=item.totalDiffs+'d'; nodeEl.appendChild(cnt); }
+  if(item&&item.isClusterRepresentative&&item.clusterAffected>1&&item.hpid===hpid){ var cl=document.createElement('span'); cl.className='tree-cluster'; cl.title='Same change on '+item.clusterAffected+' elements'; cl.textContent='\u00d7'+item.clusterAffected; nodeEl.appendChild(cl); }
   if(item&&item.recurrenceCount>1){ var inst=document.createElement('span'); inst.className='tree-instances'; inst.textContent=(item.instanceIndex||1)+' of '+item.recurrenceCount; nodeEl.appendChild(inst); }
   if(VISUAL_MANIFEST[hpid]){ var dot=document.createElement('span'); dot.className='tree-visual-dot'; dot.title='Visual diff available'; nodeEl.appendChild(dot); }
   container.appendChild(nodeEl);
@@ -1762,9 +1979,15 @@ function applyFilters(){
     var sevMatch=activeSev==='all'||sev===activeSev;
     var catMatch=activeCat==='all'||!!(entry&&Object.keys(entry.item?.diffsByCategory||{}).some(function(c){ return c===activeCat; }));
     var txtMatch=!q||label.includes(q);
-    node.style.display=(sevMatch&&catMatch&&txtMatch)?'':'none';
+    var clusterMatch=activeClusters==='off'||!isClusterDuplicate(hpid,entry);
+    node.style.display=(sevMatch&&catMatch&&txtMatch&&clusterMatch)?'':'none';
   });
 }
+function isClusterDuplicate(hpid, entry){
+  var item=entry&&entry.item;
+  if(!item||!item.clusterCovered) return false;
+  return !item.isClusterRepresentative||(item.hpid&&item.hpid!==hpid);
+}
 document.querySelectorAll('[data-sev].filter-btn').forEach(function(btn){
   btn.addEventListener('click',function(){
     document.querySelectorAll('[data-sev].filter-btn').forEach(function(b){ b.classList.remove('active'); });
@@ -1777,6 +2000,19 @@ document.querySelectorAll('[data-cat].filter-btn').forEach(function(btn){
     btn.classList.add('active'); activeCat=btn.dataset.cat; applyFilters();
   });
 });
+document.querySelectorAll('[data-clusters].filter-btn').forEach(function(btn){
+  btn.addEventListener('click',function(){
+    document.querySelectorAll('[data-clusters].filter-btn').forEach(function(b){ b.classList.remove('active'); });
+    btn.classList.add('active'); activeClusters=btn.dataset.clusters; applyFilters();
+  });
+});
+document.querySelectorAll('.cluster-row[data-hpid]').forEach(function(row){
+  row.addEventListener('click',function(){
+    var node=treeEl.querySelector('.tree-node[data-hpid="'+CSS.escape(row.dataset.hpid)+'"]');
+    handleNodeSelection(row.dataset.hpid,node);
+    if(node) node.scrollIntoView({behavior:'smooth',block:'center'});
+  });
+});
 var _sd; searchEl.addEventListener('input',function(){ clearTimeout(_sd); _sd=setTimeout(applyFilters,200); });
 
 document.addEventListener('keydown',function(e){
@@ -1843,5 +2079,5 @@ buildTreeView();
 })();`;
 }
 
-export { exportToHTML };
+export { exportToHTML, exportCaptureSetToHTML };
 
@@ -2,9 +2,21 @@ import { get }             from '../../../config/defaults.js';
 import logger               from '../../../infrastructure/logger.js';
 import { safeTimestamp }    from '../shared/csv-utils.js';
 import { triggerDownload }  from '../shared/download-trigger.js';
+import { findRootCauseCandidates } from '../shared/report-transformer.js';
 
 const ID_PREVIEW_LENGTH = 8;
 
+function traceAmbiguousEntry(entry) {
+  return {
+    hpid:           entry.baselineElement?.hpid ?? entry.hpid ?? null,
+    tagName:        entry.baselineElement?.tagName ?? entry.tagName ?? null,
+    strategy:       entry.strategy,
+    confidence:     entry.confidence,
+    candidateCount: entry.ambiguousCandidates?.length ?? entry.candidateCount ?? 0,
+    matchTrace:     entry.matchTrace ?? null
+  };
+}
+
 function buildComparisonJsonPayload(result) {
   return {
     exportVersion: '1.0',
@@ -31,8 +43,15 @@ function buildComparisonJsonPayload(result) {
     duration:          result.duration,
     matching:          result.matching,
     comparison: {
-      summary: result.comparison?.summary,
-      results: result.comparison?.results ?? []
+      summary:           result.comparison?.summary,
+      results:           (result.comparison?.results ?? []).map(r => ({
+        ...r,
+        matchTrace:       r.matchTrace       ?? null,
+        structuralChange: r.structuralChange ?? null
+      })),
+      ambiguous:         (result.comparison?.ambiguous ?? result.ambiguous ?? []).map(traceAmbiguousEntry),
+      structuralChanges:   result.comparison?.structuralChanges ?? [],
+      rootCauseCandidates: findRootCauseCandidates(result.comparison?.results)
     },
     unmatchedElements: result.unmatchedElements
   };
@@ -49,6 +49,7 @@ function _buildElementHeaders(cssProperties) {
     'Class Hierarchy',
     'Neighbours',
     'Attributes',
+    'Redacted Fields',
     ...cssProperties
   ];
 }
@@ -78,6 +79,7 @@ function _buildElementRow(el, cssProperties) {
     el.classHierarchy ? JSON.stringify(el.classHierarchy) : '',
     el.neighbours     ? JSON.stringify(el.neighbours)     : '',
     el.attributes     ? JSON.stringify(el.attributes)     : '',
+    el.redacted       ? el.redacted.join(' ')             : '',
     ...styleValues
   ];
 }
@@ -1,3 +1,6 @@
+import { get }           from '../../../config/defaults.js';
+import { wagnerFischer } from '../../comparison/text-similarity.js';
+
 const SEVERITY_ORDER = Object.freeze({ critical: 0, high: 1, medium: 2, low: 3 });
 
 const INHERITABLE_PROPS = new Set([
@@ -20,29 +23,13 @@ const W_LOW                  =  0.3;
 const MAX_PENALTY            = 100.0;
 const TEXT_RATIO_CAP         =  4.0;
 const LEVENSHTEIN_MAX_LEN    =  500;
+const MIN_CLUSTER_SIZE       =    2;
 
 function parsePx(val) {
   const n = parseFloat(val);
   return Number.isFinite(n) ? n : null;
 }
 
-function wagnerFischer(a, b) {
-  if (a.length === 0) { return b.length; }
-  if (b.length === 0) { return a.length; }
-  const m = a.length, n = b.length;
-  let prev = Array.from({ length: n + 1 }, (_, i) => i);
-  const curr = new Array(n + 1);
-  for (let i = 1; i <= m; i++) {
-    curr[0] = i;
-    for (let j = 1; j <= n; j++) {
-      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-      curr[j] = Math.min(curr[j - 1] + 1, prev[j] + 1, prev[j - 1] + cost);
-    }
-    prev = curr.slice();
-  }
-  return prev[n];
-}
-
 function textDivergenceScore(baseText, compareText) {
   const a = String(baseText  ?? '').trim().slice(0, LEVENSHTEIN_MAX_LEN);
   const b = String(compareText ?? '').trim().slice(0, LEVENSHTEIN_MAX_LEN);
@@ -283,7 +270,7 @@ function computeImpactScore(groups, summary, rawDiffCount) {
     else if (cat === 'layout')  {layoutCount++;}
     else                        {styleCount++;}
   }
-  const domCount = (groups.added?.length ?? 0) + (groups.removed?.length ?? 0);
+  const domCount = (summary.added ?? 0) + (summary.removed ?? 0);
 
   summary.impactScore        = impactScore;
   summary.rawPenalty         = rawPenalty;
@@ -315,6 +302,11 @@ function extractPxDelta(baseValue, compareValue) {
 
 function walkUpToNearestDiffAncestor(absHpid, diffIndex) {
   let cursor = absHpid;
+  const pseudoAt = cursor.indexOf('::');
+  if (pseudoAt !== -1) {
+    cursor = cursor.slice(0, pseudoAt);
+    if (diffIndex.has(cursor)) { return cursor; }
+  }
   for (;;) {
     const lastDot = cursor.lastIndexOf('.');
     if (lastDot === -1) { return null; }
@@ -518,6 +510,197 @@ function deduplicateGroup(items) {
   return result;
 }
 
+function unmatchedItem(el, status) {
+  return {
+    elementKey:   elementLabel(el),
+    id:           el.id           ?? null,
+    tagName:      el.tagName,
+    elementId:    el.elementId    ?? null,
+    className:    el.className    ?? null,
+    hpid:         el.hpid         ?? null,
+    absoluteHpid: el.absoluteHpid ?? null,
+    cssSelector:  el.cssSelector  ?? null,
+    xpath:        el.xpath        ?? null,
+    textContent:  el.textContent  ?? null,
+    depth:        el.depth        ?? null,
+    tier:         el.tier         ?? null,
+    pageSection:  el.pageSection  ?? null,
+    status
+  };
+}
+
+function unmatchedParentHpid(hpid) {
+  const pseudoAt = hpid.indexOf('::');
+  if (pseudoAt > -1) { return hpid.slice(0, pseudoAt); }
+  const sentinel = String(get('hpid.shadowSentinel', 0));
+  const segments = hpid.split('.');
+  segments.pop();
+  while (segments.length && segments[segments.length - 1] === sentinel) { segments.pop(); }
+  return segments.length ? segments.join('.') : null;
+}
+
+function buildSubtreeEntry(root, members, status) {
+  const levels  = new Map([[root.hpid, 0]]);
+  const levelOf = (hpid) => {
+    if (!levels.has(hpid)) { levels.set(hpid, levelOf(unmatchedParentHpid(hpid)) + 1); }
+    return levels.get(hpid);
+  };
+  const depth   = members.reduce((max, m) => Math.max(max, levelOf(m.hpid)), 0);
+  const parents = new Set(members.map(m => unmatchedParentHpid(m.hpid)));
+  return {
+    ...root,
+    pageSection:    root.pageSection ?? members.find(m => m.pageSection)?.pageSection ?? null,
+    subtreeSize:    members.length + 1,
+    subtreeDepth:   depth + 1,
+    subtreeLeaves:  [root, ...members].filter(m => !parents.has(m.hpid)).length,
+    subtreeHpids:   root.hpid ? [root.hpid, ...members.map(m => m.hpid)] : [],
+    subtreeMembers: members,
+    treeEdit:       { operation: status === 'added' ? 'insert' : 'delete', cost: members.length + 1 }
+  };
+}
+
+function collapseUnmatchedSubtrees(elements, status) {
+  const items  = elements.map(el => unmatchedItem(el, status));
+  const byHpid = new Map(items.filter(i => i.hpid).map(i => [i.hpid, i]));
+  const rootOf = new Map();
+
+  const findRoot = (hpid) => {
+    if (rootOf.has(hpid)) { return rootOf.get(hpid); }
+    const parent = unmatchedParentHpid(hpid);
+    const root   = parent && byHpid.has(parent) ? findRoot(parent) : hpid;
+    rootOf.set(hpid, root);
+    return root;
+  };
+
+  const subtrees = new Map();
+  const loose    = [];
+  for (const item of items) {
+    if (!item.hpid) { loose.push(item); continue; }
+    const root = findRoot(item.hpid);
+    if (!subtrees.has(root)) { subtrees.set(root, []); }
+    if (root !== item.hpid) { subtrees.get(root).push(item); }
+  }
+
+  return [
+    ...[...subtrees].map(([rootHpid, members]) => buildSubtreeEntry(byHpid.get(rootHpid), members, status)),
+    ...loose.map(item => buildSubtreeEntry(item, [], status))
+  ].sort((a, b) => b.subtreeSize - a.subtreeSize);
+}
+
+function summarizeTreeEdits(addedSubtrees, removedSubtrees) {
+  const cost       = list => list.reduce((sum, s) => sum + s.treeEdit.cost, 0);
+  const insertions = cost(addedSubtrees);
+  const deletions  = cost(removedSubtrees);
+  return {
+    insertions,
+    deletions,
+    distance:        insertions + deletions,
+    addedSubtrees:   addedSubtrees.length,
+    removedSubtrees: removedSubtrees.length
+  };
+}
+
+function classSignature(className) {
+  const tokens = (className ?? '').trim().split(/\s+/).filter(Boolean).map(c => c.replace(/\d+/g, '#'));
+  return [...new Set(tokens)].sort().join(' ');
+}
+
+function clusterKey(diff, signature) {
+  return `${diff.property}\x02${diff.baseValue}\x02${diff.compareValue}\x02${signature}`;
+}
+
+function itemHpids(item) {
+  return item.recurrenceHpids?.length ? item.recurrenceHpids : (item.hpid ? [item.hpid] : []);
+}
+
+function collectChangeClusters(results) {
+  const clusters = new Map();
+
+  for (const match of results) {
+    const el = resolveElement(match);
+    if (!el.hpid) { continue; }
+    const signature = classSignature(el.className);
+    for (const diff of match.annotatedDifferences ?? []) {
+      const key = clusterKey(diff, signature);
+      if (!clusters.has(key)) {
+        clusters.set(key, {
+          property:       diff.property,
+          category:       diff.category || 'other',
+          baseValue:      diff.baseValue    ?? null,
+          compareValue:   diff.compareValue ?? null,
+          classSignature: signature,
+          severity:       diff.severity,
+          hpids:          new Set(),
+          representative: {
+            hpid:        el.hpid,
+            elementKey:  elementLabel(el),
+            cssSelector: el.cssSelector ?? null,
+            breadcrumb:  elementBreadcrumb(el)
+          }
+        });
+      }
+      const cluster = clusters.get(key);
+      cluster.hpids.add(el.hpid);
+      if ((SEVERITY_ORDER[diff.severity] ?? 3) < (SEVERITY_ORDER[cluster.severity] ?? 3)) { cluster.severity = diff.severity; }
+    }
+  }
+
+  return [...clusters.entries()]
+    .filter(([, c]) => c.hpids.size >= MIN_CLUSTER_SIZE)
+    .sort(([, a], [, b]) =>
+      b.hpids.size - a.hpids.size ||
+      (SEVERITY_ORDER[a.severity] ?? 3) - (SEVERITY_ORDER[b.severity] ?? 3))
+    .map(([key, c], i) => ({ ...c, key, id: `rc-${i + 1}` }));
+}
+
+function summarizeCluster(c) {
+  return {
+    id:                     c.id,
+    property:               c.property,
+    category:               c.category,
+    baseValue:              c.baseValue,
+    compareValue:           c.compareValue,
+    classSignature:         c.classSignature,
+    severity:               c.severity,
+    affectedElements:       c.hpids.size,
+    affectedHpids:          [...c.hpids],
+    representativeHpid:     c.representative.hpid,
+    representativeKey:      c.representative.elementKey,
+    representativeSelector: c.representative.cssSelector ?? c.representative.breadcrumb ?? c.representative.elementKey
+  };
+}
+
+function findRootCauseCandidates(results) {
+  return collectChangeClusters(results ?? []).map(summarizeCluster);
+}
+
+function clusterRepeatedChanges(candidates, groups) {
+  const byKey     = new Map(candidates.map(c => [c.key, c]));
+  const items     = ['critical', 'high', 'medium', 'low'].flatMap(severity => groups[severity] ?? []);
+  const clustered = new Map();
+  const visible   = new Set();
+
+  for (const item of items) {
+    const signature = classSignature(item.className);
+    const diffs     = Object.values(item.diffsByCategory ?? {}).flat();
+    const matched   = [...new Set(diffs.map(d => byKey.get(clusterKey(d, signature))).filter(Boolean))];
+    clustered.set(item, { diffs, signature, matched });
+    for (const c of matched) {
+      if (!visible.has(c) || itemHpids(item).length > itemHpids(c.representative).length) { c.representative = item; }
+      visible.add(c);
+    }
+  }
+
+  for (const [item, { diffs, signature, matched }] of clustered) {
+    item.clusterIds              = matched.map(c => c.id);
+    item.clusterCovered          = diffs.length > 0 && diffs.every(d => byKey.has(clusterKey(d, signature)));
+    item.isClusterRepresentative = matched.some(c => c.representative === item);
+    item.clusterAffected         = matched.reduce((max, c) => Math.max(max, c.hpids.size), 0);
+  }
+
+  return candidates.map(summarizeCluster);
+}
+
 function resolveElement(match) {
   if (match.baselineElement) { return match.baselineElement; }
   return {
@@ -566,7 +749,9 @@ function buildMatchedGroups(results) {
       breadcrumb:               elementBreadcrumb(el),
       elementId:                el.elementId              ?? null,
       tagName:                  el.tagName,
+      className:                el.className              ?? null,
       hpid:                     el.hpid                   ?? null,
+      compareHpid:              match.compareElement?.hpid ?? match.compareHpid ?? null,
       absoluteHpid:             el.absoluteHpid           ?? null,
       textContent:              el.textContent            ?? null,
       baseTextContent:          baseText,
@@ -588,7 +773,9 @@ function buildMatchedGroups(results) {
       compareCssSelector:       match.compareCssSelector  ?? null,
       compareXpath:             match.compareXpath         ?? null,
       matchConfidence:          match.confidence,
-      matchStrategy:            match.strategy
+      matchStrategy:            match.strategy,
+      matchTrace:               match.matchTrace           ?? null,
+      structuralChange:         match.structuralChange     ?? null
     });
   }
 
@@ -625,7 +812,8 @@ function buildAmbiguousGroup(ambiguousList) {
         deltaFromBest: c.deltaFromBest ?? null
       })),
       matchConfidence: entry.confidence,
-      matchStrategy:   entry.strategy
+      matchStrategy:   entry.strategy,
+      matchTrace:      entry.matchTrace ?? null
     };
   });
 }
@@ -636,45 +824,22 @@ function transformToGroupedReport(comparisonResult) {
   const ambiguousList   = comparison?.ambiguous ?? [];
   const rawDiffCount    = results.length;
 
+  const changeClusters  = collectChangeClusters(results);
   const resultsClean    = runBFSSuppression(results);
   const matchedGroups   = buildMatchedGroups(resultsClean);
 
   runContentIntelligenceOnGroups(matchedGroups);
   rebucketAfterIntelligence(matchedGroups);
 
+  const rootCauseCandidates = clusterRepeatedChanges(changeClusters, matchedGroups);
+
   const unmatchedCompare  = unmatchedElements?.compare  ?? [];
   const unmatchedBaseline = unmatchedElements?.baseline ?? [];
 
   const groups = {
     ...matchedGroups,
-    added: unmatchedCompare.map(el => ({
-      elementKey:   elementLabel(el),
-      tagName:      el.tagName,
-      elementId:    el.elementId    ?? null,
-      className:    el.className    ?? null,
-      hpid:         el.hpid         ?? null,
-      absoluteHpid: el.absoluteHpid ?? null,
-      cssSelector:  el.cssSelector  ?? null,
-      xpath:        el.xpath        ?? null,
-      textContent:  el.textContent  ?? null,
-      depth:        el.depth        ?? null,
-      tier:         el.tier         ?? null,
-      status:       'added'
-    })),
-    removed: unmatchedBaseline.map(el => ({
-      elementKey:   elementLabel(el),
-      tagName:      el.tagName,
-      elementId:    el.elementId    ?? null,
-      className:    el.className    ?? null,
-      hpid:         el.hpid         ?? null,
-      absoluteHpid: el.absoluteHpid ?? null,
-      cssSelector:  el.cssSelector  ?? null,
-      xpath:        el.xpath        ?? null,
-      textContent:  el.textContent  ?? null,
-      depth:        el.depth        ?? null,
-      tier:         el.tier         ?? null,
-      status:       'removed'
-    })),
+    added:     collapseUnmatchedSubtrees(unmatchedCompare,  'added'),
+    removed:   collapseUnmatchedSubtrees(unmatchedBaseline, 'removed'),
     ambiguous: buildAmbiguousGroup(ambiguousList)
   };
 
@@ -688,7 +853,11 @@ function transformToGroupedReport(comparisonResult) {
     removed:          unmatchedBaseline.length,
     ambiguous:        ambiguousList.length,
     severityCounts:   comparison?.summary?.severityCounts   ?? { critical: 0, high: 0, medium: 0, low: 0 },
-    totalDifferences: comparison?.summary?.totalDifferences ?? 0
+    totalDifferences: comparison?.summary?.totalDifferences ?? 0,
+    tokenChanges:     comparison?.tokenChanges ?? [],
+    structuralChanges: comparison?.structuralChanges ?? [],
+    treeEdit:         summarizeTreeEdits(groups.added, groups.removed),
+    rootCauseCandidates
   };
 
   computeImpactScore(groups, summary, rawDiffCount);
@@ -725,5 +894,7 @@ function transformToGroupedReport(comparisonResult) {
   return { summary, groups };
 }
 
-export { elementBreadcrumb, elementLabel, getTopSeverity, transformToGroupedReport };
+export {
+  collapseUnmatchedSubtrees, elementBreadcrumb, elementLabel, findRootCauseCandidates, getTopSeverity, transformToGroupedReport
+};
 
@@ -0,0 +1,142 @@
+import { get } from '../../config/defaults.js';
+import logger from '../../infrastructure/logger.js';
+import { BoundedQueue } from '../selectors/selector-engine.js';
+
+const BACKGROUND_URL_RE = /url\(\s*(['"]?)(.*?)\1\s*\)/;
+const FNV_OFFSET        = 0x811c9dc5;
+const FNV_PRIME         = 0x01000193;
+
+function imageSource(element) {
+  if (element.tagName === 'PICTURE') {return element.querySelector('img');}
+  return element;
+}
+
+function describeMediaAsset(element, computedStyle) {
+  const { tagName } = element;
+
+  if (tagName === 'IMG' && element.parentElement?.tagName === 'PICTURE') {return null;}
+
+  if (tagName === 'IMG' || tagName === 'PICTURE') {
+    const img = imageSource(element);
+    if (!img) {return null;}
+    return {
+      kind:            tagName.toLowerCase(),
+      currentSrc:      img.currentSrc || img.src || null,
+      intrinsicWidth:  img.naturalWidth  || null,
+      intrinsicHeight: img.naturalHeight || null,
+      objectFit:       window.getComputedStyle(img).objectFit
+    };
+  }
+
+  if (tagName === 'VIDEO') {
+    return {
+      kind:            'video',
+      currentSrc:      element.currentSrc || element.poster || null,
+      intrinsicWidth:  element.videoWidth  || null,
+      intrinsicHeight: element.videoHeight || null,
+      objectFit:       computedStyle.objectFit
+    };
+  }
+
+  return null;
+}
+
+function resolveUrl(raw) {
+  try {
+    return new URL(raw, document.baseURI).href;
+  } catch {
+    return null;
+  }
+}
+
+function describeBackgroundAsset(computedStyle) {
+  const match = BACKGROUND_URL_RE.exec(computedStyle.backgroundImage ?? '');
+  if (!match) {return null;}
+  return {
+    kind:            'background',
+    currentSrc:      resolveUrl(match[2]),
+    intrinsicWidth:  null,
+    intrinsicHeight: null,
+    objectFit:       computedStyle.backgroundSize
+  };
+}
+
+function collectAsset(element, computedStyle) {
+  const asset = describeMediaAsset(element, computedStyle) ?? describeBackgroundAsset(computedStyle);
+  if (!asset?.currentSrc) {return null;}
+  return { ...asset, hash: null, hashStatus: asset.kind === 'video' ? 'skipped' : 'pending' };
+}
+
+function fnv1a(bytes) {
+  let hash = FNV_OFFSET;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash  = Math.imul(hash, FNV_PRIME);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function loadImage(url, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const img   = new Image();
+    const timer = setTimeout(() => reject(new Error('timeout')), timeoutMs);
+    img.crossOrigin = 'anonymous';
+    img.onload  = () => { clearTimeout(timer); resolve(img); };
+    img.onerror = () => { clearTimeout(timer); reject(new Error('load-failed')); };
+    img.src     = url;
+  });
+}
+
+async function hashImageUrl(url, hashSize, timeoutMs) {
+  let img;
+  try {
+    img = await loadImage(url, timeoutMs);
+  } catch (err) {
+    return { hash: null, hashStatus: err.message, width: null, height: null };
+  }
+
+  const canvas  = document.createElement('canvas');
+  canvas.width  = hashSize;
+  canvas.height = hashSize;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  try {
+    context.drawImage(img, 0, 0, hashSize, hashSize);
+    const { data } = context.getImageData(0, 0, hashSize, hashSize);
+    return { hash: fnv1a(data), hashStatus: 'ok', width: img.naturalWidth, height: img.naturalHeight };
+  } catch {
+    return { hash: null, hashStatus: 'cors-blocked', width: img.naturalWidth, height: img.naturalHeight };
+  }
+}
+
+async function fingerprintAssets(records) {
+  const { hashSize, maxFetches, fetchTimeoutMs, concurrency } = get('extraction.assets');
+  const pending = records.filter(r => r.asset?.hashStatus === 'pending');
+  if (!pending.length) {return 0;}
+
+  const urls    = [...new Set(pending.map(r => r.asset.currentSrc))].slice(0, maxFetches);
+  const results = new Map();
+  const queue   = new BoundedQueue(concurrency);
+  await Promise.all(urls.map(url =>
+    queue.enqueue(() => hashImageUrl(url, hashSize, fetchTimeoutMs))
+      .then(result => { results.set(url, result); })
+  ));
+
+  let hashed = 0;
+  for (const { asset } of pending) {
+    const result = results.get(asset.currentSrc);
+    if (!result) {
+      asset.hashStatus = 'skipped';
+      continue;
+    }
+    asset.hash            = result.hash;
+    asset.hashStatus      = result.hashStatus;
+    asset.intrinsicWidth  = asset.intrinsicWidth  ?? result.width;
+    asset.intrinsicHeight = asset.intrinsicHeight ?? result.height;
+    if (result.hash) {hashed++;}
+  }
+
+  logger.debug('Asset fingerprints computed', { assets: pending.length, urls: urls.length, hashed });
+  return hashed;
+}
+
+export { collectAsset, fingerprintAssets, fnv1a };
@@ -0,0 +1,58 @@
+import { parseRgba, blendOver, contrastRatio } from '../comparison/color-utils.js';
+
+const CANVAS_BACKGROUND  = Object.freeze({ r: 255, g: 255, b: 255, a: 1 });
+const TRANSPARENT        = Object.freeze({ r: 0, g: 0, b: 0, a: 0 });
+const LARGE_TEXT_PX      = 24;
+const LARGE_BOLD_TEXT_PX = 18.66;
+const BOLD_WEIGHT        = 700;
+
+function parentOf(element) {
+  if (element.parentElement) {return element.parentElement;}
+  return element.parentNode instanceof ShadowRoot ? element.parentNode.host : null;
+}
+
+function toRgb({ r, g, b }) {
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+function resolveLayer(element, cache) {
+  if (!element) {return { background: CANVAS_BACKGROUND, opacity: 1 };}
+  if (cache.has(element)) {return cache.get(element);}
+
+  const style   = window.getComputedStyle(element);
+  const parsed  = parseFloat(style.opacity);
+  const opacity = isNaN(parsed) ? 1 : parsed;
+  const fill    = parseRgba(style.backgroundColor) ?? TRANSPARENT;
+  const layer   = { ...fill, a: fill.a * opacity };
+  const parent  = resolveLayer(parentOf(element), cache);
+
+  const resolved = {
+    background: layer.a >= 1 ? layer : blendOver(layer, parent.background),
+    opacity:    opacity * parent.opacity
+  };
+  cache.set(element, resolved);
+  return resolved;
+}
+
+function isLargeText(computedStyle) {
+  const size   = parseFloat(computedStyle.fontSize);
+  const weight = parseInt(computedStyle.fontWeight, 10);
+  return size >= LARGE_TEXT_PX || (size >= LARGE_BOLD_TEXT_PX && weight >= BOLD_WEIGHT);
+}
+
+function resolveTextContrast(element, computedStyle, cache) {
+  const color = parseRgba(computedStyle.color);
+  if (!color) {return null;}
+
+  const { background, opacity } = resolveLayer(element, cache);
+  const foreground = blendOver({ ...color, a: color.a * opacity }, background);
+
+  return {
+    foreground: toRgb(foreground),
+    background: toRgb(background),
+    ratio:      Math.round(contrastRatio(foreground, background) * 100) / 100,
+    largeText:  isLargeText(computedStyle)
+  };
+}
+
+export { resolveTextContrast };
@@ -0,0 +1,83 @@
+import { get }  from '../../config/defaults.js';
+import logger   from '../../infrastructure/logger.js';
+
+const VAR_REFERENCE = /var\(\s*(--[\w-]+)/g;
+
+function declaredCustomProperties(style) {
+  const names = [];
+  for (let i = 0; i < style.length; i++) {
+    if (style[i].startsWith('--')) {names.push(style[i]);}
+  }
+  return names;
+}
+
+function referencedCustomProperties(style) {
+  const names = new Set();
+  for (const match of (style.cssText ?? '').matchAll(VAR_REFERENCE)) {names.add(match[1]);}
+  return [...names];
+}
+
+function addScope(scopes, element, names) {
+  if (!scopes.has(element)) {scopes.set(element, new Set());}
+  const set = scopes.get(element);
+  for (const name of names) {set.add(name);}
+}
+
+function walkRules(rules, scopes) {
+  for (const rule of rules) {
+    if (rule.selectorText && rule.style) {
+      const names    = referencedCustomProperties(rule.style);
+      const declared = declaredCustomProperties(rule.style);
+      try {
+        if (declared.length > 0 && document.documentElement.matches(rule.selectorText)) {
+          addScope(scopes, document.documentElement, declared);
+        }
+        if (names.length > 0) {
+          for (const element of document.querySelectorAll(rule.selectorText)) {
+            addScope(scopes, element, names);
+          }
+        }
+      } catch {
+        logger.debug('Custom property selector skipped', { selector: rule.selectorText });
+      }
+    }
+    if (rule.cssRules) {walkRules(rule.cssRules, scopes);}
+  }
+}
+
+function collectCustomPropertyScopes() {
+  const scopes = new Map();
+  const sheets = [...document.styleSheets, ...(document.adoptedStyleSheets ?? [])];
+
+  for (const sheet of sheets) {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch {
+      continue;
+    }
+    walkRules(rules, scopes);
+  }
+
+  for (const element of document.querySelectorAll('[style*="var("]')) {
+    addScope(scopes, element, referencedCustomProperties(element.style));
+  }
+
+  return scopes;
+}
+
+function readCustomProperties(computedStyle, names) {
+  if (!computedStyle || !names?.size) {return null;}
+
+  const maxPerElement = get('extraction.customProperties.maxPerElement');
+  const values        = Object.create(null);
+  let count = 0;
+  for (const name of names) {
+    if (count >= maxPerElement) {break;}
+    values[name] = computedStyle.getPropertyValue(name).trim();
+    count++;
+  }
+  return values;
+}
+
+export { collectCustomPropertyScopes, readCustomProperties };
@@ -1,6 +1,7 @@
 import { get }     from '../../config/defaults.js';
 import { getT0Tags } from './element-classifier.js';
-import { resolveFilteredRoots, hasActiveFilters } from './extraction-filter.js';
+import { resolveFilteredRoots, hasActiveFilters,
+  resolveExcludedRoots, isWithinExcluded } from './extraction-filter.js';
 
 const SHADOW_SENTINEL = () => get('hpid.shadowSentinel', 0);
 
@@ -160,12 +161,12 @@ function collectLightSubtree(root, rootRelativePath, rootAbsolutePath, nodeFilte
   }
 }
 
-function traverseFullDocument(t0Tags, accumulator) {
+function traverseFullDocument(t0Tags, excluded, accumulator) {
   const body            = document.body ?? document.documentElement;
   const absoluteBodyPath = computeAbsoluteHpidPath(body);
   const displayRootPath = [1];
   const safeAbsPath     = absoluteBodyPath.length > 0 ? absoluteBodyPath : [1];
-  const nodeFilter      = buildNodeFilter(t0Tags, null);
+  const nodeFilter      = buildNodeFilter(t0Tags, excluded.size > 0 ? excluded : null);
 
   accumulator.push({
     element:          body,
@@ -177,8 +178,8 @@ function traverseFullDocument(t0Tags, accumulator) {
   collectLightSubtree(body, displayRootPath, safeAbsPath, nodeFilter, accumulator);
 }
 
-function traverseFilteredRoots(roots, t0Tags, accumulator) {
-  const rootSet    = new WeakSet(roots);
+function traverseFilteredRoots(roots, t0Tags, excluded, accumulator) {
+  const rootSet    = new Set([...roots, ...excluded]);
   const nodeFilter = buildNodeFilter(t0Tags, rootSet);
 
   for (let idx = 0; idx < roots.length; idx++) {
@@ -201,22 +202,23 @@ function traverseFilteredRoots(roots, t0Tags, accumulator) {
   }
 }
 
-function traverseDocument(filters) {
+function traverseDocument(filters, exclusions = null) {
   const t0Tags      = getT0Tags();
+  const excluded    = resolveExcludedRoots(exclusions);
   const accumulator = [];
 
   if (!hasActiveFilters(filters)) {
-    traverseFullDocument(t0Tags, accumulator);
+    traverseFullDocument(t0Tags, excluded, accumulator);
     return accumulator;
   }
 
-  const roots = resolveFilteredRoots(filters);
+  const roots = (resolveFilteredRoots(filters) ?? []).filter(root => !isWithinExcluded(root, excluded));
 
-  if (!roots || roots.length === 0) {
+  if (roots.length === 0) {
     return accumulator;
   }
 
-  traverseFilteredRoots(roots, t0Tags, accumulator);
+  traverseFilteredRoots(roots, t0Tags, excluded, accumulator);
   return accumulator;
 }
 
@@ -101,5 +101,51 @@ function hasActiveFilters(filters) {
   return Boolean(filters && (filters.class || filters.id || filters.tag));
 }
 
-export { resolveFilteredRoots, hasActiveFilters, buildCombinedSelector };
+function matchSelector(selector, into) {
+  try {
+    for (const el of document.querySelectorAll(selector)) {into.add(el);}
+  } catch (err) {
+    logger.warn('Exclusion selector skipped', { selector, error: err.message });
+  }
+}
+
+function matchXPath(xpath, into) {
+  try {
+    const snapshot = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    for (let i = 0; i < snapshot.snapshotLength; i++) {
+      const node = snapshot.snapshotItem(i);
+      if (node.nodeType === Node.ELEMENT_NODE) {into.add(node);}
+    }
+  } catch (err) {
+    logger.warn('Exclusion XPath skipped', { xpath, error: err.message });
+  }
+}
+
+function resolveExcludedRoots(exclusions) {
+  const excluded = new Set();
+  if (!exclusions) {return excluded;}
+
+  for (const selector of exclusions.selectors ?? []) {matchSelector(selector, excluded);}
+  for (const xpath of exclusions.xpaths ?? [])       {matchXPath(xpath, excluded);}
+
+  if (excluded.size > 0) {
+    logger.debug('Exclusion roots resolved', {
+      selectors: exclusions.selectors?.length ?? 0,
+      xpaths:    exclusions.xpaths?.length ?? 0,
+      roots:     excluded.size
+    });
+  }
+  return excluded;
+}
+
+function isWithinExcluded(element, excluded) {
+  let current = element;
+  while (current) {
+    if (excluded.has(current)) {return true;}
+    current = current.parentElement ?? (current.parentNode instanceof ShadowRoot ? current.parentNode.host : null);
+  }
+  return false;
+}
+
+export { resolveFilteredRoots, hasActiveFilters, buildCombinedSelector, resolveExcludedRoots, isWithinExcluded };
 
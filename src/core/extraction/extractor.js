@@ -5,13 +5,45 @@ import { collectAttributes }                    from './attribute-collector.js';
 import { serializeHpid, traverseDocument }      from './dom-traversal.js';
 import { classifyTier, isTierZero, isVisible }  from './element-classifier.js';
 import { waitForReadiness }                     from './readiness-gate.js';
-import { collectStylesFromComputed }            from './style-collector.js';
+import { hydrateByScrolling }                   from './scroll-hydrator.js';
+import { collectStylesFromComputed,
+  collectPseudoStyles }                         from './style-collector.js';
 import { generateSelectorsForElements }         from '../selectors/selector-engine.js';
 import { detectElementSection }                 from './section-detector.js';
 import { getNeighbours, getClassHierarchy }     from './dom-enrichment.js';
+import { getFrameToken }                        from './frame-registry.js';
+import { resolveTextContrast }                  from './contrast-resolver.js';
+import { measureTextLayout }                    from './text-layout.js';
+import { collectAsset, fingerprintAssets }      from './asset-fingerprint.js';
+import { collectGraphic }                       from './graphic-digest.js';
+import { collectFormState }                     from './form-state.js';
+import { createStackingState, collectStacking } from './stacking-context.js';
+import { createScrollState,
+  collectScrollContainer }                      from './scroll-container.js';
+import { createRedactor, createRedactionScope,
+  redactAssetSources, redactField, redactRecord,
+  redactSelectors, sealRedactions }             from './redaction.js';
+import { collectCustomPropertyScopes,
+  readCustomProperties }                        from './custom-property-collector.js';
 
 import { yieldToEventLoop } from '../comparison/async-utils.js';
 
+const PROGRESS_INTERVAL_MS = 150;
+
+function createProgressReporter(onProgress, signal) {
+  const seen = new Set();
+  let lastAt = 0;
+  return (phase, processed = null, total = null) => {
+    signal?.throwIfAborted();
+    if (!onProgress) {return;}
+    const now = performance.now();
+    if (seen.has(phase) && processed !== total && now - lastAt < PROGRESS_INTERVAL_MS) {return;}
+    seen.add(phase);
+    lastAt = now;
+    onProgress({ phase, processed, total });
+  };
+}
+
 function executePass1(visits) {
   performance.mark('pass1-start');
 
@@ -76,7 +108,7 @@ function buildBoundingRect(rect, scrollX, scrollY) {
   };
 }
 
-function getTextContent(element, maxLength) {
+function getTextContent(element, maxLength, redaction) {
   let text = '';
   for (const node of element.childNodes) {
     if (node.nodeType === Node.TEXT_NODE) {
@@ -85,6 +117,7 @@ function getTextContent(element, maxLength) {
   }
   text = text.trim();
   if (text.length === 0) {return null;}
+  if (redaction) {text = redactField(redaction, 'textContent', text);}
   return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
 }
 
@@ -113,9 +146,10 @@ function getClassOccurrenceCount(element, classOccurrenceMap) {
 function buildElementRecord(visit, reading, ctx) {
   const { element, depth, hpidPath, absoluteHpidPath } = visit;
   const { rect, computedStyle, scrollX, scrollY }      = reading;
-  const { classOccurrenceMap, schema }                  = ctx;
+  const { classOccurrenceMap, customPropertyScopes, contrastCache, stackingState, scrollState, redactor, schema } = ctx;
 
   const absoluteTop = rect ? Math.round(rect.top + scrollY) : null;
+  const redaction   = createRedactionScope(element, redactor);
 
   const record = {
     hpid:         serializeHpid(hpidPath),
@@ -123,7 +157,7 @@ function buildElementRecord(visit, reading, ctx) {
     tagName:      element.tagName.toLowerCase(),
     elementId:    element.id || null,
     className:    getClassName(element),
-    textContent:  getTextContent(element, schema.record.textContent.maxLength),
+    textContent:  getTextContent(element, schema.record.textContent.maxLength, redaction),
     cssSelector:  null,
     xpath:        null,
     depth
@@ -138,9 +172,89 @@ function buildElementRecord(visit, reading, ctx) {
   if (schema.includeNeighbours)     {record.neighbours         = getNeighbours(element);}
   if (schema.includeClassHierarchy) {record.classHierarchy     = getClassHierarchy(element);}
 
+  if (schema.includeCustomProperties && customPropertyScopes.has(element)) {
+    record.customProperties = readCustomProperties(computedStyle, customPropertyScopes.get(element));
+  }
+
+  if (schema.includeTextContrast && record.textContent !== null) {
+    record.textContrast = resolveTextContrast(element, computedStyle, contrastCache);
+  }
+
+  if (schema.includeTextLayout && record.textContent !== null) {
+    record.textLayout = measureTextLayout(element, computedStyle);
+  }
+
+  if (schema.includeAssets) {
+    const asset = collectAsset(element, computedStyle);
+    if (asset) {record.asset = asset;}
+  }
+
+  if (schema.includeGraphics) {
+    const graphic = collectGraphic(element);
+    if (graphic) {record.graphic = graphic;}
+  }
+
+  if (schema.includeFormState) {
+    const formState = collectFormState(element);
+    if (formState) {record.formState = formState;}
+  }
+
+  if (schema.includeStacking) {
+    record.stacking = collectStacking(element, computedStyle, record.hpid, stackingState);
+  }
+
+  if (schema.includeScrollContainer) {
+    const scrollContainer = collectScrollContainer(element, rect, record.hpid, scrollState);
+    if (scrollContainer) {record.scrollContainer = scrollContainer;}
+  }
+
+  if (redaction) {
+    redactRecord(record, redaction);
+    ctx.redactionScopes.set(record, redaction);
+  }
+
+  const frameToken = getFrameToken(element);
+  if (frameToken) {record.frameToken = frameToken;}
+
   return record;
 }
 
+function buildPseudoRecords(element, parent, schema, redactor) {
+  if (!schema.includePseudoElements) {return [];}
+
+  const records = [];
+  for (const pseudo of get('extraction.pseudoElements')) {
+    const styles = collectPseudoStyles(element, pseudo);
+    if (!styles) {continue;}
+
+    const record = {
+      hpid:         `${parent.hpid}${pseudo}`,
+      absoluteHpid: `${parent.absoluteHpid}${pseudo}`,
+      tagName:      pseudo,
+      elementId:    null,
+      className:    null,
+      textContent:  null,
+      cssSelector:  null,
+      xpath:        null,
+      depth:        parent.depth + 1,
+      pseudoType:   pseudo.slice(2),
+      parentHpid:   parent.hpid,
+      styles
+    };
+
+    if (schema.includePageSection) {record.pageSection = parent.pageSection;}
+    if (schema.includeTier)        {record.tier        = parent.tier;}
+    if (schema.includeRect)        {record.rect        = parent.rect;}
+    if (parent.scrollContainer)    {record.scrollContainer = parent.scrollContainer;}
+
+    const redaction = createRedactionScope(element, redactor);
+    if (redaction) {redactRecord(record, redaction);}
+
+    records.push(record);
+  }
+  return records;
+}
+
 function computeAdaptiveBatchSize(totalElements) {
   if (totalElements <= 200)  {return 40;}
   if (totalElements <= 1000) {return 25;}
@@ -148,7 +262,7 @@ function computeAdaptiveBatchSize(totalElements) {
   return 10;
 }
 
-async function executeUnifiedPass(visits, readings, classOccurrenceMap) {
+async function executeUnifiedPass(visits, readings, classOccurrenceMap, customPropertyScopes, redactor, progress) {
   performance.mark('unified-pass-start');
 
   const hardCapMs     = get('extraction.batchHardCapMs', 30);
@@ -157,7 +271,16 @@ async function executeUnifiedPass(visits, readings, classOccurrenceMap) {
   const generateXPath = get('selectors.generateXPath', true);
   const doSelectors   = generateCSS || generateXPath;
   const baseBatchSize = computeAdaptiveBatchSize(visits.length);
-  const ctx           = { classOccurrenceMap, schema };
+  const ctx           = {
+    classOccurrenceMap,
+    customPropertyScopes,
+    contrastCache:   new WeakMap(),
+    stackingState:   createStackingState(),
+    scrollState:     createScrollState(),
+    redactor,
+    redactionScopes: new WeakMap(),
+    schema
+  };
   const results       = [];
 
   let i = 0;
@@ -166,6 +289,7 @@ async function executeUnifiedPass(visits, readings, classOccurrenceMap) {
     const batchEndTarget = i + baseBatchSize;
     const batchRecords   = [];
     const batchElements  = [];
+    const batchPseudo    = [];
 
     while (i < visits.length) {
       const j = i;
@@ -183,6 +307,7 @@ async function executeUnifiedPass(visits, readings, classOccurrenceMap) {
       if (record !== null) {
         batchRecords.push(record);
         batchElements.push(visits[j].element);
+        batchPseudo.push(buildPseudoRecords(visits[j].element, record, schema, ctx.redactor));
         visits[j].element = null;
       } else {
         visits[j].element = null;
@@ -193,14 +318,18 @@ async function executeUnifiedPass(visits, readings, classOccurrenceMap) {
       }
     }
 
+    progress('unified', i, visits.length);
+
     if (doSelectors && batchElements.length > 0) {
       const selectors = await generateSelectorsForElements(batchElements);
+      progress('selectors', i, visits.length);
       for (let k = 0; k < batchRecords.length; k++) {
         const sel = selectors[k];
         if (sel) {
           batchRecords[k].cssSelector = generateCSS   ? (sel.css   ?? null) : null;
           batchRecords[k].xpath       = generateXPath ? (sel.xpath ?? null) : null;
           if (sel.shadowPath) {batchRecords[k].shadowPath = sel.shadowPath;}
+          redactSelectors(batchRecords[k], ctx.redactionScopes.get(batchRecords[k]));
         }
       }
     }
@@ -209,8 +338,14 @@ async function executeUnifiedPass(visits, readings, classOccurrenceMap) {
       batchElements[k] = null;
     }
 
-    for (const record of batchRecords) {
-      results.push(record);
+    for (let k = 0; k < batchRecords.length; k++) {
+      const parent = batchRecords[k];
+      results.push(parent);
+      for (const pseudoRecord of batchPseudo[k]) {
+        pseudoRecord.cssSelector = parent.cssSelector ? `${parent.cssSelector}${pseudoRecord.tagName}` : null;
+        if (parent.shadowPath) {pseudoRecord.shadowPath = parent.shadowPath;}
+        results.push(pseudoRecord);
+      }
     }
 
     if (i < visits.length) {
@@ -229,28 +364,38 @@ async function executeUnifiedPass(visits, readings, classOccurrenceMap) {
   return results;
 }
 
-async function extract(filters) {
+async function extract(filters, options = {}, { onProgress, signal } = {}) {
   const perfHandle      = performanceMonitor.start('extraction-total');
   const startTime       = performance.now();
   const resolvedFilters = filters ?? null;
+  const progress        = createProgressReporter(onProgress, signal);
 
   logger.info('Extraction started', {
     url:        window.location.href,
-    hasFilters: Boolean(resolvedFilters)
+    hasFilters: Boolean(resolvedFilters),
+    autoScroll: Boolean(options?.autoScroll),
+    exclusions: Boolean(options?.exclusions)
   });
 
   try {
+    if (options?.autoScroll) {progress('autoScroll');}
+    const autoScroll = options?.autoScroll ? await hydrateByScrolling() : null;
+
+    progress('readiness');
     const captureQuality = await waitForReadiness();
 
+    progress('traversal');
     performance.mark('traversal-start');
-    const visits = traverseDocument(resolvedFilters);
+    const visits = traverseDocument(resolvedFilters, options?.exclusions ?? null);
     performance.mark('traversal-end');
     performance.measure('extraction-traversal', 'traversal-start', 'traversal-end');
 
     logger.debug('Traversal complete', { rawCount: visits.length });
 
+    progress('pass1', 0, visits.length);
     const readings = executePass1(visits);
     const { filteredVisits, filteredReadings } = applyVisibilityFilter(visits, readings);
+    progress('pass1', visits.length, visits.length);
 
     const maxElements     = get('extraction.maxElements');
     const overflow        = filteredVisits.length > maxElements;
@@ -264,8 +409,25 @@ async function extract(filters) {
       });
     }
 
+    const includeTokens        = get('schema.includeCustomProperties');
+    const customPropertyScopes = includeTokens ? collectCustomPropertyScopes() : new Map();
+    const rootCustomProperties = includeTokens
+      ? readCustomProperties(window.getComputedStyle(document.documentElement), customPropertyScopes.get(document.documentElement))
+      : null;
+
     const classOccurrenceMap = buildClassOccurrenceMap(clampedVisits);
-    const elements           = await executeUnifiedPass(clampedVisits, clampedReadings, classOccurrenceMap);
+    const redactor           = await createRedactor();
+    const elements           = await executeUnifiedPass(
+      clampedVisits, clampedReadings, classOccurrenceMap, customPropertyScopes, redactor, progress
+    );
+
+    if (get('schema.includeAssets')) {
+      progress('assets', 0, elements.length);
+      await fingerprintAssets(elements);
+    }
+
+    redactAssetSources(elements, redactor);
+    await sealRedactions(elements, redactor);
 
     const duration = Math.round(performance.now() - startTime);
     performanceMonitor.end(perfHandle);
@@ -286,14 +448,21 @@ async function extract(filters) {
         filtersApplied: Boolean(resolvedFilters)
       },
       styleCategories: get('extraction.styleCategories'),
+      rootCustomProperties,
       elements,
       duration,
       captureQuality,
+      autoScroll,
+      exclusions: options?.exclusions ?? null,
       filters: resolvedFilters
     };
   } catch (err) {
     performanceMonitor.end(perfHandle);
-    logger.error('Extraction failed', { error: err.message, url: window.location.href });
+    if (signal?.aborted) {
+      logger.info('Extraction cancelled', { url: window.location.href });
+    } else {
+      logger.error('Extraction failed', { error: err.message, url: window.location.href });
+    }
     throw err;
   }
 }
@@ -0,0 +1,35 @@
+const FORM_CONTROL_TAGS = new Set(['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON']);
+const CHECKABLE_TYPES   = new Set(['checkbox', 'radio']);
+const MASKED_TYPES      = new Set(['password', 'hidden']);
+
+function invalidFlags(validity) {
+  const flags = [];
+  for (const key in validity) {
+    if (key !== 'valid' && validity[key] === true) {flags.push(key);}
+  }
+  return flags.join(' ') || 'valid';
+}
+
+function readValue(element) {
+  if (element.tagName === 'BUTTON' || MASKED_TYPES.has(element.type)) {return null;}
+  return element.value;
+}
+
+function collectFormState(element) {
+  if (!FORM_CONTROL_TAGS.has(element.tagName)) {return null;}
+
+  const state = {
+    value:            readValue(element),
+    disabled:         element.disabled === true,
+    required:         element.required === true,
+    validity:         element.willValidate ? invalidFlags(element.validity) : null,
+    placeholderShown: element.matches(':placeholder-shown')
+  };
+
+  if (CHECKABLE_TYPES.has(element.type)) {state.checked = element.checked === true;}
+  if (element.tagName === 'SELECT')       {state.selectedIndex = element.selectedIndex;}
+
+  return state;
+}
+
+export { collectFormState };
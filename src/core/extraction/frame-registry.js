@@ -0,0 +1,31 @@
+const FRAME_PROBE_TYPE = 'uic:frame-probe';
+
+const ownerTokens = new WeakMap();
+let   ownToken    = null;
+
+function listenForFrameProbe() {
+  window.addEventListener('message', event => {
+    if (event.source !== window.parent || event.data?.type !== FRAME_PROBE_TYPE) {return;}
+    ownToken = event.data.token;
+  });
+}
+
+function announceChildFrames(prefix) {
+  const frames = document.querySelectorAll('iframe, frame');
+  frames.forEach((frame, index) => {
+    const token = `${prefix}:${index}`;
+    ownerTokens.set(frame, token);
+    frame.contentWindow?.postMessage({ type: FRAME_PROBE_TYPE, token }, '*');
+  });
+  return frames.length;
+}
+
+function getFrameToken(element) {
+  return ownerTokens.get(element) ?? null;
+}
+
+function getOwnFrameToken() {
+  return ownToken;
+}
+
+export { listenForFrameProbe, announceChildFrames, getFrameToken, getOwnFrameToken };
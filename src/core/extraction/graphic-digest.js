@@ -0,0 +1,112 @@
+import { get } from '../../config/defaults.js';
+import { fnv1a } from './asset-fingerprint.js';
+
+const SHAPE_SELECTOR  = 'path, polyline, polygon, line, rect, circle, ellipse, use';
+const GEOMETRY_ATTRS  = {
+  path:     ['d'],
+  polyline: ['points'],
+  polygon:  ['points'],
+  line:     ['x1', 'y1', 'x2', 'y2'],
+  rect:     ['x', 'y', 'width', 'height'],
+  circle:   ['cx', 'cy', 'r'],
+  ellipse:  ['cx', 'cy', 'rx', 'ry'],
+  use:      ['href', 'x', 'y']
+};
+const TEXT_ROLE_HINTS = [['legend', 'legend'], ['axis', 'axis'], ['tick', 'axis'], ['title', 'title']];
+
+const textEncoder = new TextEncoder();
+
+function hashString(value) {
+  return fnv1a(textEncoder.encode(value));
+}
+
+function normalizeGeometry(value) {
+  return (value ?? '')
+    .replace(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi, n => String(Math.round(parseFloat(n) * 10) / 10))
+    .replace(/\s*,\s*/g, ',')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function groupHint(node, root) {
+  for (let el = node.parentElement; el && el !== root; el = el.parentElement) {
+    const hint = el.id || (typeof el.className === 'object' ? el.className.baseVal : el.className);
+    if (hint) {return hint.trim().split(/\s+/)[0];}
+  }
+  return '';
+}
+
+function textRole(hint) {
+  const lower = hint.toLowerCase();
+  return TEXT_ROLE_HINTS.find(([fragment]) => lower.includes(fragment))?.[1] ?? 'label';
+}
+
+function digestShapes(svg, maxShapes) {
+  const occurrences = new Map();
+  const shapes      = [];
+  for (const node of svg.querySelectorAll(SHAPE_SELECTOR)) {
+    if (shapes.length >= maxShapes) {break;}
+    const tag       = node.tagName.toLowerCase();
+    const signature = node.id || `${groupHint(node, svg)}/${tag}`;
+    const index     = occurrences.get(signature) ?? 0;
+    occurrences.set(signature, index + 1);
+
+    const geometry = GEOMETRY_ATTRS[tag].map(attr => normalizeGeometry(node.getAttribute(attr))).join('|');
+    const style    = window.getComputedStyle(node);
+    shapes.push({
+      key:      node.id ? signature : `${signature}[${index}]`,
+      tag,
+      geometry: hashString(geometry),
+      fill:     style.fill,
+      stroke:   style.stroke
+    });
+  }
+  return shapes;
+}
+
+function digestTexts(svg, maxTexts) {
+  const texts = [];
+  for (const node of svg.querySelectorAll('text')) {
+    if (texts.length >= maxTexts) {break;}
+    const text = node.textContent.replace(/\s+/g, ' ').trim();
+    if (text) {texts.push({ text, role: textRole(groupHint(node, svg) || node.getAttribute('class') || '') });}
+  }
+  return texts;
+}
+
+function digestSvg(svg) {
+  const { maxShapes, maxTexts } = get('extraction.graphics');
+  const shapes = digestShapes(svg, maxShapes);
+  const texts  = digestTexts(svg, maxTexts);
+  const hash   = hashString(JSON.stringify([shapes, texts]));
+  return { kind: 'svg', hash, shapes, texts };
+}
+
+function hashCanvas(canvas) {
+  const { canvasHashSize } = get('extraction.graphics');
+  const result = { kind: 'canvas', width: canvas.width, height: canvas.height, hash: null, hashStatus: 'ok' };
+  if (!canvas.width || !canvas.height) {
+    result.hashStatus = 'empty';
+    return result;
+  }
+
+  const sample  = document.createElement('canvas');
+  sample.width  = canvasHashSize;
+  sample.height = canvasHashSize;
+  const context = sample.getContext('2d', { willReadFrequently: true });
+  try {
+    context.drawImage(canvas, 0, 0, canvasHashSize, canvasHashSize);
+    result.hash = fnv1a(context.getImageData(0, 0, canvasHashSize, canvasHashSize).data);
+  } catch {
+    result.hashStatus = 'cors-blocked';
+  }
+  return result;
+}
+
+function collectGraphic(element) {
+  if (element instanceof HTMLCanvasElement) {return hashCanvas(element);}
+  if (element instanceof SVGSVGElement && !element.ownerSVGElement) {return digestSvg(element);}
+  return null;
+}
+
+export { collectGraphic };
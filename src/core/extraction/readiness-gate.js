@@ -169,5 +169,37 @@ function waitForReadiness() {
   });
 }
 
-export { waitForReadiness };
+function waitForMutationStability(timeoutMs) {
+  return new Promise(resolve => {
+    const stabilityWindowMs = get('extraction.stabilityWindowMs');
+
+    let stabilityTimer = null;
+    let hardTimer      = null;
+
+    const observer = new MutationObserver(records => {
+      if (!hasVisualMutations(records)) {return;}
+      clearTimeout(stabilityTimer);
+      stabilityTimer = setTimeout(() => settle(true), stabilityWindowMs);
+    });
+
+    function settle(stable) {
+      clearTimeout(stabilityTimer);
+      clearTimeout(hardTimer);
+      observer.disconnect();
+      resolve(stable);
+    }
+
+    observer.observe(document.documentElement, {
+      childList:       true,
+      subtree:         true,
+      attributes:      true,
+      attributeFilter: [...NOISE_ATTR_NAMES, 'class']
+    });
+
+    hardTimer      = setTimeout(() => settle(false), timeoutMs);
+    stabilityTimer = setTimeout(() => settle(true), stabilityWindowMs);
+  });
+}
+
+export { waitForReadiness, waitForMutationStability };
 
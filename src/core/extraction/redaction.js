@@ -0,0 +1,208 @@
+import { get } from '../../config/defaults.js';
+import logger  from '../../infrastructure/logger.js';
+
+const SECRET_STORAGE_KEY = 'redactionSecret';
+const SECRET_BYTES       = 32;
+const DIGEST_HEX_LENGTH  = 16;
+const DIGEST_TOKEN_RE    = /\uE000(\d+)\uE001/g;
+const UNKEYED_DIGEST     = 'unkeyed';
+
+const encoder = new TextEncoder();
+
+let keyPromise = null;
+
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+  return Uint8Array.from(hex.match(/.{2}/g), pair => parseInt(pair, 16));
+}
+
+async function loadSecret() {
+  const stored = await chrome.storage.local.get(SECRET_STORAGE_KEY);
+  if (typeof stored[SECRET_STORAGE_KEY] === 'string') {return fromHex(stored[SECRET_STORAGE_KEY]);}
+  const secret = crypto.getRandomValues(new Uint8Array(SECRET_BYTES));
+  await chrome.storage.local.set({ [SECRET_STORAGE_KEY]: toHex(secret) });
+  logger.info('Redaction secret generated');
+  return secret;
+}
+
+function loadRedactionKey() {
+  if (!globalThis.crypto?.subtle) {
+    logger.warn('Redaction digests unavailable outside a secure context');
+    return Promise.resolve(null);
+  }
+  keyPromise ??= loadSecret()
+    .then(secret => crypto.subtle.importKey('raw', secret, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']))
+    .catch(err => {
+      keyPromise = null;
+      throw err;
+    });
+  return keyPromise;
+}
+
+function passesLuhn(candidate) {
+  const digits = candidate.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {d *= 2; if (d > 9) {d -= 9;}}
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function compileRules(rules) {
+  const compiled = [];
+  for (const { name, pattern, luhn } of rules) {
+    try {
+      compiled.push({ name, regex: new RegExp(pattern, 'giu'), luhn: luhn === true });
+    } catch (err) {
+      logger.warn('Redaction rule skipped', { name, error: err.message });
+    }
+  }
+  return compiled;
+}
+
+async function createRedactor() {
+  const config = get('extraction.redaction');
+  if (!config.enabled) {return null;}
+  return {
+    key:          await loadRedactionKey(),
+    pending:      new Map(),
+    rules:        compileRules(config.rules),
+    attributes:   new Set(config.attributes),
+    maskSelector: config.maskSelectors.join(', ') || null
+  };
+}
+
+function digestToken(value, redactor) {
+  if (!redactor.pending.has(value)) {redactor.pending.set(value, `\uE000${redactor.pending.size}\uE001`);}
+  return redactor.pending.get(value);
+}
+
+async function hmacDigest(value, key) {
+  if (!key) {return UNKEYED_DIGEST;}
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(value));
+  return toHex(new Uint8Array(signature)).slice(0, DIGEST_HEX_LENGTH);
+}
+
+function applyRules(value, redactor) {
+  let out = value;
+  for (const { name, regex, luhn } of redactor.rules) {
+    out = out.replace(regex, match => (luhn && !passesLuhn(match) ? match : `[redacted:${name}:${digestToken(match, redactor)}]`));
+  }
+  return out;
+}
+
+function isMasked(element, redactor) {
+  if (!redactor.maskSelector) {return false;}
+  try {
+    return element.closest(redactor.maskSelector) !== null;
+  } catch {
+    return false;
+  }
+}
+
+function maskValue(value, redactor) {
+  return `[redacted:${digestToken(value, redactor)}]`;
+}
+
+function redactText(value, redactor, masked = false) {
+  if (!redactor || typeof value !== 'string' || value.length === 0) {return value;}
+  return masked ? maskValue(value, redactor) : applyRules(value, redactor);
+}
+
+function createRedactionScope(element, redactor) {
+  if (!redactor) {return null;}
+  return { redactor, masked: isMasked(element, redactor), fields: [], sensitive: [] };
+}
+
+function redactField(scope, field, value) {
+  if (typeof value !== 'string' || value.length === 0) {return value;}
+  const out = redactText(value, scope.redactor, scope.masked);
+  if (out !== value) {
+    scope.fields.push(field);
+    scope.sensitive.push(value);
+  }
+  return out;
+}
+
+function selectorLeaks(selector, scope) {
+  if (!selector) {return false;}
+  if (scope.sensitive.some(raw => selector.includes(raw))) {return true;}
+  return scope.redactor.rules.some(({ regex }) => {
+    regex.lastIndex = 0;
+    return regex.test(selector);
+  });
+}
+
+function redactRecord(record, scope) {
+  if (record.attributes) {
+    for (const name of Object.keys(record.attributes)) {
+      if (!scope.redactor.attributes.has(name)) {continue;}
+      record.attributes[name] = redactField(scope, `attr:${name}`, record.attributes[name]);
+    }
+  }
+  if (record.pseudoType && record.styles?.content) {
+    record.styles.content = redactField(scope, 'pseudo:content', record.styles.content);
+  }
+  if (record.formState?.value) {
+    record.formState.value = redactField(scope, 'form:value', record.formState.value);
+  }
+  if (record.graphic?.texts) {
+    for (const entry of record.graphic.texts) {
+      entry.text = redactField(scope, 'svg:text', entry.text);
+    }
+  }
+  if (scope.fields.length > 0) {record.redacted = [...new Set(scope.fields)];}
+  if (scope.masked)            {record.redactionMasked = true;}
+}
+
+function redactSelectors(record, scope) {
+  if (!scope) {return;}
+  for (const key of ['cssSelector', 'xpath']) {
+    if (!selectorLeaks(record[key], scope)) {continue;}
+    record[key]     = null;
+    record.redacted = [...(record.redacted ?? []), key];
+  }
+}
+
+function redactAssetSources(records, redactor) {
+  if (!redactor) {return;}
+  for (const record of records) {
+    const src = record.asset?.currentSrc;
+    if (!src) {continue;}
+    const out = redactText(src, redactor, record.redactionMasked === true);
+    if (out === src) {continue;}
+    record.asset.currentSrc = out;
+    record.redacted         = [...(record.redacted ?? []), 'asset:src'];
+  }
+}
+
+function sealValue(value, digests) {
+  if (typeof value === 'string') {return value.replace(DIGEST_TOKEN_RE, token => digests.get(token) ?? token);}
+  if (Array.isArray(value)) {return value.map(item => sealValue(item, digests));}
+  if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) {value[key] = sealValue(value[key], digests);}
+  }
+  return value;
+}
+
+async function sealRedactions(records, redactor) {
+  if (!redactor?.pending.size) {return;}
+  const digests = new Map();
+  await Promise.all([...redactor.pending].map(async ([value, token]) => {
+    digests.set(token, await hmacDigest(value, redactor.key));
+  }));
+  redactor.pending.clear();
+  for (const record of records) {
+    if (record.redacted) {sealValue(record, digests);}
+  }
+}
+
+export {
+  createRedactor, createRedactionScope, redactAssetSources, redactField, redactRecord, redactSelectors, redactText,
+  sealRedactions
+};
@@ -0,0 +1,64 @@
+const SCROLLABLE_OVERFLOW = new Set(['auto', 'scroll', 'overlay']);
+
+function parentOf(element) {
+  if (element.parentElement) {return element.parentElement;}
+  return element.parentNode instanceof ShadowRoot ? element.parentNode.host : null;
+}
+
+function isScrollContainer(element) {
+  if (element === document.scrollingElement || element === document.body) {return false;}
+  const style    = window.getComputedStyle(element);
+  const scrollsY = SCROLLABLE_OVERFLOW.has(style.overflowY) && element.scrollHeight > element.clientHeight;
+  const scrollsX = SCROLLABLE_OVERFLOW.has(style.overflowX) && element.scrollWidth  > element.clientWidth;
+  return scrollsY || scrollsX;
+}
+
+function describeContainer(element) {
+  const rect = element.getBoundingClientRect();
+  return {
+    element,
+    scrollLeft: Math.round(element.scrollLeft),
+    scrollTop:  Math.round(element.scrollTop),
+    originX:    rect.left + element.clientLeft,
+    originY:    rect.top  + element.clientTop
+  };
+}
+
+function nearestContainer(element, state) {
+  const parent = parentOf(element);
+  if (!parent || parent === document.documentElement) {return null;}
+  if (state.nearest.has(parent)) {return state.nearest.get(parent);}
+
+  let container;
+  if (isScrollContainer(parent)) {
+    if (!state.containers.has(parent)) {state.containers.set(parent, describeContainer(parent));}
+    container = state.containers.get(parent);
+  } else {
+    container = nearestContainer(parent, state);
+  }
+  state.nearest.set(parent, container);
+  return container;
+}
+
+function createScrollState() {
+  return { nearest: new WeakMap(), containers: new WeakMap(), hpids: new WeakMap() };
+}
+
+function collectScrollContainer(element, rect, hpid, state) {
+  state.hpids.set(element, hpid);
+  if (!rect) {return null;}
+  const container = nearestContainer(element, state);
+  if (!container) {return null;}
+
+  return {
+    hpid:       state.hpids.get(container.element) ?? null,
+    scrollLeft: container.scrollLeft,
+    scrollTop:  container.scrollTop,
+    relativeX:  Math.round(rect.left - container.originX + container.scrollLeft),
+    relativeY:  Math.round(rect.top  - container.originY + container.scrollTop),
+    originX:    Math.round(container.originX + window.scrollX),
+    originY:    Math.round(container.originY + window.scrollY)
+  };
+}
+
+export { createScrollState, collectScrollContainer };
@@ -0,0 +1,68 @@
+import { get } from '../../config/defaults.js';
+import logger from '../../infrastructure/logger.js';
+import { waitForMutationStability } from './readiness-gate.js';
+
+function scrollToInstant(left, top) {
+  window.scrollTo({ left, top, behavior: 'instant' });
+}
+
+function maxScrollTop() {
+  const root = document.scrollingElement ?? document.documentElement;
+  return Math.max(0, root.scrollHeight - window.innerHeight);
+}
+
+function countElementNodes(records) {
+  let count = 0;
+  for (const record of records) {
+    for (const node of record.addedNodes) {
+      if (node instanceof Element) {count += 1 + node.getElementsByTagName('*').length;}
+    }
+  }
+  return count;
+}
+
+async function hydrateByScrolling() {
+  const { maxSteps, stepTimeoutMs } = get('extraction.autoScroll');
+  const originX = window.scrollX;
+  const originY = window.scrollY;
+  const t0      = performance.now();
+
+  let newNodes      = 0;
+  let steps         = 0;
+  let reachedBottom = false;
+
+  const observer = new MutationObserver(records => { newNodes += countElementNodes(records); });
+  observer.observe(document.documentElement, { childList: true, subtree: true });
+
+  try {
+    while (steps < maxSteps) {
+      const bottom = maxScrollTop();
+      if (window.scrollY >= bottom) {
+        reachedBottom = true;
+        break;
+      }
+      scrollToInstant(originX, Math.min(window.scrollY + window.innerHeight, bottom));
+      steps++;
+      await waitForMutationStability(stepTimeoutMs);
+    }
+  } finally {
+    newNodes += countElementNodes(observer.takeRecords());
+    observer.disconnect();
+    scrollToInstant(originX, originY);
+  }
+
+  await waitForMutationStability(stepTimeoutMs);
+
+  const result = {
+    steps,
+    newNodes,
+    reachedBottom,
+    documentHeight: (document.scrollingElement ?? document.documentElement).scrollHeight,
+    duration:       Math.round(performance.now() - t0)
+  };
+
+  logger.info('Auto-scroll pre-pass complete', result);
+  return result;
+}
+
+export { hydrateByScrolling };
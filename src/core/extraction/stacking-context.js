@@ -0,0 +1,91 @@
+const FLEX_GRID_DISPLAYS = new Set(['flex', 'inline-flex', 'grid', 'inline-grid']);
+
+const CONTEXT_RULES = [
+  ['position',        s => s.position === 'fixed' || s.position === 'sticky'],
+  ['z-index',         (s, parentDisplay) => s.zIndex !== 'auto' && (s.position !== 'static' || FLEX_GRID_DISPLAYS.has(parentDisplay))],
+  ['opacity',         s => parseFloat(s.opacity) < 1],
+  ['transform',       s => s.transform !== 'none'],
+  ['filter',          s => s.filter !== 'none'],
+  ['backdrop-filter', s => (s.backdropFilter ?? 'none') !== 'none'],
+  ['isolation',       s => s.isolation === 'isolate'],
+  ['mix-blend-mode',  s => s.mixBlendMode !== 'normal'],
+  ['clip-path',       s => s.clipPath !== 'none'],
+  ['mask',            s => (s.maskImage ?? 'none') !== 'none'],
+  ['perspective',     s => s.perspective !== 'none'],
+  ['contain',         s => /paint|layout|strict|content/.test(s.contain ?? '')],
+  ['will-change',     s => /transform|opacity|filter|isolation|z-index|position/.test(s.willChange ?? '')]
+];
+
+const PAINT_LAYERS = Object.freeze({
+  NEGATIVE:   0,
+  BLOCK:      1,
+  FLOAT:      2,
+  INLINE:     3,
+  POSITIONED: 4,
+  POSITIVE:   5
+});
+
+const ROOT_ENTRY = Object.freeze({ key: [], groupsChildren: true, createsContext: true, hpid: null, display: 'block' });
+
+function parentOf(element) {
+  if (element.parentElement) {return element.parentElement;}
+  return element.parentNode instanceof ShadowRoot ? element.parentNode.host : null;
+}
+
+function paintLayer(style, zIndex, createsContext) {
+  if (zIndex < 0) {return PAINT_LAYERS.NEGATIVE;}
+  if (zIndex > 0) {return PAINT_LAYERS.POSITIVE;}
+  if (style.position !== 'static' || createsContext) {return PAINT_LAYERS.POSITIONED;}
+  if (style.float !== 'none') {return PAINT_LAYERS.FLOAT;}
+  if (style.display.startsWith('inline')) {return PAINT_LAYERS.INLINE;}
+  return PAINT_LAYERS.BLOCK;
+}
+
+function resolveEntry(element, style, state) {
+  if (!element || element === document.documentElement) {return ROOT_ENTRY;}
+  if (state.entries.has(element)) {return state.entries.get(element);}
+
+  const parent      = parentOf(element);
+  const parentEntry = resolveEntry(parent, parent ? window.getComputedStyle(parent) : null, state);
+  const computed    = style ?? window.getComputedStyle(element);
+
+  const reasons        = CONTEXT_RULES.filter(([, test]) => test(computed, parentEntry.display)).map(([name]) => name);
+  const createsContext = reasons.length > 0;
+  const zIndex         = computed.zIndex === 'auto' ? 0 : parseInt(computed.zIndex, 10) || 0;
+  const layer          = paintLayer(computed, zIndex, createsContext);
+  const group          = parentEntry.groupsChildren ? parentEntry : parentEntry.group;
+
+  const entry = {
+    key:            [...group.key, layer, zIndex, state.sequence++],
+    groupsChildren: createsContext || layer >= PAINT_LAYERS.POSITIONED,
+    createsContext,
+    reasons,
+    zIndex,
+    layer,
+    display:        computed.display,
+    context:        parentEntry.createsContext ? parentEntry : parentEntry.context,
+    group,
+    hpid:           null
+  };
+  state.entries.set(element, entry);
+  return entry;
+}
+
+function createStackingState() {
+  return { entries: new WeakMap(), sequence: 0 };
+}
+
+function collectStacking(element, computedStyle, hpid, state) {
+  const entry = resolveEntry(element, computedStyle, state);
+  entry.hpid  = hpid;
+  return {
+    createsContext: entry.createsContext,
+    reasons:        entry.reasons,
+    contextHpid:    entry.context?.hpid ?? null,
+    zIndex:         entry.zIndex,
+    layer:          entry.layer,
+    paintKey:       entry.key
+  };
+}
+
+export { createStackingState, collectStacking, PAINT_LAYERS };
@@ -20,5 +20,24 @@ function collectStylesFromComputed(computedStyle) {
   }
 }
 
-export { collectStylesFromComputed };
+const EMPTY_PSEUDO_CONTENT = new Set(['none', 'normal']);
+
+function collectPseudoStyles(element, pseudo) {
+  try {
+    const computedStyle = window.getComputedStyle(element, pseudo);
+    const content       = computedStyle.getPropertyValue('content');
+    if (!content || EMPTY_PSEUDO_CONTENT.has(content)) {return null;}
+
+    const styles = Object.create(null);
+    for (const prop of get('extraction.pseudoCssProperties')) {
+      styles[prop] = computedStyle.getPropertyValue(prop);
+    }
+    return styles;
+  } catch (err) {
+    logger.error('Pseudo style collection failed', { pseudo, error: err.message });
+    return null;
+  }
+}
+
+export { collectStylesFromComputed, collectPseudoStyles };
 
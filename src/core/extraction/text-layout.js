@@ -0,0 +1,35 @@
+const LINE_TOP_TOLERANCE_PX = 2;
+
+function countRenderedLines(element) {
+  if (!element.textContent.trim()) {return 0;}
+  const tops  = [];
+  const range = document.createRange();
+  range.selectNodeContents(element);
+  for (const rect of range.getClientRects()) {
+    if (rect.width === 0 || rect.height === 0) {continue;}
+    if (!tops.some(top => Math.abs(top - rect.top) <= LINE_TOP_TOLERANCE_PX)) {tops.push(rect.top);}
+  }
+  range.detach();
+  return tops.length;
+}
+
+function isClipping(overflowValue) {
+  return overflowValue !== 'visible';
+}
+
+function measureTextLayout(element, computedStyle) {
+  const overflowX = element.scrollWidth  > element.clientWidth;
+  const overflowY = element.scrollHeight > element.clientHeight;
+
+  const ellipsis  = computedStyle.textOverflow === 'ellipsis' && overflowX && isClipping(computedStyle.overflowX);
+  const lineClamp = computedStyle.webkitLineClamp && computedStyle.webkitLineClamp !== 'none' && overflowY;
+
+  return {
+    lineCount: countRenderedLines(element),
+    overflowX,
+    overflowY,
+    truncated: Boolean(ellipsis || lineClamp)
+  };
+}
+
+export { measureTextLayout };
@@ -0,0 +1,64 @@
+import logger from './logger.js';
+
+const CDP_PROTOCOL           = '1.3';
+const CDP_ATTACH_TIMEOUT_MS  = 8_000;
+const CDP_COMMAND_TIMEOUT_MS = 5_000;
+
+const sessions = new Map();
+
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`CDP timeout: ${label} after ${timeoutMs}ms`)), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+export const DebuggerAdapter = {
+
+  async attach(tabId) {
+    if (sessions.has(tabId)) {
+      sessions.set(tabId, sessions.get(tabId) + 1);
+      return;
+    }
+
+    try {
+      const targets = await chrome.debugger.getTargets();
+      const stale   = targets.find(t => t.tabId === tabId && t.attached);
+      if (stale) {
+        logger.warn('Stale debugger found on tab — force-detaching', { tabId, targetId: stale.id });
+        await chrome.debugger.detach({ tabId }).catch(() => undefined);
+        await new Promise(r => { setTimeout(r, 200); });
+      }
+    } catch (error) {
+      logger.warn('Debugger getTargets failed — proceeding with attach', { tabId, error: error.message });
+    }
+
+    await withTimeout(
+      chrome.debugger.attach({ tabId }, CDP_PROTOCOL),
+      CDP_ATTACH_TIMEOUT_MS,
+      `debugger.attach tabId=${tabId}`
+    );
+    sessions.set(tabId, 1);
+  },
+
+  async detach(tabId) {
+    const count = sessions.get(tabId) ?? 0;
+    if (count > 1) {
+      sessions.set(tabId, count - 1);
+      return;
+    }
+    sessions.delete(tabId);
+    await chrome.debugger.detach({ tabId }).catch(() => undefined);
+  },
+
+  send(tabId, method, params, timeoutMs = CDP_COMMAND_TIMEOUT_MS) {
+    return withTimeout(
+      chrome.debugger.sendCommand({ tabId }, method, params ?? {}),
+      timeoutMs,
+      `${method} tabId=${tabId}`
+    );
+  }
+};
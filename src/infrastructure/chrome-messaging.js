@@ -5,6 +5,9 @@ export const MessageTypes = Object.freeze({
   EXTRACT_ELEMENTS:       'extractElements',
   EXTRACTION_PROGRESS:    'extractionProgress',
   EXTRACTION_COMPLETE:    'extractionComplete',
+  EXTRACTION_ERROR:       'extractionError',
+  CANCEL_EXTRACTION:      'cancelExtraction',
+  ANNOUNCE_FRAMES:        'announceFrames',
 
   START_COMPARISON:       'startComparison',
   COMPARISON_PROGRESS:    'comparisonProgress',
@@ -57,9 +60,45 @@ export function sendToBackground(type, payload = {}, timeoutMs = 30000) {
   });
 }
 
-export function sendToTab(tabId, type, payload = {}, timeoutMs = 60000) {
+export function sendToTab(tabId, type, payload = {}, timeoutMs = 60000, options = {}) {
   const message = { type, ...payload };
-  return TabAdapter.sendMessage(tabId, message, timeoutMs);
+  return TabAdapter.sendMessage(tabId, message, timeoutMs, options);
+}
+
+export function streamFromTab(tabId, message, { portName, frameId = 0, timeoutMs = 60000, signal, onFrame, terminalTypes }) {
+  return new Promise((resolve, reject) => {
+    const port  = TabAdapter.connect(tabId, portName, frameId);
+    let settled = false;
+
+    const settle = (error, result) => {
+      if (settled) {return;}
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      try { port.disconnect(); } catch {}
+      if (error) {reject(error);} else {resolve(result);}
+    };
+    const onAbort = () => settle(signal.reason ?? new Error(`Tab stream aborted: ${portName}`));
+    const timer   = setTimeout(() => settle(new Error(`Tab stream timeout after ${timeoutMs}ms`)), timeoutMs);
+
+    port.onMessage.addListener((msg) => {
+      if (terminalTypes.includes(msg.type)) {
+        settle(null, msg);
+        return;
+      }
+      onFrame?.(msg);
+    });
+    port.onDisconnect.addListener(() => {
+      settle(new Error(chrome.runtime.lastError?.message ?? `Tab stream closed: ${portName}`));
+    });
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    port.postMessage(message);
+  });
 }
 
 export function onMessage(handler) {
@@ -47,27 +47,27 @@ export const TabAdapter = {
     }
   },
 
-  async executeScript(tabId, files) {
+  async executeScript(tabId, files, frameIds) {
     try {
       const results = await chrome.scripting.executeScript({
-        target: { tabId },
+        target: frameIds ? { tabId, frameIds } : { tabId },
         files
       });
       return results;
     } catch (error) {
-      logger.error('Script execution failed', { tabId, files, error: error.message });
+      logger.error('Script execution failed', { tabId, files, frameIds, error: error.message });
       throw error;
     }
   },
 
-  async sendMessage(tabId, message, timeoutMs = 60000) {
+  async sendMessage(tabId, message, timeoutMs = 60000, options = {}) {
     return new Promise((resolve, reject) => {
       const timer = setTimeout(() => {
         reject(new Error(`Tab message timeout after ${timeoutMs}ms`));
       }, timeoutMs);
 
       try {
-        chrome.tabs.sendMessage(tabId, message, (response) => {
+        chrome.tabs.sendMessage(tabId, message, options, (response) => {
           clearTimeout(timer);
 
           if (chrome.runtime.lastError) {
@@ -85,6 +85,10 @@ export const TabAdapter = {
     });
   },
 
+  connect(tabId, name, frameId = 0) {
+    return chrome.tabs.connect(tabId, { name, frameId });
+  },
+
   async query(queryInfo) {
     try {
       return await chrome.tabs.query(queryInfo);
@@ -3,7 +3,7 @@ import { ERROR_CODES, errorTracker } from './error-tracker.js';
 import logger from './logger.js';
 
 const DB_NAME                    = 'ui_comparison_db';
-const DB_VERSION                 = 6;
+const DB_VERSION                 = 7;
 const STORE_REPORTS              = 'reports';
 const STORE_ELEMENTS             = 'elements';
 const STORE_COMPARISONS          = 'comparisons';
@@ -13,6 +13,7 @@ const STORE_VISUAL_BLOBS         = 'visual_blobs';
 const STORE_VISUAL_KEYFRAMES     = 'visual_keyframes';
 const STORE_VISUAL_ELEMENT_RECTS = 'visual_element_rects';
 const STORE_OP_LOG               = 'operation_log';
+const STORE_MATCH_OVERRIDES      = 'match_overrides';
 const MAX_COMPARISONS            = 20;
 const OP_STATUS_PENDING          = 'PENDING';
 const OP_STATUS_COMPLETE         = 'COMPLETE';
@@ -65,6 +66,26 @@ function commitReportWrite(reportStore, elementStore, reportCtx) {
   }
 }
 
+function reportSlot(meta) {
+  return meta.captureSet?.id ?? meta.id;
+}
+
+function planEviction(metas, incoming, maxReports) {
+  const slots = new Map();
+  for (const meta of metas) {
+    const slot = reportSlot(meta);
+    if (!slots.has(slot)) {slots.set(slot, []);}
+    slots.get(slot).push(meta.id);
+  }
+  const incomingSlot = reportSlot(incoming);
+  const excess       = slots.size + (slots.has(incomingSlot) ? 0 : 1) - maxReports;
+  if (excess <= 0) {return [];}
+  return [...slots.entries()]
+    .filter(([slot]) => slot !== incomingSlot)
+    .slice(0, excess)
+    .flatMap(([, ids]) => ids);
+}
+
 function buildReportStores(db) {
   const reportStore = db.createObjectStore(STORE_REPORTS, { keyPath: 'id' });
   reportStore.createIndex('by_timestamp', 'timestamp',          { unique: false });
@@ -114,12 +135,19 @@ function upgradeToV6(db) {
   rectStore.createIndex('by_session_element', ['sessionId', 'elementKey'], { unique: false });
 }
 
+function upgradeToV7(db) {
+  const overrideStore = db.createObjectStore(STORE_MATCH_OVERRIDES, { keyPath: 'id' });
+  overrideStore.createIndex('by_pattern',   'urlPattern', { unique: false });
+  overrideStore.createIndex('by_timestamp', 'timestamp',  { unique: false });
+}
+
 function runUpgrade(db, upgradeTx, oldVersion) {
   if (oldVersion < 1) {buildReportStores(db);}
   if (oldVersion < 2) {buildComparisonStores(db);}
   if (oldVersion < 4) {buildAuxStores(db);}
   if (oldVersion < 5) {upgradeToV5(upgradeTx);}
   if (oldVersion < 6) {upgradeToV6(db);}
+  if (oldVersion < 7) {upgradeToV7(db);}
 }
 
 class IDBRepository {
@@ -247,38 +275,25 @@ class IDBRepository {
 
       transactionToPromise(tx).then(resolve).catch(reject);
 
-      const countReq = reportStore.count();
-      countReq.onerror  = () => tx.abort();
-      countReq.onsuccess = () => {
-        const excess    = countReq.result - maxReports + 1;
-        const reportCtx = { meta, elements, id: reportId };
-        if (excess <= 0) {
-          commitReportWrite(reportStore, elementStore, reportCtx);
+      const metas     = [];
+      const cursorReq = reportStore.index('by_timestamp').openCursor(null, 'next');
+      cursorReq.onerror   = () => tx.abort();
+      cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (cursor) {
+          metas.push(cursor.value);
+          cursor.continue();
           return;
         }
-        this.#evictReports(reportStore, elementStore, reportCtx, excess);
+        for (const id of planEviction(metas, meta, maxReports)) {
+          reportStore.delete(id);
+          elementStore.delete(id);
+        }
+        commitReportWrite(reportStore, elementStore, { meta, elements, id: reportId });
       };
     });
   }
 
-  #evictReports(reportStore, elementStore, reportCtx, excess) {
-    const cursorReq = reportStore.index('by_timestamp').openCursor(null, 'next');
-    let deleted = 0;
-
-    cursorReq.onerror  = () => reportStore.transaction.abort();
-    cursorReq.onsuccess = () => {
-      const cursor = cursorReq.result;
-      if (cursor && deleted < excess) {
-        reportStore.delete(cursor.primaryKey);
-        elementStore.delete(cursor.primaryKey);
-        deleted += 1;
-        cursor.continue();
-      } else {
-        commitReportWrite(reportStore, elementStore, reportCtx);
-      }
-    };
-  }
-
   async loadReports() {
     try {
       const db = await this.#getDB();
@@ -697,6 +712,51 @@ class IDBRepository {
     }
   }
 
+  saveMatchOverride(override) {
+    return this.#enqueue(() => this.#saveMatchOverrideInner(override));
+  }
+
+  async #saveMatchOverrideInner(override) {
+    try {
+      const db = await this.#getDB();
+      const tx = db.transaction(STORE_MATCH_OVERRIDES, 'readwrite');
+      tx.objectStore(STORE_MATCH_OVERRIDES).put(override);
+      await transactionToPromise(tx);
+      return { success: true, id: override.id };
+    } catch (writeError) {
+      trackError(ERROR_CODES.STORAGE_WRITE_FAILED, writeError.message, { id: override.id });
+      return { success: false, error: writeError.message };
+    }
+  }
+
+  async loadMatchOverrides() {
+    try {
+      const db = await this.#getDB();
+      const tx = db.transaction(STORE_MATCH_OVERRIDES, 'readonly');
+      return await collectCursor(tx.objectStore(STORE_MATCH_OVERRIDES).index('by_timestamp'), 'next');
+    } catch (readError) {
+      trackError(ERROR_CODES.STORAGE_READ_FAILED, readError.message);
+      return [];
+    }
+  }
+
+  deleteMatchOverride(id) {
+    return this.#enqueue(() => this.#deleteMatchOverrideInner(id));
+  }
+
+  async #deleteMatchOverrideInner(id) {
+    try {
+      const db = await this.#getDB();
+      const tx = db.transaction(STORE_MATCH_OVERRIDES, 'readwrite');
+      tx.objectStore(STORE_MATCH_OVERRIDES).delete(id);
+      await transactionToPromise(tx);
+      return { success: true };
+    } catch (deleteError) {
+      trackError(ERROR_CODES.STORAGE_WRITE_FAILED, deleteError.message, { id });
+      return { success: false, error: deleteError.message };
+    }
+  }
+
   async #getAllKeysByIndex(db, storeName, indexName, value) {
     try {
       const tx = db.transaction(storeName, 'readonly');
@@ -1,4 +1,5 @@
 import { extract } from '../core/extraction/extractor.js';
+import { listenForFrameProbe, announceChildFrames, getOwnFrameToken } from '../core/extraction/frame-registry.js';
 import { MessageTypes } from '../infrastructure/chrome-messaging.js';
 import { ERROR_CODES, errorTracker } from '../infrastructure/error-tracker.js';
 import logger from '../infrastructure/logger.js';
@@ -16,27 +17,36 @@ logger.info('Content script initialized', {
   title: document.title
 });
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+function trackExtractionFailure(error) {
+  logger.error('Extraction failed', {
+    error: error.message,
+    stack: error.stack
+  });
+
+  errorTracker.track({
+    code: ERROR_CODES.EXTRACTION_TIMEOUT,
+    message: 'Failed to extract elements',
+    context: { url: window.location.href, error: error.message }
+  });
+}
+
+function onRuntimeMessage(message, sender, sendResponse) {
   const { type, ...payload } = message;
 
   logger.debug('Content script received message', { type });
 
+  if (type === MessageTypes.ANNOUNCE_FRAMES) {
+    sendResponse({ success: true, data: { announced: announceChildFrames(payload.prefix) } });
+    return false;
+  }
+
   if (type === MessageTypes.EXTRACT_ELEMENTS) {
-    handleExtraction(payload.filters)
+    handleExtraction(payload.filters, payload.options)
       .then(report => {
         sendResponse({ success: true, data: report });
       })
       .catch(error => {
-        logger.error('Extraction failed', {
-          error: error.message,
-          stack: error.stack
-        });
-
-        errorTracker.track({
-          code: ERROR_CODES.EXTRACTION_TIMEOUT,
-          message: 'Failed to extract elements',
-          context: { url: window.location.href, error: error.message }
-        });
+        trackExtractionFailure(error);
 
         sendResponse({
           success: false,
@@ -49,17 +59,68 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   logger.debug('Unknown message type — deferring to other listeners', { type });
   return false;
-});
+}
+
+function onRuntimeConnect(port) {
+  if (port.name !== 'extraction') {
+    return;
+  }
+
+  const controller = new AbortController();
+
+  port.onDisconnect.addListener(() => {
+    controller.abort(new Error('Extraction cancelled'));
+  });
+
+  const post = (message) => {
+    if (controller.signal.aborted) {
+      return;
+    }
+    try {
+      port.postMessage(message);
+    } catch {
+      controller.abort(new Error('Extraction port closed'));
+    }
+  };
+
+  port.onMessage.addListener((message) => {
+    if (message.type !== MessageTypes.EXTRACT_ELEMENTS) {
+      return;
+    }
+
+    const onProgress = frame => post({ type: MessageTypes.EXTRACTION_PROGRESS, ...frame });
+
+    handleExtraction(message.filters, message.options, { onProgress, signal: controller.signal })
+      .then(report => {
+        post({ type: MessageTypes.EXTRACTION_COMPLETE, success: true, data: report });
+      })
+      .catch(error => {
+        if (controller.signal.aborted) {
+          return;
+        }
+        trackExtractionFailure(error);
+        post({ type: MessageTypes.EXTRACTION_ERROR, success: false, error: error.message || String(error) });
+      });
+  });
+}
+
+if (!window.__uicContentScriptLoaded) {
+  window.__uicContentScriptLoaded = true;
+  listenForFrameProbe();
+  chrome.runtime.onMessage.addListener(onRuntimeMessage);
+  chrome.runtime.onConnect.addListener(onRuntimeConnect);
+}
 
-async function handleExtraction(filters) {
+async function handleExtraction(filters, options, stream = {}) {
   if (window.location.protocol === 'chrome:' ||
       window.location.protocol === 'chrome-extension:') {
     throw new Error('Cannot extract from chrome:// pages');
   }
 
   try {
-    const report = await extract(filters);
-    return report;
+    const report     = await extract(filters, options, stream);
+    const frameToken = getOwnFrameToken();
+    return frameToken ? { ...report, frameToken } : report;
   } catch (error) {
     logger.error('Extract function failed', { error: error.message });
     throw error;
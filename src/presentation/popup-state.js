@@ -50,6 +50,13 @@ const transitions = {
     reports: [report, ...state.reports]
   }),
 
+  EXTRACTION_CANCELLED: (state) => ({
+    ...state,
+    isExtracting: false,
+    extractionProgress: 0,
+    extractionLabel: ''
+  }),
+
   EXTRACTION_FAILED: (state, { error }) => ({
     ...state,
     isExtracting: false,
@@ -10,6 +10,8 @@ import {
   exportComparison, EXPORT_FORMAT
 } from '../application/export-workflow.js';
 import { importReportFromFile } from '../application/import-workflow.js';
+import { loadExclusionRules, saveExclusionRules, hostOf } from '../application/exclusion-rules.js';
+import { pinMatch, loadOverridesForUrl, deleteMatchOverride, formatPin } from '../application/match-overrides.js';
 
 logger.init();
 logger.setContext({ script: 'popup' });
@@ -121,40 +123,6 @@ class ProgressManager {
     if (wrap) {wrap.classList.add('hidden');}
     this.update(id, 0, '');
   }
-
-  simulate(id, estimatedMs, stages = []) {
-    const defaultStages = [
-      { at: 8,  label: 'Scanning DOM…' },
-      { at: 25, label: 'Processing elements…' },
-      { at: 55, label: 'Generating selectors…' },
-      { at: 80, label: 'Normalizing styles…' },
-      { at: 92, label: 'Saving report…' }
-    ];
-    const activeStages = stages.length ? stages : defaultStages;
-    const stepMs = estimatedMs / 100;
-    let frame = 0;
-    let stopped = false;
-
-    this.show(id, activeStages[0].label);
-
-    const tick = () => {
-      if (stopped) {return;}
-      frame = Math.min(frame + 1, 92);
-      const stage = [...activeStages].reverse().find(s => frame >= s.at);
-      this.update(id, frame, stage?.label ?? '');
-      setTimeout(tick, stepMs);
-    };
-
-    setTimeout(tick, stepMs);
-
-    return {
-      done: () => {
-        stopped = true;
-        this.update(id, 100, 'Complete');
-        setTimeout(() => this.hide(id), 500);
-      }
-    };
-  }
 }
 
 const Toast    = new ToastManager();
@@ -185,6 +153,15 @@ function getFilters() {
   return Object.keys(filters).length ? filters : null;
 }
 
+function getCaptureOptions() {
+  return {
+    interactionStates: document.getElementById('interaction-states-toggle')?.checked ?? false,
+    accessibility:     document.getElementById('accessibility-toggle')?.checked ?? false,
+    responsive:        document.getElementById('responsive-toggle')?.checked ?? false,
+    autoScroll:        document.getElementById('auto-scroll-toggle')?.checked ?? false
+  };
+}
+
 const STAGE_RE = /\b(stage|staging|dev|test|qa|uat|preview|sandbox|canary)\b/i;
 
 function envTag(url) {
@@ -201,69 +178,88 @@ function lastPathSegment(url) {
   } catch { return ''; }
 }
 
-const EXTRACTION_TIMEOUT_MS = 300_000;
-const EXTRACTION_POLL_INTERVAL_MS = 3_000;
-const EXTRACTION_POLL_MAX_WAIT_MS = 360_000;
+let extractionPort = null;
 
-async function pollForNewReport(knownIds, maxWaitMs = EXTRACTION_POLL_MAX_WAIT_MS) {
-  const deadline = Date.now() + maxWaitMs;
-  while (Date.now() < deadline) {
-    await new Promise(resolve => { setTimeout(resolve, EXTRACTION_POLL_INTERVAL_MS); });
-    try {
-      const reports = await loadAllReports();
-      const newReport = reports.find(r => !knownIds.has(r.id));
-      if (newReport) {return newReport;}
-    } catch {
-    }
-  }
-  return null;
+function handleCancelExtraction() {
+  if (!extractionPort) {return;}
+  try {
+    extractionPort.postMessage({ type: MessageTypes.CANCEL_EXTRACTION });
+    Progress.update('extract', popupState.get().extractionProgress ?? 0, 'Cancelling…');
+  } catch (_) {}
 }
 
-async function handleExtraction() {
+function handleExtraction() {
   const btn = document.getElementById('extract-btn');
-  const sim = Progress.simulate('extract', EXTRACTION_TIMEOUT_MS * 0.6, [
-    { at: 5,  label: 'Scanning DOM…'           },
-    { at: 20, label: 'Processing elements…'     },
-    { at: 45, label: 'Generating selectors…'    },
-    { at: 70, label: 'Normalizing styles…'      },
-    { at: 88, label: 'Saving report…'           }
-  ]);
   btn.disabled = true;
 
+  Progress.show('extract', 'Connecting…');
+  popupState.dispatch('EXTRACTION_STARTED');
+
+  const cleanup = () => {
+    if (extractionPort) { try { extractionPort.disconnect(); } catch (_) {} extractionPort = null; }
+    btn.disabled = false;
+  };
+
+  const fail = (msg) => {
+    cleanup();
+    Progress.hide('extract');
+    popupState.dispatch('EXTRACTION_FAILED', { error: msg });
+    Toast.error(msg);
+    logger.error('Extraction failed', { error: msg });
+  };
+
   try {
-    const response = await sendToBackground(
-      MessageTypes.EXTRACT_ELEMENTS,
-      { filters: getFilters() },
-      EXTRACTION_TIMEOUT_MS
-    );
-    const {report} = response.data;
-    sim.done();
-    popupState.dispatch('EXTRACTION_COMPLETE', { report });
-    await refreshReports();
-    Toast.success(`Extracted ${report.totalElements} elements in ${report.duration}ms`);
-  } catch (err) {
-    sim.done();
-    const errorMsg = err instanceof Error ? err.message : String(err);
-    const isTimeout = errorMsg.toLowerCase().includes('timeout');
-
-    if (isTimeout) {
-      Toast.info('Extraction is taking longer than expected — waiting for results…');
-      const knownIds = new Set(popupState.get().reports.map(r => r.id));
-      const report = await pollForNewReport(knownIds);
-      if (report) {
+    extractionPort = chrome.runtime.connect({ name: 'extraction' });
+
+    extractionPort.onDisconnect.addListener(() => {
+      if (btn.disabled) {
+        fail('Connection to background lost. The report may still be saved — check back in a moment.');
+      }
+    });
+
+    extractionPort.onMessage.addListener(async (msg) => {
+      if (msg.type === MessageTypes.EXTRACTION_PROGRESS) {
+        Progress.update('extract', msg.pct ?? 0, msg.label ?? 'Working…');
+        popupState.dispatch('EXTRACTION_PROGRESS', { progress: msg.pct ?? 0, label: msg.label ?? '' });
+        return;
+      }
+
+      if (msg.type === MessageTypes.EXTRACTION_COMPLETE) {
+        const { report, reports } = msg;
+        cleanup();
+        Progress.update('extract', 100, 'Complete');
+        setTimeout(() => Progress.hide('extract'), 500);
         popupState.dispatch('EXTRACTION_COMPLETE', { report });
         await refreshReports();
-        Toast.success(`Extracted ${report.totalElements} elements`);
-        btn.disabled = false;
+        if (reports?.length > 1) {
+          Toast.success(`Captured ${reports.length} breakpoints (${reports.map(r => r.captureSet?.viewportId).join(', ')})`);
+        } else {
+          Toast.success(`Extracted ${report.totalElements} elements in ${report.duration}ms`);
+        }
         return;
       }
-    }
 
-    popupState.dispatch('EXTRACTION_FAILED', { error: errorMsg });
-    Toast.error(errorMsg);
-    logger.error('Extraction failed', { error: errorMsg });
-  } finally {
-    btn.disabled = false;
+      if (msg.type === MessageTypes.EXTRACTION_ERROR) {
+        if (msg.cancelled) {
+          cleanup();
+          Progress.hide('extract');
+          popupState.dispatch('EXTRACTION_CANCELLED');
+          await refreshReports();
+          Toast.info('Extraction cancelled');
+          return;
+        }
+        fail(msg.error || 'Extraction failed in background');
+      }
+    });
+
+    extractionPort.postMessage({
+      type:    MessageTypes.EXTRACT_ELEMENTS,
+      filters: getFilters(),
+      options: getCaptureOptions()
+    });
+
+  } catch (err) {
+    fail(err.message || String(err));
   }
 }
 
@@ -507,6 +503,7 @@ function renderReportCard(report, displayIndex, showEnvBadge) {
         <span class="meta-sep">·</span>
         <span>${relativeTime(report.timestamp)}</span>
         ${report.source === 'imported' ? '<span class="meta-sep">·</span><span class="meta-imported-badge" title="Uploaded from file">↑ imported</span>' : ''}
+        ${report.captureSet ? `<span class="meta-sep">·</span><span class="meta-filter" title="Responsive capture set breakpoint">${sanitize(report.captureSet.viewportId)} ${sanitize(report.captureSet.viewport.width)}px</span>` : ''}
       </div>
     </div>
     <div class="report-card-actions">
@@ -593,7 +590,8 @@ function populateReportSelectors(reports) {
       const envPrefix  = hasMultiEnv ? `${envTag(r.url)} · ` : '';
       const importedPrefix = r.source === 'imported' ? '[↑] ' : '';
 
-      const label      = `${importedPrefix}R${displayIdx} · ${envPrefix}${host}${path}`;
+      const bpSuffix   = r.captureSet ? ` · ${r.captureSet.viewportId}` : '';
+      const label      = `${importedPrefix}R${displayIdx} · ${envPrefix}${host}${path}${bpSuffix}`;
       const tooltip    = `R${displayIdx} · ${r.url} · ${r.totalElements} el${filter ? ` · ${filter}` : ''} · ${relativeTime(r.timestamp)}`;
       const opt        = new Option(label, r.id);
       opt.title        = tooltip;
@@ -807,6 +805,51 @@ async function tryLoadCachedComparison() {
   }
 }
 
+function selectedBaselineUrl() {
+  const state = popupState.get();
+  return state.reports.find(r => r.id === state.selectedBaseline)?.url ?? null;
+}
+
+async function refreshPinList() {
+  const list   = document.getElementById('pin-list');
+  const input  = document.getElementById('pin-expression');
+  const button = document.getElementById('pin-add-btn');
+  if (!list) {return;}
+
+  const url = selectedBaselineUrl();
+  input.disabled  = !url;
+  button.disabled = !url;
+  list.innerHTML  = '';
+  if (!url) {return;}
+
+  for (const override of await loadOverridesForUrl(url)) {
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <span title="${sanitize(override.urlPattern)}">${sanitize(formatPin(override))}</span>
+      <button class="btn-icon-danger" title="Remove pin" aria-label="Remove pin ${sanitize(formatPin(override))}">×</button>`;
+    item.querySelector('button').addEventListener('click', async () => {
+      await deleteMatchOverride(override.id);
+      refreshPinList();
+    });
+    list.appendChild(item);
+  }
+}
+
+async function handleAddPin() {
+  const input = document.getElementById('pin-expression');
+  const url   = selectedBaselineUrl();
+  if (!input || !url) {return;}
+
+  const result = await pinMatch(url, input.value);
+  if (!result.success) {
+    Toast.error(result.error ?? 'Could not save pin');
+    return;
+  }
+  input.value = '';
+  Toast.success('Pin saved — run Compare to apply it');
+  refreshPinList();
+}
+
 function syncCompareButton() { const state = popupState.get(); const btn = document.getElementById('compare-btn'); if (btn) {btn.disabled = !state.selectedBaseline || !state.selectedCompare;} }
 
 function updateUIFromState(state, type) {
@@ -835,6 +878,9 @@ function updateUIFromState(state, type) {
       displayComparisonResults(state.comparisonResult, state.cachedAt);
       break;
     case 'BASELINE_SELECTED':
+      syncCompareButton();
+      refreshPinList();
+      break;
     case 'COMPARE_SELECTED':
       syncCompareButton();
       break;
@@ -845,6 +891,41 @@ function hostFromUrl(url) {
   try { return new URL(url).hostname; } catch { return url; }
 }
 
+function splitRuleLines(value) {
+  return value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+async function initExclusionEditor(tab) {
+  const globalEl = document.getElementById('exclusions-global');
+  const domainEl = document.getElementById('exclusions-domain');
+  if (!globalEl || !domainEl) {return;}
+
+  const host  = tab?.url ? hostOf(tab.url) : null;
+  const rules = await loadExclusionRules();
+
+  globalEl.value = rules.global.join('\n');
+  if (host) {
+    document.getElementById('exclusions-domain-host').textContent = host;
+    domainEl.value = (rules.domains[host] ?? []).join('\n');
+  } else {
+    domainEl.disabled = true;
+  }
+
+  const persist = async () => {
+    const current = await loadExclusionRules();
+    const domains = { ...current.domains };
+    if (host) {domains[host] = splitRuleLines(domainEl.value);}
+    try {
+      await saveExclusionRules({ global: splitRuleLines(globalEl.value), domains });
+    } catch (err) {
+      logger.error('Saving exclusion rules failed', { error: err.message });
+      Toast.error('Could not save exclusion rules');
+    }
+  };
+  globalEl.addEventListener('change', persist);
+  domainEl.addEventListener('change', persist);
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
   logger.info('Popup opened');
 
@@ -857,12 +938,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  await initExclusionEditor(tab);
+
   document.querySelectorAll('[role="tab"]').forEach(btn => {
     btn.addEventListener('click', () => popupState.dispatch('TAB_CHANGED', { tab: btn.dataset.tab }));
   });
 
   document.getElementById('extract-btn')?.addEventListener('click', handleExtraction);
+  document.getElementById('extract-cancel-btn')?.addEventListener('click', handleCancelExtraction);
   document.getElementById('compare-btn')?.addEventListener('click', handleComparison);
+  document.getElementById('pin-add-btn')?.addEventListener('click', handleAddPin);
+  document.getElementById('pin-expression')?.addEventListener('keydown', e => {
+    if (e.key === 'Enter') {handleAddPin();}
+  });
   document.getElementById('delete-all-btn')?.addEventListener('click', handleDeleteAll);
   document.getElementById('export-all-btn')?.addEventListener('click', handleExportAll);
   document.getElementById('close-popup-btn')?.addEventListener('click', () => window.close());
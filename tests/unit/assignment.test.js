@@ -0,0 +1,97 @@
+import { describe, expect, test } from '@jest/globals';
+import { solveAssignment } from '../../src/core/comparison/assignment.js';
+
+function totalCost(cost, assignment) {
+  return assignment.reduce((sum, col, row) => (col === -1 ? sum : sum + cost[row][col]), 0);
+}
+
+function bruteForceMin(cost) {
+  const rows = cost.length;
+  const cols = cost[0].length;
+  const k    = Math.min(rows, cols);
+  let best   = Infinity;
+  const walk = (row, usedCols, assigned, sum) => {
+    if (assigned === k) { best = Math.min(best, sum); return; }
+    if (row === rows) { return; }
+    if (rows - row > k - assigned) { walk(row + 1, usedCols, assigned, sum); }
+    for (let c = 0; c < cols; c++) {
+      if (usedCols.has(c)) { continue; }
+      usedCols.add(c);
+      walk(row + 1, usedCols, assigned + 1, sum + cost[row][c]);
+      usedCols.delete(c);
+    }
+  };
+  walk(0, new Set(), 0, 0);
+  return best;
+}
+
+function seededMatrix(rows, cols, seed) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  return Array.from({ length: rows }, () => Array.from({ length: cols }, () => Math.round(next() * 100) / 100));
+}
+
+describe('solveAssignment', () => {
+  test('returns an empty assignment for empty input', () => {
+    expect(solveAssignment([])).toEqual([]);
+    expect(solveAssignment([[]])).toEqual([]);
+  });
+
+  test('solves a square matrix optimally', () => {
+    const cost = [
+      [4, 1, 3],
+      [2, 0, 5],
+      [3, 2, 2]
+    ];
+    const assignment = solveAssignment(cost);
+    expect(new Set(assignment).size).toBe(3);
+    expect(totalCost(cost, assignment)).toBe(5);
+  });
+
+  test('leaves surplus columns unassigned in wide matrices', () => {
+    const cost = [
+      [0.9, 0.1, 0.8, 0.7],
+      [0.2, 0.9, 0.9, 0.3]
+    ];
+    expect(solveAssignment(cost)).toEqual([1, 0]);
+  });
+
+  test('leaves surplus rows unassigned in tall matrices', () => {
+    const cost = [
+      [0.9, 0.2],
+      [0.1, 0.9],
+      [0.5, 0.5],
+      [0.8, 0.3]
+    ];
+    const assignment = solveAssignment(cost);
+    expect(assignment).toHaveLength(4);
+    expect(assignment.filter(c => c === -1)).toHaveLength(2);
+    expect(assignment[0]).toBe(1);
+    expect(assignment[1]).toBe(0);
+  });
+
+  test('matches a transposed solve on rectangular input', () => {
+    const cost       = seededMatrix(3, 6, 7);
+    const transposed = cost[0].map((_, j) => cost.map(row => row[j]));
+    const byRow      = solveAssignment(cost);
+    const byCol      = solveAssignment(transposed);
+    expect(totalCost(cost, byRow)).toBeCloseTo(totalCost(transposed, byCol));
+    byCol.forEach((row, col) => {
+      if (row !== -1) { expect(byRow[row]).toBe(col); }
+    });
+  });
+
+  test.each([
+    [4, 4, 1], [3, 5, 2], [5, 3, 3], [6, 2, 4], [2, 6, 5], [5, 5, 6]
+  ])('finds the minimum cost for a %ix%i matrix (seed %i)', (rows, cols, seed) => {
+    const cost       = seededMatrix(rows, cols, seed);
+    const assignment = solveAssignment(cost);
+    const assigned   = assignment.filter(c => c !== -1);
+    expect(assigned).toHaveLength(Math.min(rows, cols));
+    expect(new Set(assigned).size).toBe(assigned.length);
+    expect(totalCost(cost, assignment)).toBeCloseTo(bruteForceMin(cost));
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @jest-environment node
+ */
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import logger from '../../src/infrastructure/logger.js';
+import { AccessibilityComparisonMode } from '../../src/core/comparison/comparison-modes.js';
+
+function button(hpid, accessibility) {
+  return { hpid, tagName: 'BUTTON', styles: {}, attributes: {}, accessibility };
+}
+
+function ax(name, states = {}) {
+  return { role: 'button', name, focusable: true, states };
+}
+
+async function compare(matches) {
+  for await (const frame of new AccessibilityComparisonMode().compare(matches)) {
+    if (frame.type === 'result') { return frame.payload; }
+  }
+  return null;
+}
+
+describe('AccessibilityComparisonMode', () => {
+  afterEach(() => { jest.restoreAllMocks(); });
+
+  test('diffs accessibility fields when both reports carry the accessibility tree', async () => {
+    const warn   = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const result = await compare([
+      { baselineElement: button('1', ax('Buy')), compareElement: button('1', ax('Purchase', { disabled: true })) },
+      { baselineElement: button('2', ax('Cancel')), compareElement: button('2', ax('Cancel')) }
+    ]);
+
+    expect(result.modeName).toBe('accessibility');
+    expect(result.results[0].differences.map(d => [d.property, d.baseValue, d.compareValue])).toEqual([
+      ['a11y:name', 'Buy', 'Purchase'],
+      ['a11y:state:disabled', null, true]
+    ]);
+    expect(result.results[0].overallSeverity).toBe('critical');
+    expect(result.summary).toMatchObject({ modifiedElements: 1, unchangedElements: 1 });
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['compare', ax('Buy'), null],
+    ['baseline', null, ax('Buy')]
+  ])('skips accessibility diffs when the %s report has no accessibility tree', async (missing, baseAx, compareAx) => {
+    const warn   = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const result = await compare([
+      { baselineElement: button('1', baseAx), compareElement: button('1', compareAx) },
+      { baselineElement: button('2', baseAx), compareElement: button('2', compareAx) }
+    ]);
+
+    expect(result.results.every(r => r.differences.length === 0)).toBe(true);
+    expect(result.summary).toMatchObject({ modifiedElements: 0, totalDifferences: 0 });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Accessibility diffs skipped'), { missing: [missing] });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+import { afterEach, describe, expect, test } from '@jest/globals';
+import { init } from '../../src/config/defaults.js';
+import { ElementMatcher, MatchType } from '../../src/core/comparison/matcher.js';
+
+async function match(baseline, compare, options) {
+  for await (const frame of new ElementMatcher().matchElements(baseline, compare, options)) {
+    if (frame.type === 'result') { return frame.payload; }
+  }
+  return null;
+}
+
+function pairs(result) {
+  return result.matches
+    .map(m => [m.baselineElement.hpid, m.compareElement.hpid, m.strategy])
+    .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+describe('ElementMatcher sequence alignment', () => {
+  test('leaves alignment orphans for the later strategy passes', async () => {
+    const baseline = [
+      { hpid: '1',   tagName: 'MAIN' },
+      { hpid: '1.1', tagName: 'SECTION', elementId: 'pricing' },
+      { hpid: '1.2', tagName: 'FOOTER' }
+    ];
+    const compare = [
+      { hpid: '1',   tagName: 'MAIN' },
+      { hpid: '1.4', tagName: 'SECTION', elementId: 'pricing' },
+      { hpid: '1.2', tagName: 'FOOTER' }
+    ];
+
+    const result = await match(baseline, compare);
+
+    expect(pairs(result)).toEqual([
+      ['1',   '1',   'sequence-hpid'],
+      ['1.1', '1.4', 'id'],
+      ['1.2', '1.2', 'sequence-hpid']
+    ]);
+    expect(result.matches.find(m => m.strategy === 'id').matchTrace.phase).toBe('strategy-pass');
+    expect(result.unmatchedBaseline).toEqual([]);
+    expect(result.unmatchedCompare).toEqual([]);
+  });
+
+  test('reports orphans that no later pass can match as unmatched', async () => {
+    const baseline = [{ hpid: '1', tagName: 'MAIN' }, { hpid: '1.1', tagName: 'ASIDE' }];
+    const compare  = [{ hpid: '1', tagName: 'MAIN' }, { hpid: '1.3', tagName: 'NAV' }];
+
+    const result = await match(baseline, compare);
+
+    expect(pairs(result)).toEqual([['1', '1', 'sequence-hpid']]);
+    expect(result.unmatchedBaseline.map(e => e.hpid)).toEqual(['1.1']);
+    expect(result.unmatchedCompare.map(e => e.hpid)).toEqual(['1.3']);
+  });
+});
+
+describe('ElementMatcher global assignment', () => {
+  const card = (hpid, text, cssSelector, color) => ({ hpid, tagName: 'P', textContent: text, cssSelector, styles: { color } });
+  const baseline = [
+    { hpid: '1', tagName: 'MAIN' },
+    card('1.1', 'Alpha', '.card p.title', 'blue'),
+    card('1.2', 'Beta', '.promo p.note', 'green')
+  ];
+  const compare = [
+    { hpid: '1', tagName: 'MAIN' },
+    card('1.5', 'Gamma', '.promo p.note-x', 'green'),
+    card('1.6', 'Delta', '.card p.title-x', 'blue')
+  ];
+
+  afterEach(() => { init(); });
+
+  test('is off by default', async () => {
+    const result = await match(baseline, compare);
+    expect(pairs(result)).toEqual([['1', '1', 'sequence-hpid']]);
+    expect(result.unmatchedBaseline.map(e => e.hpid)).toEqual(['1.1', '1.2']);
+  });
+
+  test('marks assignments below the match threshold as low confidence', async () => {
+    init({ comparison: { matching: { globalAssignment: { enabled: true } } } });
+
+    const result   = await match(baseline, compare);
+    const assigned = result.matches.filter(m => m.strategy === 'global-assignment');
+
+    expect(pairs(result)).toEqual([
+      ['1',   '1',   'sequence-hpid'],
+      ['1.1', '1.6', 'global-assignment'],
+      ['1.2', '1.5', 'global-assignment']
+    ]);
+    for (const m of assigned) {
+      expect(m.matchType).toBe(MatchType.LOW_CONFIDENCE);
+      expect(m.confidence).toBeLessThan(0.70);
+      expect(m.assignment.components).toEqual(expect.objectContaining({ styles: 1 }));
+      expect(m.matchTrace.phase).toBe('global-assignment');
+    }
+  });
+
+  test('keeps assignments that clear the match threshold definitive', async () => {
+    init({ comparison: { matching: { minMatchThreshold: 0.2, globalAssignment: { enabled: true } } } });
+
+    const result = await match(baseline, compare);
+
+    expect(result.matches.filter(m => m.strategy === 'global-assignment').map(m => m.matchType))
+      .toEqual([MatchType.DEFINITIVE, MatchType.DEFINITIVE]);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, expect, test } from '@jest/globals';
+import { NormalizerEngine } from '../../src/core/normalization/normalizer-engine.js';
+
+const CONTEXT = {
+  parentFontSize: '20px',
+  rootFontSize:   '10px',
+  parentWidth:    '200px',
+  parentHeight:   '50px',
+  viewportWidth:  1000,
+  viewportHeight: 500
+};
+
+describe('NormalizerEngine', () => {
+  test('expands shorthands into normalized longhands', () => {
+    const styles = new NormalizerEngine().normalize({
+      margin:          '4px 8px',
+      padding:         '1px 2px 3px',
+      'border-radius': '1px 2px 3px 4px',
+      border:          '2px solid red',
+      background:      '#fff url(a.png)',
+      font:            'italic bold 12px Arial'
+    });
+
+    expect(styles).toEqual({
+      'margin-top':                 '4.00px',
+      'margin-right':               '8.00px',
+      'margin-bottom':              '4.00px',
+      'margin-left':                '8.00px',
+      'padding-top':                '1.00px',
+      'padding-right':              '2.00px',
+      'padding-bottom':             '3.00px',
+      'padding-left':               '2.00px',
+      'border-top-left-radius':     '1.00px',
+      'border-top-right-radius':    '2.00px',
+      'border-bottom-right-radius': '3.00px',
+      'border-bottom-left-radius':  '4.00px',
+      'border-top-width':           '2.00px',
+      'border-right-width':         '2.00px',
+      'border-bottom-width':        '2.00px',
+      'border-left-width':          '2.00px',
+      'border-top-style':           'solid',
+      'border-right-style':         'solid',
+      'border-bottom-style':        'solid',
+      'border-left-style':          'solid',
+      'border-top-color':           'rgba(255, 0, 0, 1)',
+      'border-right-color':         'rgba(255, 0, 0, 1)',
+      'border-bottom-color':        'rgba(255, 0, 0, 1)',
+      'border-left-color':          'rgba(255, 0, 0, 1)',
+      'background-color':           'rgba(255, 255, 255, 1)',
+      'background-image':           'url(a.png)',
+      'font-style':                 'italic',
+      'font-weight':                'bold',
+      'font-size':                  '12.00px',
+      'font-family':                'Arial'
+    });
+  });
+
+  test('keeps explicit longhands over shorthand values', () => {
+    const styles = new NormalizerEngine().normalize({ margin: '4px', 'margin-top': '10px' });
+    expect(styles['margin-top']).toBe('10.00px');
+    expect(styles['margin-left']).toBe('4.00px');
+  });
+
+  test.each([
+    ['width',     '50%',             '100.00px'],
+    ['height',    '10%',             '5.00px'],
+    ['font-size', '2em',             '40.00px'],
+    ['font-size', '2rem',            '20.00px'],
+    ['width',     '10vw',            '100.00px'],
+    ['height',    '10vh',            '50.00px'],
+    ['width',     '10vmin',          '50.00px'],
+    ['width',     '10vmax',          '100.00px'],
+    ['width',     '12pt',            '16.00px'],
+    ['width',     '1in',             '96.00px'],
+    ['width',     '3',               '3.00px'],
+    ['width',     '0',               '0px'],
+    ['width',     'auto',            'auto'],
+    ['width',     'calc(1px + 2px)', 'calc(1px + 2px)']
+  ])('resolves %s: %s against the context snapshot', (property, value, expected) => {
+    expect(new NormalizerEngine().normalizeProperty(property, value, CONTEXT)).toBe(expected);
+  });
+
+  test('falls back to defaults when relative units have no context', () => {
+    const engine = new NormalizerEngine();
+    expect(engine.normalizeProperty('width', '50%')).toBe('50.00%');
+    expect(engine.normalizeProperty('width', '2em')).toBe('32.00px');
+    expect(engine.normalizeProperty('width', '10vw')).toBe('102.40px');
+  });
+
+  test.each([
+    ['red',                'rgba(255, 0, 0, 1)'],
+    ['#0f08',              'rgba(0, 255, 0, 0.53)'],
+    ['hsl(0, 100%, 50%)',  'rgba(255, 0, 0, 1)'],
+    ['transparent',        'rgba(0, 0, 0, 0)'],
+    ['not-a-color',        'not-a-color']
+  ])('normalizes the color %s', (value, expected) => {
+    expect(new NormalizerEngine().normalizeProperty('color', value)).toBe(expected);
+  });
+
+  test('strips quotes from font families and passes other properties through', () => {
+    const engine = new NormalizerEngine();
+    expect(engine.normalizeProperty('font-family', '"Helvetica Neue", Arial, sans-serif'))
+      .toBe('Helvetica Neue, Arial, sans-serif');
+    expect(engine.normalizeProperty('display', 'block')).toBe('block');
+    expect(engine.normalizeProperty('width', null)).toBeNull();
+    expect(engine.normalize(null)).toBeNull();
+  });
+
+  test('serves repeated lookups from the cache until it is cleared', () => {
+    const engine = new NormalizerEngine();
+    engine.normalizeProperty('width', '12pt');
+    engine.normalizeProperty('width', '12pt');
+    engine.normalizeProperty('width', '2em', CONTEXT);
+    engine.normalizeProperty('width', '2em', CONTEXT);
+
+    const stats = engine.getCacheStats();
+    expect(stats.cacheEnabled).toBe(true);
+    expect(stats.absolute).toEqual(expect.objectContaining({ hits: 1, misses: 1, size: 1 }));
+    expect(stats.relative).toEqual(expect.objectContaining({ hits: 1, misses: 1, size: 1 }));
+
+    engine.clearCache();
+    expect(engine.getCacheStats().absolute.size).toBe(0);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+import { describe, expect, jest, test } from '@jest/globals';
+
+const store = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async key => ({ [key]: store[key] })),
+      set: jest.fn(async entries => { Object.assign(store, entries); })
+    }
+  }
+};
+
+const {
+  createRedactor, createRedactionScope, redactAssetSources, redactRecord, redactSelectors, redactText, sealRedactions
+} = await import('../../src/core/extraction/redaction.js');
+
+const unmaskedElement = { closest: () => null };
+const maskedElement   = { closest: () => ({}) };
+
+async function redactAndSeal(redactor, value, masked = false) {
+  const record = { value: redactText(value, redactor, masked), redacted: ['value'] };
+  await sealRedactions([record], redactor);
+  return record.value;
+}
+
+describe('redaction', () => {
+  test('replaces matches with keyed digests', async () => {
+    const redactor = await createRedactor();
+    const out      = await redactAndSeal(redactor, 'Contact jane@example.com today');
+    expect(out).toMatch(/^Contact \[redacted:email:[0-9a-f]{16}\] today$/);
+    expect(out).not.toContain('jane@example.com');
+  });
+
+  test('produces stable digests for the same install secret', async () => {
+    const first  = await redactAndSeal(await createRedactor(), 'jane@example.com');
+    const second = await redactAndSeal(await createRedactor(), 'jane@example.com');
+    const other  = await redactAndSeal(await createRedactor(), 'john@example.com');
+    expect(first).toBe(second);
+    expect(first).not.toBe(other);
+  });
+
+  test('generates the install secret once and persists it', async () => {
+    await createRedactor();
+    await createRedactor();
+    expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+    expect(store.redactionSecret).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('skips card numbers that fail the Luhn check', async () => {
+    const redactor = await createRedactor();
+    expect(await redactAndSeal(redactor, 'Card 4111 1111 1111 1111')).toMatch(/\[redacted:card:[0-9a-f]{16}\]/);
+    expect(await redactAndSeal(redactor, 'Order 1234 5678 9012 3456')).toBe('Order 1234 5678 9012 3456');
+  });
+
+  test('masks whole values inside masked regions', async () => {
+    const redactor = await createRedactor();
+    expect(await redactAndSeal(redactor, 'Jane Doe', true)).toMatch(/^\[redacted:[0-9a-f]{16}\]$/);
+  });
+
+  test('seals nested fields of redacted records only', async () => {
+    const redactor = await createRedactor();
+    const redacted = { graphic: { texts: [{ text: redactText('a@b.io', redactor) }] }, redacted: ['svg:text'] };
+    const clean    = { textContent: 'plain' };
+    await sealRedactions([redacted, clean], redactor);
+    expect(redacted.graphic.texts[0].text).toMatch(/^\[redacted:email:[0-9a-f]{16}\]$/);
+    expect(clean.textContent).toBe('plain');
+  });
+
+  test('redacts configured attributes, form values and pseudo content', async () => {
+    const redactor = await createRedactor();
+    const record   = {
+      attributes: { href: 'mailto:jane@example.com', class: 'jane@example.com' },
+      formState:  { value: 'jane@example.com' }
+    };
+    redactRecord(record, createRedactionScope(unmaskedElement, redactor));
+    const pseudo = { pseudoType: 'before', styles: { content: '"jane@example.com"' } };
+    redactRecord(pseudo, createRedactionScope(unmaskedElement, redactor));
+    await sealRedactions([record, pseudo], redactor);
+
+    expect(record.attributes.href).toMatch(/^mailto:\[redacted:email:[0-9a-f]{16}\]$/);
+    expect(record.attributes.class).toBe('jane@example.com');
+    expect(record.formState.value).toMatch(/^\[redacted:email:[0-9a-f]{16}\]$/);
+    expect(record.redacted).toEqual(['attr:href', 'form:value']);
+    expect(pseudo.styles.content).toMatch(/^"\[redacted:email:[0-9a-f]{16}\]"$/);
+    expect(pseudo.redacted).toEqual(['pseudo:content']);
+  });
+
+  test('flags masked records and drops selectors that leak redacted values', async () => {
+    const redactor = await createRedactor();
+    const scope    = createRedactionScope(maskedElement, redactor);
+    const record   = { attributes: { title: 'Jane Doe' }, cssSelector: '[title="Jane Doe"]', xpath: '//div[1]' };
+    redactRecord(record, scope);
+    redactSelectors(record, scope);
+
+    expect(record.redactionMasked).toBe(true);
+    expect(record.cssSelector).toBeNull();
+    expect(record.xpath).toBe('//div[1]');
+    expect(record.redacted).toEqual(['attr:title', 'cssSelector']);
+  });
+
+  test('redacts asset sources after fingerprinting', async () => {
+    const redactor = await createRedactor();
+    const masked   = { redactionMasked: true, asset: { currentSrc: 'https://cdn.test/avatar.png' } };
+    const tokened  = { asset: { currentSrc: 'https://cdn.test/a.png?t=eyJhbGciOi.eyJzdWIi.c2lnbmF0dXJl' } };
+    const plain    = { asset: { currentSrc: 'https://cdn.test/logo.png' } };
+    redactAssetSources([masked, tokened, plain], redactor);
+    await sealRedactions([masked, tokened, plain], redactor);
+
+    expect(masked.asset.currentSrc).toMatch(/^\[redacted:[0-9a-f]{16}\]$/);
+    expect(tokened.asset.currentSrc).toMatch(/^https:\/\/cdn\.test\/a\.png\?t=\[redacted:jwt:[0-9a-f]{16}\]$/);
+    expect(plain.asset.currentSrc).toBe('https://cdn.test/logo.png');
+    expect(plain.redacted).toBeUndefined();
+  });
+});
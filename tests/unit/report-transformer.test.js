@@ -0,0 +1,222 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  collapseUnmatchedSubtrees, findRootCauseCandidates, transformToGroupedReport
+} from '../../src/core/export/shared/report-transformer.js';
+
+function unmatched(hpids) {
+  return hpids.map((hpid, i) => ({ id: `el-${i}`, hpid, tagName: 'DIV', pageSection: null }));
+}
+
+function colorChange(hpid, className, cssSelector = null) {
+  const diff = { property: 'color', category: 'visual', baseValue: 'red', compareValue: 'blue', severity: 'medium' };
+  return {
+    baselineElement:      { hpid, absoluteHpid: hpid, tagName: 'DIV', className, cssSelector },
+    compareElement:       { hpid, tagName: 'DIV', className },
+    totalDifferences:     1,
+    annotatedDifferences: [diff]
+  };
+}
+
+describe('collapseUnmatchedSubtrees', () => {
+  test('folds descendants into their highest unmatched ancestor', () => {
+    const subtrees = collapseUnmatchedSubtrees(unmatched(['1.4', '1.4.1', '1.4.2', '1.4.2.1', '2.3']), 'added');
+
+    expect(subtrees.map(s => s.hpid)).toEqual(['1.4', '2.3']);
+    expect(subtrees[0]).toMatchObject({
+      subtreeSize:   4,
+      subtreeDepth:  3,
+      subtreeLeaves: 2,
+      subtreeHpids:  ['1.4', '1.4.1', '1.4.2', '1.4.2.1'],
+      treeEdit:      { operation: 'insert', cost: 4 }
+    });
+    expect(subtrees[1]).toMatchObject({ subtreeSize: 1, subtreeDepth: 1, treeEdit: { operation: 'insert', cost: 1 } });
+  });
+
+  test('keeps separate subtrees when the connecting parent was matched', () => {
+    const subtrees = collapseUnmatchedSubtrees(unmatched(['1.2.1', '1.2.2', '1.2.2.1']), 'removed');
+
+    expect(subtrees.map(s => [s.hpid, s.subtreeSize])).toEqual([['1.2.2', 2], ['1.2.1', 1]]);
+    expect(subtrees[0].treeEdit).toEqual({ operation: 'delete', cost: 2 });
+  });
+
+  test('attaches pseudo elements and shadow content to their host', () => {
+    const subtrees = collapseUnmatchedSubtrees(unmatched(['3', '3::before', '3.0.1', '3.0.1.2']), 'added');
+
+    expect(subtrees).toHaveLength(1);
+    expect(subtrees[0].subtreeHpids).toEqual(['3', '3::before', '3.0.1', '3.0.1.2']);
+    expect(subtrees[0].subtreeDepth).toBe(3);
+  });
+
+  test('inherits a page section from the first member that has one', () => {
+    const elements = unmatched(['5', '5.1']);
+    elements[1].pageSection = 'footer';
+
+    expect(collapseUnmatchedSubtrees(elements, 'added')[0].pageSection).toBe('footer');
+  });
+
+  test('lists elements without an HPID on their own', () => {
+    const subtrees = collapseUnmatchedSubtrees([{ id: 'x', hpid: null, tagName: 'SPAN' }], 'added');
+
+    expect(subtrees).toHaveLength(1);
+    expect(subtrees[0]).toMatchObject({ id: 'x', subtreeSize: 1, subtreeHpids: [] });
+  });
+});
+
+describe('findRootCauseCandidates', () => {
+  test('groups identical changes on elements with the same class signature', () => {
+    const candidates = findRootCauseCandidates([
+      colorChange('1', 'card card-1', '#a > .card'),
+      colorChange('2', 'card-2 card', '#b > .card'),
+      colorChange('3', 'card card-3', '#c > .card'),
+      colorChange('4', 'banner', '#d > .banner')
+    ]);
+
+    expect(candidates).toHaveLength(1);
+    expect(candidates[0]).toMatchObject({
+      id:                     'rc-1',
+      property:               'color',
+      classSignature:         'card card-#',
+      affectedElements:       3,
+      affectedHpids:          ['1', '2', '3'],
+      representativeHpid:     '1',
+      representativeKey:      'div.card.card-1',
+      representativeSelector: '#a > .card'
+    });
+  });
+
+  test('falls back to the breadcrumb when the representative has no selector', () => {
+    const first = colorChange('1.2', 'tile');
+    first.baselineElement.xpath = '/html/body/div[2]';
+
+    const [candidate] = findRootCauseCandidates([first, colorChange('1.3', 'tile')]);
+
+    expect(candidate.representativeSelector).toBe('/html/body/div[2]');
+  });
+
+  test('ranks larger clusters first and breaks ties by severity', () => {
+    const critical = hpid => {
+      const change = colorChange(hpid, 'nav');
+      change.annotatedDifferences = [{ property: 'display', category: 'layout', baseValue: 'flex', compareValue: 'none', severity: 'critical' }];
+      return change;
+    };
+    const candidates = findRootCauseCandidates([
+      colorChange('1', 'card'), colorChange('2', 'card'),
+      critical('3'), critical('4'),
+      colorChange('5', 'row'), colorChange('6', 'row'), colorChange('7', 'row')
+    ]);
+
+    expect(candidates.map(c => [c.id, c.classSignature, c.severity])).toEqual([
+      ['rc-1', 'row', 'medium'],
+      ['rc-2', 'nav', 'critical'],
+      ['rc-3', 'card', 'medium']
+    ]);
+  });
+
+  test('returns nothing without results', () => {
+    expect(findRootCauseCandidates(undefined)).toEqual([]);
+  });
+});
+
+describe('transformToGroupedReport', () => {
+  test('counts every unmatched element in the DOM distribution', () => {
+    const report = transformToGroupedReport({
+      comparison:        { results: [], summary: {} },
+      unmatchedElements: { baseline: unmatched(['2', '2.1', '2.2']), compare: unmatched(['4', '4.1']) },
+      matching:          { totalMatched: 0 }
+    });
+
+    expect(report.groups.removed).toHaveLength(1);
+    expect(report.groups.added).toHaveLength(1);
+    expect(report.summary.distribution.dom).toBe(5);
+    expect(report.summary.treeEdit).toMatchObject({ insertions: 2, deletions: 3, distance: 5 });
+  });
+
+  test('suppresses inherited child diffs under their apex', () => {
+    const report = transformToGroupedReport({
+      comparison:        {
+        results: [colorChange('1', 'card'), colorChange('1.1', 'label')],
+        summary: { modifiedElements: 2, unchangedElements: 0 }
+      },
+      unmatchedElements: { baseline: [], compare: [] },
+      matching:          { totalMatched: 2 }
+    });
+    const [apex] = report.groups.medium;
+
+    expect(report.groups.medium).toHaveLength(1);
+    expect(apex).toMatchObject({ hpid: '1', isApex: true, suppressedDiffsCount: 1 });
+    expect(apex.suppressedChildSummaries.map(c => c.hpid)).toEqual(['1.1']);
+  });
+
+  test('keeps residual diffs on partially inherited children', () => {
+    const child = colorChange('1.1', 'label');
+    child.annotatedDifferences.push({ property: 'text-decoration', category: 'typography', baseValue: 'none', compareValue: 'underline', severity: 'low' });
+    child.totalDifferences = 2;
+    const report = transformToGroupedReport({
+      comparison:        { results: [colorChange('1', 'card'), child], summary: { modifiedElements: 2, unchangedElements: 0 } },
+      unmatchedElements: { baseline: [], compare: [] },
+      matching:          { totalMatched: 2 }
+    });
+    const partial = report.groups.low.find(item => item.hpid === '1.1');
+
+    expect(partial).toMatchObject({ isPartiallyInherited: true, inheritedPropNames: ['color'], totalDiffs: 1 });
+    expect(Object.values(partial.diffsByCategory).flat().map(d => d.property)).toEqual(['text-decoration']);
+  });
+
+  test('clusters repeated changes including suppressed children', () => {
+    const results = [
+      colorChange('1', 'card'), colorChange('1.1', 'label'),
+      colorChange('2', 'card'), colorChange('2.1', 'label')
+    ];
+    const report = transformToGroupedReport({
+      comparison:        { results, summary: { modifiedElements: 4, unchangedElements: 0 } },
+      unmatchedElements: { baseline: [], compare: [] },
+      matching:          { totalMatched: 4 }
+    });
+    const bySignature = Object.fromEntries(report.summary.rootCauseCandidates.map(c => [c.classSignature, c]));
+
+    expect(bySignature.card).toMatchObject({ property: 'color', affectedElements: 2, affectedHpids: ['1', '2'] });
+    expect(bySignature.label).toMatchObject({ property: 'color', affectedElements: 2, affectedHpids: ['1.1', '2.1'] });
+    expect(report.groups.medium.every(item => item.clusterIds.includes(bySignature.card.id))).toBe(true);
+  });
+
+  test('picks a visible representative for each cluster', () => {
+    const results = [
+      colorChange('1', 'card', '#a'), colorChange('1.1', 'label', '#a .label'),
+      colorChange('2', 'card', '#b'), colorChange('2.1', 'label', '#b .label'),
+      colorChange('2.2', 'label', '#b .label-2')
+    ];
+    const report = transformToGroupedReport({
+      comparison:        { results, summary: { modifiedElements: 5, unchangedElements: 0 } },
+      unmatchedElements: { baseline: [], compare: [] },
+      matching:          { totalMatched: 5 }
+    });
+    const [visible]   = report.groups.medium;
+    const bySignature = Object.fromEntries(report.summary.rootCauseCandidates.map(c => [c.classSignature, c]));
+
+    expect(report.groups.medium).toHaveLength(1);
+    expect(visible).toMatchObject({ hpid: '1', isClusterRepresentative: true, clusterCovered: true, clusterAffected: 2 });
+    expect(bySignature.card).toMatchObject({ representativeHpid: '1', representativeSelector: '#a' });
+    expect(bySignature.label).toMatchObject({ affectedElements: 3, representativeHpid: '1.1', representativeSelector: '#a .label' });
+  });
+
+  test('lists ambiguous matches with their candidates', () => {
+    const report = transformToGroupedReport({
+      comparison: {
+        results:   [],
+        summary:   {},
+        ambiguous: [{
+          baselineElement:     { hpid: '7', tagName: 'LI', className: 'row' },
+          confidence:          0.6,
+          strategy:            'text-similarity',
+          ambiguousCandidates: [{ compareIndex: 3, confidence: 0.6 }, { compareIndex: 4, confidence: 0.55, deltaFromBest: 0.05 }]
+        }]
+      },
+      unmatchedElements: { baseline: [], compare: [] },
+      matching:          { totalMatched: 0 }
+    });
+
+    expect(report.summary.ambiguous).toBe(1);
+    expect(report.groups.ambiguous[0]).toMatchObject({ elementKey: 'li.row', candidateCount: 2, matchStrategy: 'text-similarity' });
+    expect(report.groups.ambiguous[0].candidates[0]).toEqual({ compareIndex: 3, confidence: 0.6, strategy: null, deltaFromBest: null });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, expect, test } from '@jest/globals';
+import { STRUCTURAL_CHANGE, detectStructuralChanges } from '../../src/core/comparison/structural-changes.js';
+
+function tree(hpids) {
+  return hpids.map(hpid => ({ hpid, tagName: 'DIV' }));
+}
+
+function matchPairs(baseline, compare, pairs) {
+  const byBase    = new Map(baseline.map(el => [el.hpid, el]));
+  const byCompare = new Map(compare.map(el => [el.hpid, el]));
+  return pairs.map(([b, c]) => ({ baselineElement: byBase.get(b), compareElement: byCompare.get(c) }));
+}
+
+function changesByHpid(changes) {
+  return Object.fromEntries(changes.map(c => [c.hpid, c]));
+}
+
+describe('detectStructuralChanges', () => {
+  test('reports nothing when the tree is unchanged', () => {
+    const baseline = tree(['1', '1.1', '1.2', '1.3']);
+    const compare  = tree(['1', '1.1', '1.2', '1.3']);
+    const matches  = matchPairs(baseline, compare, [['1', '1'], ['1.1', '1.1'], ['1.2', '1.2'], ['1.3', '1.3']]);
+    expect(detectStructuralChanges(baseline, compare, matches)).toEqual([]);
+    expect(matches.every(m => m.structuralChange === undefined)).toBe(true);
+  });
+
+  test('flags only the siblings outside the longest in-order run as reordered', () => {
+    const baseline = tree(['1', '1.1', '1.2', '1.3', '1.4']);
+    const compare  = tree(['1', '1.1', '1.2', '1.3', '1.4']);
+    const matches  = matchPairs(baseline, compare, [
+      ['1', '1'], ['1.1', '1.2'], ['1.2', '1.3'], ['1.3', '1.4'], ['1.4', '1.1']
+    ]);
+    const changes  = detectStructuralChanges(baseline, compare, matches);
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      type: STRUCTURAL_CHANGE.REORDERED, hpid: '1.4', compareHpid: '1.1',
+      fromParent: '1', toParent: '1', fromIndex: 4, toIndex: 1
+    });
+    expect(matches[4].structuralChange).toBe(STRUCTURAL_CHANGE.REORDERED);
+  });
+
+  test('ignores sibling shifts that keep relative order', () => {
+    const baseline = tree(['1', '1.1', '1.2', '1.3']);
+    const compare  = tree(['1', '1.1', '1.2', '1.3', '1.4']);
+    const matches  = matchPairs(baseline, compare, [['1', '1'], ['1.1', '1.2'], ['1.2', '1.3'], ['1.3', '1.4']]);
+    expect(detectStructuralChanges(baseline, compare, matches)).toEqual([]);
+  });
+
+  test('separates reparenting inside a matched ancestor from moves across the page', () => {
+    const baseline = tree(['1', '1.1', '1.1.1', '1.2', '1.2.1', '2', '2.1']);
+    const compare  = tree(['1', '1.1', '1.2', '1.2.1', '1.2.1.1', '2', '2.1', '2.1.1']);
+    const matches  = matchPairs(baseline, compare, [
+      ['1', '1'], ['1.1', '1.1'], ['1.2', '1.2'], ['1.2.1', '1.2.1.1'],
+      ['1.1.1', '2.1.1'], ['2', '2'], ['2.1', '2.1']
+    ]);
+    const changes  = changesByHpid(detectStructuralChanges(baseline, compare, matches));
+
+    expect(changes['1.2.1']).toMatchObject({ type: STRUCTURAL_CHANGE.REPARENTED, fromParent: '1.2', toParent: '1.2.1' });
+    expect(changes['1.1.1']).toMatchObject({ type: STRUCTURAL_CHANGE.MOVED, fromParent: '1.1', toParent: '2.1' });
+    expect(Object.keys(changes)).toHaveLength(2);
+  });
+
+  test('skips pseudo-element matches', () => {
+    const baseline = [{ hpid: '1', tagName: 'DIV' }, { hpid: '1.1', tagName: 'DIV', pseudoType: 'before' }];
+    const compare  = [{ hpid: '1', tagName: 'DIV' }, { hpid: '1.2', tagName: 'DIV', pseudoType: 'before' }];
+    const matches  = matchPairs(baseline, compare, [['1', '1'], ['1.1', '1.2']]);
+    expect(detectStructuralChanges(baseline, compare, matches)).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  editSimilarity, normalizeText, qgramCounts, textSimilarity, tokenJaccard, tokenSet, wagnerFischer
+} from '../../src/core/comparison/text-similarity.js';
+
+function profile(raw, maxLength = 200) {
+  const text = normalizeText(raw, maxLength);
+  return { text, tokens: tokenSet(text), grams: qgramCounts(text) };
+}
+
+describe('wagnerFischer', () => {
+  test('counts insertions, deletions and substitutions', () => {
+    expect(wagnerFischer('kitten', 'sitting')).toBe(3);
+    expect(wagnerFischer('', 'abc')).toBe(3);
+    expect(wagnerFischer('abc', '')).toBe(3);
+    expect(wagnerFischer('same', 'same')).toBe(0);
+  });
+});
+
+describe('normalizeText', () => {
+  test('folds case, width and punctuation and truncates', () => {
+    expect(normalizeText('  Ｓign-Up   NOW! ', 200)).toBe('sign up now');
+    expect(normalizeText('abcdef', 3)).toBe('abc');
+    expect(normalizeText(null, 10)).toBe('');
+  });
+});
+
+describe('tokenJaccard', () => {
+  test('measures token overlap', () => {
+    expect(tokenJaccard(tokenSet('a b c'), tokenSet('b c d'))).toBeCloseTo(0.5);
+    expect(tokenJaccard(tokenSet(''), tokenSet(''))).toBe(1);
+    expect(tokenJaccard(tokenSet('a'), tokenSet('b'))).toBe(0);
+  });
+});
+
+describe('textSimilarity', () => {
+  test('treats reordered tokens as identical', () => {
+    expect(textSimilarity(profile('Plans and pricing'), profile('pricing and plans'))).toBe(1);
+  });
+
+  test('scores small edits by edit distance', () => {
+    const a = profile('Subscribe to newsletter');
+    const b = profile('Subscribe to our newsletter');
+    expect(textSimilarity(a, b, 0.6)).toBeCloseTo(editSimilarity(a.text, b.text));
+    expect(textSimilarity(a, b, 0.6)).toBeGreaterThan(0.8);
+  });
+
+  test('falls back to token overlap when length rules out a match', () => {
+    const a = profile('Log in');
+    const b = profile('Log in to manage your account settings');
+    expect(textSimilarity(a, b, 0.6)).toBeCloseTo(tokenJaccard(a.tokens, b.tokens));
+  });
+
+  test('never prunes a pair whose edit similarity reaches the threshold', () => {
+    const samples = [
+      'add to cart', 'add to basket', 'added to cart', 'view cart', 'checkout now', 'check out now',
+      'contact support', 'contact sales', 'sign in', 'sign up', 'signed in as jane', 'aaaa aaaa', 'aaaa aaab'
+    ].map(t => profile(t));
+    for (const a of samples) {
+      for (const b of samples) {
+        const edit = editSimilarity(a.text, b.text);
+        if (edit >= 0.6) { expect(textSimilarity(a, b, 0.6)).toBeGreaterThanOrEqual(edit); }
+      }
+    }
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, expect, test } from '@jest/globals';
+import { get } from '../../src/config/defaults.js';
+import { SeverityAnalyzer } from '../../src/core/comparison/severity-analyzer.js';
+import { TokenAnalyzer } from '../../src/core/comparison/token-analyzer.js';
+
+const SPACE_REPORTS = [
+  { rootCustomProperties: { '--space': '8px' } },
+  { rootCustomProperties: { '--space': '16px' } }
+];
+
+function paddingDiff() {
+  return { property: 'padding-top', category: 'spacing', baseValue: '8.00px', compareValue: '16.00px', severity: 'medium' };
+}
+
+function colorDiff() {
+  return { property: 'color', category: 'color', baseValue: 'rgba(0, 0, 0, 1)', compareValue: 'rgba(255, 0, 0, 1)', severity: 'high' };
+}
+
+function result(hpid, diffs, customProperties = null) {
+  return {
+    baselineElement:      { hpid, customProperties: customProperties?.[0] ?? null },
+    compareElement:       { hpid, customProperties: customProperties?.[1] ?? null },
+    differences:          diffs.map(d => ({ ...d })),
+    annotatedDifferences: diffs,
+    totalDifferences:     diffs.length,
+    overallSeverity:      'high'
+  };
+}
+
+function accessibilitySeverity() {
+  return new SeverityAnalyzer(get('comparison.modes.accessibility.severity'));
+}
+
+describe('TokenAnalyzer', () => {
+  test('collapses diffs on elements that reference the changed token', () => {
+    const results = [result('1', [paddingDiff(), colorDiff()], [{ '--space': '8px' }, { '--space': '16px' }])];
+
+    const changes = new TokenAnalyzer().analyze(...SPACE_REPORTS, results);
+
+    expect(changes).toEqual([expect.objectContaining({
+      token:            '--space',
+      scopes:           [':root', '1'],
+      properties:       ['padding-top'],
+      affectedElements: 1,
+      affectedHpids:    ['1'],
+      collapsedDiffs:   1
+    })]);
+    expect(results[0].tokenDiffs).toEqual([expect.objectContaining({ property: 'padding-top', token: '--space' })]);
+    expect(results[0].differences.map(d => d.property)).toEqual(['color']);
+    expect(results[0].totalDifferences).toBe(1);
+    expect(results[0].overallSeverity).toBe('high');
+    expect(results[0].severityCounts).toEqual({ critical: 0, high: 1, medium: 0, low: 0 });
+  });
+
+  test('re-scores the remaining diffs with the severity rules of the comparison mode', () => {
+    const results = [result('1', [paddingDiff(), colorDiff()], [{ '--space': '8px' }, { '--space': '16px' }])];
+
+    new TokenAnalyzer().analyze(...SPACE_REPORTS, results, accessibilitySeverity());
+
+    expect(results[0].overallSeverity).toBe('low');
+    expect(results[0].annotatedDifferences).toEqual([expect.objectContaining({ property: 'color', severity: 'low' })]);
+  });
+
+  test('attributes tokens inherited from :root through the element var() usage', () => {
+    const results = [result('1', [paddingDiff()], [{ '--space': '8px' }, null])];
+
+    const changes = new TokenAnalyzer().analyze(...SPACE_REPORTS, results);
+
+    expect(changes[0].collapsedDiffs).toBe(1);
+    expect(results[0].differences).toEqual([]);
+  });
+
+  test('keeps matching diffs on elements that do not reference the token', () => {
+    const results = [
+      result('1', [paddingDiff()]),
+      result('2', [paddingDiff()], [{ '--gap': '4px' }, { '--gap': '4px' }])
+    ];
+
+    const changes = new TokenAnalyzer().analyze(...SPACE_REPORTS, results, accessibilitySeverity());
+
+    expect(changes).toEqual([expect.objectContaining({ token: '--space', affectedElements: 0, collapsedDiffs: 0 })]);
+    for (const r of results) {
+      expect(r.tokenDiffs).toBeUndefined();
+      expect(r.differences.map(d => d.property)).toEqual(['padding-top']);
+      expect(r.annotatedDifferences[0].token).toBeUndefined();
+      expect(r.overallSeverity).toBe('high');
+    }
+  });
+
+  test('never attributes non-CSS diffs or added tokens', () => {
+    const reports = [
+      { rootCustomProperties: { '--space': '8px' } },
+      { rootCustomProperties: { '--space': '16px', '--inset': '8px' } }
+    ];
+    const content = { property: 'content', category: 'content', baseValue: '8.00px', compareValue: '16.00px' };
+    const results = [result('1', [content], [{ '--space': '8px' }, { '--space': '16px', '--inset': '8px' }])];
+
+    const changes = new TokenAnalyzer().analyze(...reports, results);
+
+    expect(changes.map(c => [c.token, c.collapsedDiffs])).toEqual([['--space', 0], ['--inset', 0]]);
+    expect(results[0].differences).toEqual([content]);
+  });
+
+  test('rebuilds differences from the annotated list when the two are not paired', () => {
+    const results = [result('1', [paddingDiff(), colorDiff()], [{ '--space': '8px' }, { '--space': '16px' }])];
+    results[0].differences = [];
+
+    new TokenAnalyzer().analyze(...SPACE_REPORTS, results);
+
+    expect(results[0].differences).toEqual([expect.objectContaining({ property: 'color', severity: 'high' })]);
+  });
+
+  test('returns no changes when no custom property changed', () => {
+    const results = [result('1', [paddingDiff()], [{ '--space': '8px' }, { '--space': '8px' }])];
+    expect(new TokenAnalyzer().analyze(SPACE_REPORTS[0], SPACE_REPORTS[0], results)).toEqual([]);
+    expect(results[0].differences).toHaveLength(1);
+  });
+});